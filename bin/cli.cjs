@@ -3,12 +3,11 @@
 'use strict';
 
 const path = require('path');
-const os = require('os');
 const fs = require('fs');
 const realCliPath = fs.realpathSync(__filename);
 const ROOT = path.resolve(path.dirname(realCliPath), '..');
 const pkg = require(path.join(ROOT, 'package.json'));
-const { resizeImages, DEFAULT_ALLOW_EXT } = require(path.join(ROOT, 'index.cjs'));
+const { resizeImagesIter, watchImages, createServer, restoreOriginals, resolveOptions, DEFAULT_ALLOW_EXT } = require(path.join(ROOT, 'index.cjs'));
 
 // simple flag parsing (supports --key value and --key=value)
 const parseArgs = (argv) => {
@@ -36,7 +35,245 @@ const parseArgs = (argv) => {
 const getInt = (m, k, d, min = 1) => m.has(k) ? Math.max(min, parseInt(m.get(k), 10)) : d;
 const getBool = (m, k) => m.has(k) && String(m.get(k)) !== 'false';
 const getStr = (m, k, d = null) => m.has(k) ? String(m.get(k)) : d;
+// Near matches are listed in full for review; exact copies are only counted
+const printDuplicates = (groups) => {
+    if (!groups || !groups.length) return;
+    const copies = groups.reduce((n, g) => n + g.duplicates.length, 0);
+    console.log(`Duplicates: ${copies} in ${groups.length} group(s)`);
+    for (const g of groups) {
+        const near = g.duplicates.filter((d) => d.match === 'near');
+        if (!near.length) continue;
+        console.log(`  ${g.primary}`);
+        for (const d of near) console.log(`    ≈ ${d.src} (distance ${d.distance})`);
+    }
+};
 const getList = (m, k) => m.has(k) ? String(m.get(k)).split(',').map(s => s.trim()).filter(Boolean) : null;
+// "640", "1280x720", "x480", "640:webp", "640:webp:75"
+const parseSize = (spec) => {
+    const [dims, format, quality] = spec.split(':');
+    const m = /^(\d*)(?:x(\d*))?$/i.exec(dims);
+    if (!m || (!m[1] && !m[2])) throw new Error(`Invalid --sizes entry "${spec}" (expected WIDTH[xHEIGHT][:format[:quality]])`);
+    return {
+        ...(m[1] ? { width: parseInt(m[1], 10) } : {}),
+        ...(m[2] ? { height: parseInt(m[2], 10) } : {}),
+        ...(format ? { format } : {}),
+        ...(quality ? { quality: parseInt(quality, 10) } : {})
+    };
+};
+
+const getIntMin = (min) => (m, k) => getInt(m, k, undefined, min);
+const getIntList = (m, k) => getList(m, k).map((s) => {
+    if (!/^\d+$/.test(s)) throw new Error(`Invalid --${k} entry "${s}" (expected whole numbers, e.g. 320,640,1280)`);
+    return parseInt(s, 10);
+});
+// comma-separated globs; commas inside {a,b} belong to the glob
+const getGlobList = (m, k) => {
+    const out = [];
+    let cur = '', depth = 0;
+    for (const c of String(m.get(k))) {
+        if (c === ',' && depth === 0) { out.push(cur); cur = ''; continue; }
+        if (c === '{') depth++;
+        else if (c === '}') depth = Math.max(0, depth - 1);
+        cur += c;
+    }
+    out.push(cur);
+    return out.map((s) => s.trim()).filter(Boolean);
+};
+const getDate = (m, k) => {
+    const v = getStr(m, k);
+    if (Number.isNaN(new Date(v).getTime())) throw new Error(`Invalid --${k} "${v}" (expected a date, e.g. 2024-06-01 or 2024-06-01T12:00)`);
+    return v;
+};
+// "mozjpeg,progressive,quality=80" → { mozjpeg: true, progressive: true, quality: 80 }
+const parseEncoderOptions = (spec) => Object.fromEntries(String(spec).split(',').map((s) => s.trim()).filter(Boolean).map((pair) => {
+    const eq = pair.indexOf('=');
+    if (eq === -1) return [pair, true];
+    const raw = pair.slice(eq + 1).trim();
+    const value = raw === 'true' ? true : raw === 'false' ? false : (raw !== '' && !isNaN(Number(raw)) ? Number(raw) : raw);
+    return [pair.slice(0, eq).trim(), value];
+}));
+const ENCODER_FLAGS = ['jpeg', 'png', 'webp', 'avif', 'heif', 'tiff', 'gif'];
+// --watermark-<field> → watermark.<field>
+const WATERMARK_FLAGS = [
+    ['watermark-text', 'text', getStr],
+    ['watermark-position', 'position', getStr],
+    ['watermark-margin', 'margin', (m, k) => getInt(m, k, undefined, 0)],
+    ['watermark-opacity', 'opacity', (m, k) => parseFloat(m.get(k))],
+    ['watermark-scale', 'scale', (m, k) => parseFloat(m.get(k))],
+    ['watermark-min-width', 'minWidth', (m, k) => getInt(m, k, undefined, 0)],
+    ['watermark-min-height', 'minHeight', (m, k) => getInt(m, k, undefined, 0)],
+    ['watermark-font', 'font', getStr],
+    ['watermark-color', 'color', getStr]
+];
+// "500000", "200k", "1.5M", "2G" (binary multiples)
+const getBytes = (m, k) => {
+    const spec = String(m.get(k));
+    const mm = /^(\d+(?:\.\d+)?)\s*([kmg]?)i?b?$/i.exec(spec.trim());
+    if (!mm) throw new Error(`Invalid --${k} "${spec}" (expected bytes, e.g. 500000, 200k, 1.5M)`);
+    return Math.round(parseFloat(mm[1]) * 1024 ** ' kmg'.indexOf(mm[2].toLowerCase() || ' '));
+};
+// "50000000", "50M" or "50MP" (millions of pixels)
+const getPixels = (m, k) => {
+    const spec = String(m.get(k));
+    const mm = /^(\d+(?:\.\d+)?)\s*(mp?)?$/i.exec(spec.trim());
+    if (!mm) throw new Error(`Invalid --${k} "${spec}" (expected pixels, e.g. 50000000 or 50M)`);
+    return Math.round(parseFloat(mm[1]) * (mm[2] ? 1e6 : 1));
+};
+
+const fmtDuration = (secs) => {
+    if (!isFinite(secs)) return '…';
+    const s = Math.max(0, Math.round(secs));
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+    return `${Math.floor(s / 3600)}h${String(Math.floor((s % 3600) / 60)).padStart(2, '0')}m`;
+};
+
+// Live progress from resizeImagesIter totals: a redrawn status line on a TTY, periodic plain lines otherwise
+const createProgressDisplay = ({ stream, intervalMs }) => {
+    const tty = !!stream.isTTY;
+    let last = null, drawn = false, lastDraw = 0;
+    const render = (t) => {
+        const secs = t.elapsedMs / 1000;
+        const mbps = secs > 0 ? t.bytesDone / 1e6 / secs : 0;
+        const rate = secs > 0 ? t.done / secs : 0;
+        const eta = (t.walked && rate > 0) ? fmtDuration((t.discovered - t.done) / rate) : '…';
+        return `${t.done}/${t.discovered}${t.walked ? '' : '+'} files · ${mbps.toFixed(1)} MB/s · cap ${t.inFlightCap} · ETA ${eta}`;
+    };
+    const clear = () => {
+        if (tty && drawn) { stream.write('\r\x1b[K'); drawn = false; }
+    };
+    const draw = () => {
+        if (!last) return;
+        if (tty) { stream.write(`\r\x1b[K⏳ ${render(last)}`); drawn = true; }
+        else stream.write(`… ${render(last)}\n`);
+        lastDraw = Date.now();
+    };
+    return {
+        update: (totals) => {
+            last = totals;
+            if (Date.now() - lastDraw >= (tty ? 100 : intervalMs)) { clear(); draw(); }
+        },
+        // wrap a logger so log lines don't collide with the status line
+        wrap: (logger) => Object.fromEntries(['log', 'info', 'warn', 'error'].map((m) => [m, (...args) => {
+            clear(); logger[m](...args); if (tty) draw();
+        }])),
+        end: clear
+    };
+};
+
+// flag → option; only flags actually given are applied, so config/preset values and library defaults hold otherwise
+const FLAG_OPTIONS = [
+    ['overwrite', 'overwrite', getBool],
+    ['backup', 'backup', (m, k) => { const v = getStr(m, k); return v === 'false' ? false : v; }],
+    ['backup-dir', 'backupDir', (m, k) => path.resolve(getStr(m, k))],
+    ['backup-retention', 'backupRetentionDays', (m, k) => getInt(m, k, undefined, 0)],
+
+    // format & quality
+    ['format', 'format', getStr],
+    ['fallback-format', 'fallbackFormat', getStr],
+    ['quality', 'quality', getIntMin(1)],
+    ['max-width', 'maxWidth', getIntMin(1)],
+    ['max-height', 'maxHeight', getIntMin(1)],
+    ['sizes', 'sizes', (m, k) => getList(m, k).map(parseSize)],
+    ['metadata', 'metadata', getStr],
+    ['colorspace', 'colorspace', getStr],
+    ['bit-depth', 'bitDepth', (m, k) => { const v = getStr(m, k); return /^\d+$/.test(v) ? Number(v) : v; }],
+    ['fit', 'fit', getStr],
+    ['aspect-ratio', 'aspectRatio', getStr],
+    ['position', 'position', getStr],
+    ['background', 'background', getStr],
+    ['enlarge', 'enlarge', getBool],
+    ['max-bytes', 'maxBytes', getBytes],
+    ['min-quality', 'minQuality', getIntMin(1)],
+    ['max-quality', 'maxQuality', getIntMin(1)],
+    ['downscale-to-fit', 'downscaleToFit', getBool],
+    ['preserve-animation', 'preserveAnimation', getBool],
+    ['animation-fallback', 'animationFallback', getStr],
+    // bare --verify reads headers back
+    ['verify', 'verify', (m, k) => { const v = getStr(m, k); return v === 'true' ? 'header' : v === 'false' ? false : v; }],
+
+    // concurrency
+    ['auto', 'auto', getBool],
+    ['concurrency', 'concurrency', getIntMin(1)],
+    ['min-concurrency', 'minConcurrency', getIntMin(1)],
+    ['max-concurrency', 'maxConcurrency', getIntMin(1)],
+    ['target-latency', 'targetLatencyMs', getIntMin(10)],
+    ['window', 'windowMs', getIntMin(200)],
+    ['lag-threshold', 'lagThresholdMs', getIntMin(5)],
+    ['memory-budget', 'memoryBudget', getBytes],
+    ['max-pixels', 'maxPixels', getPixels],
+    ['oversize', 'oversize', getStr],
+    ['max-attempts', 'maxAttempts', getIntMin(1)],
+    ['retry-delay', 'retryDelayMs', getIntMin(0)],
+
+    // threads
+    ['auto-threads', 'autoThreads', getBool],
+    ['target-threads', 'targetThreads', getIntMin(1)],
+    ['sharp-threads', 'sharpThreads', (m, k) => parseInt(m.get(k), 10)],
+    ['min-sharp-threads', 'minSharpThreads', getIntMin(1)],
+    ['max-sharp-threads', 'maxSharpThreads', getIntMin(1)],
+
+    // incremental & planning
+    ['incremental', 'incremental', getBool],
+    ['manifest', 'manifestPath', getStr],
+    ['prune-orphans', 'pruneOrphans', getBool],
+    ['dry-run', 'dryRun', getBool],
+    ['report', 'report', (m, k) => path.resolve(getStr(m, k))],
+    ['report-format', 'reportFormat', getStr],
+    ['resume', 'resume', getBool],
+    ['journal', 'journal', getBool],
+    ['watch-stability', 'watchStabilityMs', getIntMin(0)],
+
+    // HTTP server (serve)
+    ['port', 'servePort', (m, k) => getInt(m, k, undefined, 0)],
+    ['host', 'serveHost', getStr],
+    ['allow-widths', 'serveWidths', getIntList],
+    ['allow-heights', 'serveHeights', getIntList],
+    ['allow-formats', 'serveFormats', getList],
+    ['allow-qualities', 'serveQualities', getIntList],
+    // 0: no cap
+    ['cache-size', 'serveCacheBytes', (m, k) => getBytes(m, k) || null],
+
+    ['include-ext', 'includeExt', getList],
+    ['exclude-ext', 'excludeExt', getList],
+
+    // input filters
+    ['include', 'includeGlobs', getGlobList],
+    ['exclude', 'excludeGlobs', getGlobList],
+    ['ignore-file', 'ignoreFiles', (m, k) => (getStr(m, k) === 'false' ? [] : getList(m, k))],
+    ['min-source-bytes', 'minSourceBytes', getBytes],
+    ['max-source-bytes', 'maxSourceBytes', getBytes],
+    ['min-source-width', 'minSourceWidth', getIntMin(1)],
+    ['max-source-width', 'maxSourceWidth', getIntMin(1)],
+    ['min-source-height', 'minSourceHeight', getIntMin(1)],
+    ['max-source-height', 'maxSourceHeight', getIntMin(1)],
+    ['modified-after', 'modifiedAfter', getDate],
+    ['modified-before', 'modifiedBefore', getDate],
+    ['taken-after', 'takenAfter', getDate],
+    ['taken-before', 'takenBefore', getDate],
+    // duplicates: bare --dedupe means exact matches
+    ['dedupe', 'dedupe', (m, k) => { const v = getStr(m, k); return v === 'true' ? 'exact' : v === 'false' ? false : v; }],
+    ['dedupe-action', 'dedupeAction', getStr],
+    ['dedupe-threshold', 'dedupeThreshold', (m, k) => getInt(m, k, 5, 0)],
+
+    // flatten
+    ['flatten', 'flatten', getBool],
+    ['flatten-strategy', 'flattenStrategy', getStr],
+    ['flatten-sep', 'flattenSep', getStr],
+    ['max-filename-bytes', 'maxFilenameBytes', getIntMin(50)],
+    ['name', 'nameTemplate', (m, k) => (getStr(m, k) === 'false' ? null : getStr(m, k))],
+
+    // DS_Store & cleanup
+    ['skip-dsstore', 'skipDSStore', getBool],
+    ['prune-dsstore', 'pruneDSStore', getBool],
+    ['prune-empty-dirs', 'pruneEmptyDirs', getBool],
+
+    // external converters & macOS fallbacks
+    ['converters', 'converters', (m, k) => (getStr(m, k) === 'false' ? [] : getList(m, k))],
+    ['heic-fallback', 'heicFallback', getStr],
+    ['jpeg-fallback', 'jpegFallback', getStr],
+    ['verbose-errors', 'verboseErrors', getBool]
+];
 
 (async () => {
     const { positionals, flags } = parseArgs(process.argv);
@@ -51,6 +288,8 @@ const getList = (m, k) => m.has(k) ? String(m.get(k)).split(',').map(s => s.trim
     if (getBool(flags, 'help') || getBool(flags, 'h')) {
         console.log(`batch-image-resizer (v${pkg.version})
 Usage: batch-image-resizer [INPUT_DIR] [OUTPUT_DIR] [flags...]
+       batch-image-resizer serve [INPUT_DIR] [CACHE_DIR] [flags...]
+       batch-image-resizer restore <UNDO_LOG | BACKUP_DIR>
 
 Positionals:
   INPUT_DIR                 Source directory (default: ./images)
@@ -60,18 +299,137 @@ Defaults (macOS):
   format=jpeg, prune-dsstore=true, prune-empty-dirs=true, verbose-errors=true
   heic-fallback=auto, jpeg-fallback=auto
 
+Config:
+  --config <file>           Config file (default: nearest .batch-image-resizer.json from the cwd up; JS configs,
+                            .js/.cjs/.mjs or batch-image-resizer.config.*, load only when named; 'false' to ignore)
+  --preset <name>           Apply a named preset from the config; explicit flags still win
+
 Core:
-  --overwrite               Overwrite in place (⚠ destructive)
-  --quality <1..100>        JPEG/WEBP/AVIF/HEIF/TIFF quality (default: 85)
+  --overwrite               Overwrite in place; replaced originals are kept in INPUT_DIR/.originals
+  --backup <mode>           Where --overwrite keeps originals: mirror (same relative paths, default) |
+                            dated (a folder per run) | false (⚠ destructive: originals are gone)
+  --backup-dir <dir>        Backup location (default: INPUT_DIR/.originals)
+  --backup-retention <days> Prune backups from runs older than this when an overwrite run starts
+  --quality <1..100>        JPEG/WEBP/AVIF/HEIF/TIFF quality (default: 85); overrides a config's encoder block qualities
   --max-width <px>          Resize bound width (default: 1920)
   --max-height <px>         Resize bound height (default: 1080)
-  --format <fmt>            Output format: same|jpeg|jpg|png|webp|avif|heif|heic|tiff (default: jpeg)
+  --format <fmt>            Output format: same|jpeg|jpg|png|webp|avif|heif|heic|tiff|gif (default: jpeg)
   --fallback-format <fmt>   If primary encode fails/unsupported, try this format (e.g., jpeg)
+  --sizes <list>            Renditions per source, e.g. 320,640,1280x720,640:webp:75
+                            (each decoded once; outputs named photo-640w.jpg; overrides max-width/height)
+  --metadata <mode>         strip (default) | keep | keep-no-gps | copyright-only
+                            (EXIF/XMP/ICC; 'keep*' embeds the output's ICC profile and resets orientation after auto-rotate)
+  --colorspace <policy>     srgb (default: convert, untagged) | preserve (keep the source's space and ICC profile) |
+                            convert-to:<srgb|p3|cmyk|file.icc> (convert and embed; cmyk needs jpeg or tiff output)
+  --bit-depth <n>           8 (default) | 16 | source (16 when the source is): 16-bit PNG/TIFF, 12-bit AVIF,
+                            where the installed sharp can write them
+
+Geometry:
+  --fit <mode>              inside (default) | cover | contain | fill | outside, against max-width × max-height
+  --aspect-ratio <w:h>      Output shape, e.g. 16:9 or 1:1 (largest box of that shape within the bounds)
+  --position <p>            cover/contain anchor: centre, north, …, northwest, or smart crop: attention | entropy
+  --background <colour>     contain padding, e.g. '#000' or 'rgba(0,0,0,0)' (default: white for jpeg, else transparent)
+  --enlarge                 Upscale sources smaller than the box (default: never enlarge)
+
+Watermark (composited after resizing, also onto what external converters decode):
+  --watermark <image>       Overlay image (PNG with alpha works best); 'false' turns off a configured one
+  --watermark-text <text>   Text instead of an image (--watermark-font, --watermark-color '#ffffff')
+  --watermark-position <g>  Gravity: southeast (default), south, southwest, west, northwest, north, northeast, east, centre
+  --watermark-margin <px>   Distance from the edges (default: 16)
+  --watermark-opacity <0-1> Default: 0.5
+  --watermark-scale <0-1>   Width as a fraction of the output width (default: 0.2)
+  --watermark-min-width <px>   Outputs narrower than this stay unmarked (default: 300; --watermark-min-height: 200)
+
+Animation (GIF/WebP sources with more than one frame):
+  --preserve-animation false  Resize the first frame only (default: every frame, when the output is webp or gif)
+  --animation-fallback <p>  When the output format can't animate (jpeg, png, avif, …):
+                            first-frame (default) | copy (the source as it is) | error
+
+Verification:
+  --verify [mode]           Read each output back before it is published: 'header' (format and dimensions,
+                            the default) or 'decode' (also decodes every pixel); failures take the fallbacks.
+                            Results always record the output's sha256
+
+Byte budget (jpeg/webp/avif/heif):
+  --max-bytes <n>           Search quality until each output fits, e.g. 500k (result records quality & bytes)
+  --min-quality <1..100>    Lowest quality the search may go to (default: 40)
+  --max-quality <1..100>    Highest quality tried (default: the output's normal quality)
+  --downscale-to-fit        If min-quality is still too big, shrink dimensions in 15% steps until it fits
+
+Encoders (also used when the format is the fallback; name or name=value, comma-separated):
+  --jpeg-options <opts>     e.g. mozjpeg,progressive,quality=80,chromaSubsampling=4:4:4
+  --png-options <opts>      e.g. palette,quality=70,effort=7,compressionLevel=9
+  --webp-options <opts>     e.g. lossless,effort=6 or quality=75,smartSubsample,preset=photo
+  --avif-options <opts>     e.g. effort=6,chromaSubsampling=4:4:4,bitdepth=10
+  --heif-options <opts>     e.g. effort=6,quality=60
+  --tiff-options <opts>     e.g. compression=lzw,predictor=horizontal
+  --gif-options <opts>      e.g. colours=64,effort=7,dither=0.5
+
+Planning:
+  --dry-run                 Print what each file would become (and name collisions); write nothing
+
+Report:
+  --report <file>           Write per-file sizes, dimensions, encoder/quality, route (sharp, external, fallback, copy)
+                            and timing, plus byte totals; .json, .csv or .ndjson (format from the extension)
+  --report-format <f>       json, csv or ndjson, whatever the extension
+
+Progress:
+  --progress false          Hide the live progress line (files done/total, MB/s, concurrency cap, ETA)
+  --progress-interval <s>   Seconds between plain progress lines when stderr isn't a TTY (default: 10)
+
+Watch:
+  --watch                   Process INPUT_DIR once, then keep processing new/changed files until Ctrl-C
+                            (implies --incremental; with --prune-orphans, deleting a source removes its outputs)
+  --watch-stability <ms>    Wait until a file's size is unchanged for this long before processing (default: 1000)
+
+Restore (undo an --overwrite run):
+  restore <log>             Put the originals listed in an undo log back and remove the run's outputs;
+                            given the backup dir, restores its newest run (restore newest first)
+
+Serve (resize on request: GET /img/<path under INPUT_DIR>?w=800&h=600&format=webp&q=75):
+  serve                     Run an HTTP server instead of a batch; results are cached in CACHE_DIR (default: ./output)
+                            with ETags, and the format, encoder, metadata, fit and watermark flags set the defaults
+  --port <n>                Port to listen on (default: 8080; 0 picks a free one)
+  --host <addr>             Address to bind (default: 127.0.0.1)
+  --allow-widths <list>     Only these ?w= values, e.g. 320,640,1280 (default: any up to --max-width)
+  --allow-heights <list>    Only these ?h= values (default: any up to --max-height)
+  --allow-formats <list>    Only these ?format= values, e.g. webp,avif (default: any)
+  --allow-qualities <list>  Only these ?q= values, e.g. 60,75,90 (default: any 1..100)
+  --cache-size <bytes>      Cap CACHE_DIR at this size, evicting the least recently served results first,
+                            e.g. 5G (default: 1G; 0: no cap)
+
+Interrupt & resume:
+  Ctrl-C stops scheduling, lets in-flight files finish and keeps a journal in OUTPUT_DIR (Ctrl-C twice forces)
+  --resume                  Continue an interrupted run, skipping files the journal lists as done
+  --journal false           Don't write the resume journal
+
+Incremental:
+  --incremental             Skip sources unchanged since the last run (manifest kept in OUTPUT_DIR)
+  --manifest <file>         Manifest location (default: OUTPUT_DIR/.batch-image-resizer-manifest.json)
+  --prune-orphans           With --incremental, delete outputs whose source was removed
 
 Compatibility:
   --include-ext a,b,c       Override allow-list (dot optional)
   --exclude-ext a,b,c       Remove from allow-list
 
+Filtering (filtered-out files are reported as skipped, never copied):
+  --include <globs>         Only process paths matching one of these, e.g. '**/*.{jpg,heic}'
+  --exclude <globs>         Skip matching paths, e.g. '**/raw/**,*_thumb.*' (no '/' = match file name anywhere)
+  --ignore-file <names>     .gitignore-style files read per directory (default: .batch-image-resizer-ignore;
+                            e.g. '.gitignore,.batch-image-resizer-ignore'; 'false' to disable)
+  --min-source-bytes <n>    Skip smaller sources (200k, 1.5M, …); --max-source-bytes for larger
+  --min-source-width <px>   Skip narrower sources (as displayed); also --max-source-width,
+                            --min-source-height, --max-source-height
+  --modified-after <date>   Only sources modified at/after this ISO date; --modified-before for earlier
+  --taken-after <date>      Only photos taken at/after this date (EXIF, else mtime); --taken-before
+
+Duplicates:
+  --dedupe [mode]           Process copies of the same photo once: 'exact' (same bytes, the default) or
+                            'perceptual' (also near-identical pixels, e.g. re-saved or resized copies)
+  --dedupe-action <a>       What the other copies get: 'skip' (default), 'hardlink' or 'symlink' to the
+                            first copy's outputs
+  --dedupe-threshold <n>    Max differing bits (of 64) for a perceptual match (default: 5)
+
 Performance (fixed vs adaptive):
   --concurrency <n>         Fixed images in flight (omit to use default)
   --auto                    Enable adaptive concurrency (AIMD)
@@ -80,6 +438,12 @@ Performance (fixed vs adaptive):
   --target-latency <ms>     Target avg latency per image (default: 450)
   --window <ms>             Feedback window (default: 1500)
   --lag-threshold <ms>      Event-loop lag threshold (default: 60)
+  --memory-budget <bytes>   Admit images while their estimated decode memory fits, e.g. 4G; an image
+                            bigger than the whole budget runs alone (default: count images only)
+  --max-pixels <n>          Pixel limit per image (width × height), e.g. 100000000 or 100M
+  --oversize <p>            Images over --max-pixels: 'error' (default), 'skip' or 'copy' as they are
+  --max-attempts <n>        Attempts per file on transient errors like EMFILE/ENOMEM/ENOSPC (default: 3)
+  --retry-delay <ms>        Wait before the first retry, doubling after each (default: 500)
 
 Sharp thread pool:
   --auto-threads            Auto-size sharp.concurrency() based on current in-flight
@@ -95,109 +459,279 @@ Flatten:
   --flatten-sep <s>         Separator for 'path' strategy (default: _)
   --max-filename-bytes <n>  Max UTF-8 bytes for a single filename (default: 200)
 
+Naming:
+  --name <template>         Output path template; replaces flatten/mirroring ('false' turns off a configured one)
+                            e.g. '{date:YYYY/MM}/{stem}-{width}x{height}.{ext}'; '/' makes subfolders
+                            Tokens: {stem} {dir} {hash[:n]} {width} {height} {format} {ext}
+                                    {date[:YYYY-MM-DD HH mm ss]} {index[:pad]} {rendition}
+
+External converters (tried in order when sharp can't read or write a file):
+  --converters <list>       sips (default), magick, heif-convert; 'false' for none. sips still follows
+                            --heic-fallback / --jpeg-fallback
+  --converter-command <cmd> Extra converter run without a shell, e.g. 'vips copy {input} {output}'; it writes a
+                            PNG that sharp then resizes. Tokens: {input} {output} {format} {quality} {width} {height} {size}
+
 macOS helpers:
   --skip-dsstore            Skip '.DS_Store' files (default: true)
   --prune-dsstore           After processing, remove '.DS_Store' files (input & output) [default: true]
   --prune-empty-dirs        Remove empty directories from the OUTPUT tree after run [default: true]
-  --heic-fallback <none|sips|auto>  Try 'sips' if HEIC→JPEG via sharp fails (default auto on macOS; none elsewhere)
-  --jpeg-fallback <none|sips|auto>  Try 'sips' if JPEG→JPEG via sharp fails (default auto on macOS; none elsewhere)
+  --heic-fallback <none|sips|auto>  Use sips for HEIC/HEIF files sharp fails on (default auto on macOS; none elsewhere)
+  --jpeg-fallback <none|sips|auto>  Use sips for JPEG files sharp fails on (default auto on macOS; none elsewhere)
   --verbose-errors          Include underlying error messages in logs [default: true]
 
 Examples:
   batch-image-resizer ./photos ./out --auto --auto-threads
   batch-image-resizer ./photos ./out --format heic --fallback-format jpeg
+  batch-image-resizer ./iphone ./out --converters heif-convert,magick
   batch-image-resizer ./photos ./out --format jpeg --quality 80
+  batch-image-resizer ./photos ./out --format webp --sizes 320,640,1280,2048
+  batch-image-resizer ./avatars ./out --fit cover --position attention --max-width 400 --max-height 400 --enlarge
+  batch-image-resizer ./photos ./out --preset web --quality 70
+  batch-image-resizer ./dropbox ./out --watch --prune-orphans
+  batch-image-resizer serve ./photos ./cache --allow-widths 320,640,1280 --allow-formats webp,avif,jpeg
+  batch-image-resizer ./camera ./library --name '{date:YYYY/MM}/{date:YYYYMMDD}-{index:4}.{ext}'
 `);
         process.exit(0);
     }
 
-    // Positionals: INPUT_DIR [OUTPUT_DIR]
-    const overwrite = getBool(flags, 'overwrite');
-    const inputDir = path.resolve(positionals[0] || './images');
-    const outputDir = overwrite ? undefined : path.resolve(positionals[1] || './output');
+    // restore <undo log | backup dir> needs no config
+    if (positionals[0] === 'restore') {
+        if (!positionals[1]) {
+            console.error('Error: restore needs an undo log, or the backup dir to restore its newest run.');
+            process.exit(1);
+        }
+        try {
+            const r = await restoreOriginals(positionals[1], { logger: console });
+            console.log(`\nRestored. originals=${r.restored} removed=${r.removed} missing=${r.missing}`);
+            if (r.missing) console.log(`Backups were missing for ${r.missing} file(s); ${r.log} was kept.`);
+            process.exit(r.missing ? 1 : 0);
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+    }
 
-    // flatten handling: undefined means "use default (true)"
-    const flattenFlag = flags.has('flatten') ? getBool(flags, 'flatten') : undefined;
-    const effectiveFlatten = (flattenFlag === undefined) ? true : !!flattenFlag;
+    // Positionals: [serve] INPUT_DIR [OUTPUT_DIR]
+    const serve = positionals[0] === 'serve';
+    if (serve) positionals.shift();
+    const options = {};
+    if (positionals[0]) options.inputDir = path.resolve(positionals[0]);
+    if (positionals[1]) options.outputDir = path.resolve(positionals[1]);
 
-    if (overwrite && effectiveFlatten) {
+    let cfg;
+    try {
+        for (const [flag, key, read] of FLAG_OPTIONS) {
+            if (flags.has(flag)) options[key] = read(flags, flag);
+        }
+        // --jpeg-options mozjpeg,progressive … build one `encoders` block per format
+        for (const fmt of ENCODER_FLAGS) {
+            const flag = `${fmt}-options`;
+            if (flags.has(flag)) options.encoders = { ...options.encoders, [fmt]: parseEncoderOptions(flags.get(flag)) };
+        }
+        // --watermark <image> | false, plus --watermark-* fields (merged over the config's watermark)
+        if (flags.has('watermark')) {
+            const wm = getStr(flags, 'watermark');
+            options.watermark = wm === 'false' ? null : { image: path.resolve(wm) };
+        }
+        for (const [flag, field, read] of WATERMARK_FLAGS) {
+            if (flags.has(flag) && options.watermark !== null) options.watermark = { ...options.watermark, [field]: read(flags, flag) };
+        }
+        // --config <file>, --config false; otherwise look for a project config from the cwd up
+        const configFlag = getStr(flags, 'config', null);
+        cfg = await resolveOptions({
+            ...options,
+            config: configFlag === null ? true : (configFlag === 'false' ? false : configFlag),
+            preset: getStr(flags, 'preset', null),
+            logger: console // for the warning about a JS config the search skips
+        });
+        // --converter-command '<cmd> {input} {output}' runs after the configured converters
+        if (flags.has('converter-command')) {
+            cfg.converters = [...(cfg.converters || []), { name: 'command', command: getStr(flags, 'converter-command') }];
+        }
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+
+    if (cfg.overwrite && cfg.flatten) {
         console.error('Error: --flatten cannot be used with --overwrite. Choose one.');
         process.exit(1);
     }
+    const watch = getBool(flags, 'watch');
+    if (watch && (cfg.overwrite || cfg.dryRun)) {
+        console.error(`Error: --watch cannot be used with ${cfg.overwrite ? '--overwrite' : '--dry-run'}.`);
+        process.exit(1);
+    }
+    if (serve && (cfg.overwrite || cfg.dryRun || watch)) {
+        console.error(`Error: serve cannot be used with ${cfg.overwrite ? '--overwrite' : cfg.dryRun ? '--dry-run' : '--watch'}.`);
+        process.exit(1);
+    }
+
+    if (serve) {
+        console.log(`batch-image-resizer v${pkg.version}`);
+        if (cfg.config) {
+            console.log(`→ Config: ${cfg.config}${cfg.preset ? ` (preset=${cfg.preset})` : ''}`);
+        }
+        console.log(`→ Input: ${path.resolve(cfg.inputDir)}`);
+        console.log(`→ Cache: ${path.resolve(cfg.outputDir)} (${cfg.serveCacheBytes ? `up to ${cfg.serveCacheBytes} bytes` : 'no size cap'})`);
+        console.log(`→ Defaults: ${cfg.maxWidth}×${cfg.maxHeight}, format=${cfg.format}${cfg.fallbackFormat ? ` (fallback=${cfg.fallbackFormat})` : ''}, quality=${cfg.quality}, metadata=${cfg.metadata}`);
+        const allowed = [['w', cfg.serveWidths], ['h', cfg.serveHeights], ['format', cfg.serveFormats], ['q', cfg.serveQualities]]
+            .filter(([, list]) => list).map(([k, list]) => `${k}=${list.join('|')}`);
+        console.log(`→ Allowed: ${allowed.length ? allowed.join(' ') : `any w ≤ ${cfg.maxWidth}, h ≤ ${cfg.maxHeight}, format, q`}`);
+        try {
+            const server = await createServer({
+                ...cfg,
+                config: false, // already applied
+                inputDir: path.resolve(cfg.inputDir),
+                outputDir: path.resolve(cfg.outputDir),
+                logger: console
+            });
+            process.on('SIGINT', () => {
+                console.error('\n⏸ Stopping: finishing requests in progress…');
+                server.close();
+            });
+            const totals = await server.closed;
+            console.log(`\nStopped. requests=${totals.requests} hits=${totals.hits} misses=${totals.misses} not-modified=${totals.notModified} rejected=${totals.rejected} errors=${totals.errors} evicted=${totals.evicted}`);
+            process.exit(0);
+        } catch (err) {
+            console.error('Fatal:', err.message || err);
+            process.exit(1);
+        }
+    }
 
-    const options = {
-        inputDir,
-        outputDir,
-        overwrite,
-
-        // format & quality
-        format: getStr(flags, 'format', 'jpeg'),
-        fallbackFormat: getStr(flags, 'fallback-format', null),
-        quality: getInt(flags, 'quality', 85, 1),
-        maxWidth: getInt(flags, 'max-width', 1920, 1),
-        maxHeight: getInt(flags, 'max-height', 1080, 1),
-
-        // concurrency
-        auto: getBool(flags, 'auto'),
-        concurrency: flags.has('concurrency') ? getInt(flags, 'concurrency', 2, 1) : null,
-        minConcurrency: getInt(flags, 'min-concurrency', 1, 1),
-        maxConcurrency: getInt(flags, 'max-concurrency', Math.max(2, os.cpus()?.length || 4), 1),
-        targetLatencyMs: getInt(flags, 'target-latency', 450, 10),
-        windowMs: getInt(flags, 'window', 1500, 200),
-        lagThresholdMs: getInt(flags, 'lag-threshold', 60, 5),
-
-        // threads
-        autoThreads: getBool(flags, 'auto-threads'),
-        targetThreads: getInt(flags, 'target-threads', os.cpus()?.length || 4, 1),
-        sharpThreads: flags.has('sharp-threads') ? parseInt(flags.get('sharp-threads'), 10) : null,
-        minSharpThreads: getInt(flags, 'min-sharp-threads', 1, 1),
-        maxSharpThreads: getInt(flags, 'max-sharp-threads', Math.max(2, os.cpus()?.length || 4), 1),
-
-        includeExt: getList(flags, 'include-ext'),
-        excludeExt: getList(flags, 'exclude-ext'),
-
-        // flatten (omit property when user didn't pass it, so library default applies)
-        ...(flattenFlag !== undefined ? { flatten: flattenFlag } : {}),
-        flattenStrategy: getStr(flags, 'flatten-strategy', 'hash'),
-        flattenSep: getStr(flags, 'flatten-sep', '_'),
-        maxFilenameBytes: getInt(flags, 'max-filename-bytes', 200, 50),
-
-        // DS_Store & cleanup (library defaults are true; only override if flags present)
-        ...(flags.has('skip-dsstore') ? { skipDSStore: getBool(flags, 'skip-dsstore') } : {}),
-        ...(flags.has('prune-dsstore') ? { pruneDSStore: getBool(flags, 'prune-dsstore') } : {}),
-        ...(flags.has('prune-empty-dirs') ? { pruneEmptyDirs: getBool(flags, 'prune-empty-dirs') } : {}),
-
-        // macOS fallbacks
-        heicFallback: (flags.has('heic-fallback') ? String(flags.get('heic-fallback')) : ((process.platform === 'darwin') ? 'auto' : 'none')),
-        jpegFallback: (flags.has('jpeg-fallback') ? String(flags.get('jpeg-fallback')) : ((process.platform === 'darwin') ? 'auto' : 'none')),
-        ...(flags.has('verbose-errors') ? { verboseErrors: getBool(flags, 'verbose-errors') } : {}),
-
-        logger: console,
+    // First Ctrl-C: graceful stop with a resumable journal; second: exit immediately
+    const controller = new AbortController();
+    process.on('SIGINT', () => {
+        if (controller.signal.aborted) {
+            console.error('\nForced exit (in-flight temp files are swept on the next run).');
+            process.exit(130);
+        }
+        console.error('\n⏸ Stopping: finishing in-flight files (Ctrl-C again to force)…');
+        controller.abort();
+    });
+
+    const display = (getStr(flags, 'progress', 'true') !== 'false' && !cfg.dryRun && !watch)
+        ? createProgressDisplay({ stream: process.stderr, intervalMs: getInt(flags, 'progress-interval', 10, 1) * 1000 })
+        : null;
+    const logger = display ? display.wrap(console) : console;
+
+    const runOptions = {
+        ...cfg,
+        journal: cfg.journal ?? true,
+        config: false, // already applied
+        signal: controller.signal,
+        inputDir: path.resolve(cfg.inputDir),
+        outputDir: cfg.overwrite ? undefined : path.resolve(cfg.outputDir),
+        logger,
         onWindow: ({ inFlightCap, avgLatency, lagMs }) => {
-            if (getBool(flags, 'auto')) {
-                console.log(`↻ window: inflight cap=${inFlightCap}, avg=${avgLatency.toFixed(0)}ms, lag=${lagMs}ms`);
+            if (cfg.auto) {
+                logger.log(`↻ window: inflight cap=${inFlightCap}, avg=${avgLatency.toFixed(0)}ms, lag=${lagMs}ms`);
             }
         }
     };
 
     console.log(`batch-image-resizer v${pkg.version}`);
-    console.log(`→ Input: ${options.inputDir}`);
-    console.log(`→ Mode: ${options.overwrite ? 'OVERWRITE IN PLACE' : `Output → ${options.outputDir}`}`);
-    console.log(`→ Bounds: ${options.maxWidth}×${options.maxHeight}, format=${options.format}${options.fallbackFormat ? ` (fallback=${options.fallbackFormat})` : ''}, quality=${options.quality}`);
-    console.log(`→ Flatten: ${effectiveFlatten ? 'ENABLED (flat output)' : 'DISABLED (preserve dirs)'}`);
-    console.log(`→ DS_Store: ${flags.has('skip-dsstore') ? (getBool(flags, 'skip-dsstore') ? 'SKIP' : 'INCLUDE') : 'SKIP (default)'}${(flags.has('prune-dsstore') ? getBool(flags, 'prune-dsstore') : true) ? ', PRUNE after run (default)' : ''}`);
-    console.log(`→ Empty dirs: ${(flags.has('prune-empty-dirs') ? getBool(flags, 'prune-empty-dirs') : true) ? 'PRUNE' : 'KEEP'}`);
-    console.log(`→ Verbose errors: ${(flags.has('verbose-errors') ? getBool(flags, 'verbose-errors') : true) ? 'ON' : 'OFF'}`);
-    if (!options.includeExt && !options.excludeExt) {
+    if (cfg.config) {
+        console.log(`→ Config: ${cfg.config}${cfg.preset ? ` (preset=${cfg.preset})` : ''}`);
+    }
+    console.log(`→ Input: ${runOptions.inputDir}`);
+    console.log(`→ Mode: ${cfg.overwrite ? 'OVERWRITE IN PLACE' : `Output → ${runOptions.outputDir}`}${cfg.dryRun ? ' (DRY RUN, nothing is written)' : ''}`);
+    if (cfg.overwrite) {
+        const dir = cfg.backupDir || path.join(runOptions.inputDir, '.originals');
+        console.log(`→ Originals: ${cfg.backup ? `${cfg.backup} backup in ${dir}${cfg.backupRetentionDays != null ? `, pruned after ${cfg.backupRetentionDays} day(s)` : ''}` : 'NOT KEPT'}`);
+    }
+    console.log(`→ Bounds: ${cfg.sizes ? `sizes=${cfg.sizes.map((r) => (typeof r === 'number' ? r : r.suffix || `${r.width || ''}${r.height ? `x${r.height}` : ''}`)).join(',')}` : `${cfg.maxWidth}×${cfg.maxHeight}`}, format=${cfg.format}${cfg.fallbackFormat ? ` (fallback=${cfg.fallbackFormat})` : ''}, quality=${cfg.quality}`);
+    if (cfg.fit !== 'inside' || cfg.aspectRatio || cfg.enlarge) {
+        console.log(`→ Fit: ${cfg.fit}${cfg.aspectRatio ? ` ${cfg.aspectRatio}` : ''}${['cover', 'contain'].includes(cfg.fit) ? `, position=${cfg.position}` : ''}${cfg.enlarge ? ', enlarge' : ''}`);
+    }
+    if (cfg.watermark) {
+        const wm = typeof cfg.watermark === 'string' ? { image: cfg.watermark } : cfg.watermark;
+        console.log(`→ Watermark: ${wm.image || `"${wm.text}"`}${wm.position ? ` @ ${wm.position}` : ''}`);
+    }
+    console.log(`→ Metadata: ${cfg.metadata}`);
+    if (cfg.colorspace !== 'srgb' || cfg.bitDepth !== 8) {
+        console.log(`→ Colour: ${cfg.colorspace}${cfg.bitDepth !== 8 ? `, bit depth ${cfg.bitDepth}` : ''}`);
+    }
+    if (!cfg.preserveAnimation || cfg.animationFallback !== 'first-frame') {
+        console.log(`→ Animation: ${cfg.preserveAnimation ? `keep frames, ${cfg.animationFallback} for still formats` : 'first frame only'}`);
+    }
+    if (cfg.verify) console.log(`→ Verify: ${cfg.verify}`);
+    if (cfg.maxBytes) {
+        console.log(`→ Byte budget: ${cfg.maxBytes} bytes, quality ${cfg.minQuality}..${cfg.maxQuality ?? 'default'}${cfg.downscaleToFit ? ', downscale to fit' : ''}`);
+    }
+    if (cfg.encoders && Object.keys(cfg.encoders).length) {
+        const desc = (opts) => Object.entries(opts).map(([k, v]) => (v === true ? k : `${k}=${v}`)).join(',');
+        console.log(`→ Encoders: ${Object.entries(cfg.encoders).map(([fmt, opts]) => `${fmt}(${desc(opts)})`).join(' ')}`);
+    }
+    if (cfg.nameTemplate) console.log(`→ Names: ${cfg.nameTemplate}`);
+    else console.log(`→ Flatten: ${cfg.flatten ? 'ENABLED (flat output)' : 'DISABLED (preserve dirs)'}`);
+    console.log(`→ DS_Store: ${cfg.skipDSStore ? 'SKIP' : 'INCLUDE'}${cfg.pruneDSStore ? ', PRUNE after run' : ''}`);
+    if (cfg.incremental || watch) {
+        console.log(`→ Incremental: ON${cfg.pruneOrphans ? ', PRUNE orphans' : ''}`);
+    }
+    if (watch) {
+        console.log(`→ Watch: ON (stability ${cfg.watchStabilityMs}ms)`);
+    }
+    if (cfg.dedupe) {
+        console.log(`→ Dedupe: ${cfg.dedupe}${cfg.dedupe === 'perceptual' ? ` (threshold ${cfg.dedupeThreshold})` : ''}, ${cfg.dedupeAction} copies`);
+    }
+    if (cfg.memoryBudget || cfg.maxPixels) {
+        console.log(`→ Memory: ${cfg.memoryBudget ? `budget ${cfg.memoryBudget} bytes` : 'no budget'}${cfg.maxPixels ? `, max ${cfg.maxPixels} pixels (oversize: ${cfg.oversize})` : ''}`);
+    }
+    console.log(`→ Empty dirs: ${cfg.pruneEmptyDirs ? 'PRUNE' : 'KEEP'}`);
+    if (JSON.stringify(cfg.converters) !== '["sips"]') {
+        console.log(`→ Converters: ${cfg.converters && cfg.converters.length ? cfg.converters.map((c) => (typeof c === 'string' ? c : c.name)).join(', ') : 'none'}`);
+    }
+    console.log(`→ Verbose errors: ${cfg.verboseErrors ? 'ON' : 'OFF'}`);
+    if (!cfg.includeExt && !cfg.excludeExt) {
         console.log(`→ Convertible extensions: ${DEFAULT_ALLOW_EXT.join(' ')}`);
     }
 
+    if (watch) {
+        try {
+            const watcher = await watchImages(runOptions);
+            const live = await watcher.closed;
+            const sum = (k) => watcher.initial[k] + live[k];
+            console.log(`\nStopped watching. converted=${sum('converted')} copied=${sum('copied')} kept=${sum('kept')} skipped=${sum('skipped')} errors=${sum('errors')}`);
+            process.exit(sum('errors') > 0 ? 1 : 0);
+        } catch (err) {
+            console.error('Fatal:', err.message || err);
+            process.exit(1);
+        }
+    }
+
     try {
-        const summary = await resizeImages(options);
+        let summary;
+        for await (const ev of resizeImagesIter(runOptions)) {
+            if (ev.type === 'done') summary = ev.summary;
+            else if (display) display.update(ev.totals);
+        }
+        display && display.end();
         const code = summary.errors > 0 ? 1 : 0;
-        console.log(`\nDone. converted=${summary.converted} copied=${summary.copied} kept=${summary.kept} errors=${summary.errors}`);
+        if (summary.aborted) {
+            const why = summary.abortReason ? `Stopped: ${summary.abortReason}.` : 'Interrupted.';
+            console.log(`\n${why} converted=${summary.converted} copied=${summary.copied} kept=${summary.kept} skipped=${summary.skipped} errors=${summary.errors}`);
+            console.log('Run the same command with --resume to continue.');
+            if (summary.undoLog) console.log(`Or undo what was done: batch-image-resizer restore ${summary.undoLog}`);
+            process.exit(130);
+        }
+        const linked = summary.linked !== undefined ? ` linked=${summary.linked}` : '';
+        if (summary.dryRun) {
+            console.log(`\nPlan. converted=${summary.converted} copied=${summary.copied}${linked} kept=${summary.kept} skipped=${summary.skipped} collisions=${summary.collisions}`);
+            printDuplicates(summary.duplicates);
+            process.exit(0);
+        }
+        console.log(`\nDone. converted=${summary.converted} copied=${summary.copied}${linked} kept=${summary.kept} skipped=${summary.skipped} errors=${summary.errors}`);
+        const { inputBytes, outputBytes, ratio } = summary.totals;
+        if (inputBytes) {
+            const mb = (n) => (n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`);
+            console.log(`Bytes: ${mb(inputBytes)} → ${mb(outputBytes)} (${(ratio * 100).toFixed(1)}% of input) in ${(summary.totals.elapsedMs / 1000).toFixed(1)}s`);
+        }
+        printDuplicates(summary.duplicates);
+        if (summary.undoLog) console.log(`Originals backed up; undo with: batch-image-resizer restore ${summary.undoLog}`);
         process.exit(code);
     } catch (err) {
+        display && display.end();
         console.error('Fatal:', err.message || err);
         process.exit(1);
     }
@@ -5,7 +5,7 @@
  * v1.4.6
  * - Defaults: format=jpeg, pruneDSStore/pruneEmptyDirs/verboseErrors enabled
  * - Atomic writes to avoid 0-byte outputs
- * - Robust HEIC handling + macOS 'sips' fallback; JPEG fallback too
+ * - Robust HEIC handling + external converter fallbacks (sips, magick, heif-convert, commands)
  * - Flatten default on; safe filename collisions
  */
 
@@ -14,7 +14,9 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const http = require('http');
 const { spawn } = require('child_process');
+const { Transform } = require('stream');
 const sharp = require('sharp');
 
 // ---------------- Defaults ----------------
@@ -27,6 +29,10 @@ const DEFAULTS = {
   inputDir: './images',
   outputDir: './output',
   overwrite: false,
+  // overwrite mode keeps every original it replaces, plus an undo log for restoreOriginals / `restore`
+  backup: 'mirror',       // 'mirror' (<backupDir>/<same relative path>) | 'dated' (<backupDir>/<run time>/…) | false
+  backupDir: null,        // default: <inputDir>/.originals
+  backupRetentionDays: null, // prune backups of runs older than this when an overwrite run starts
 
   // format & quality
   format: 'jpeg',       // DEFAULT CHANGED
@@ -34,6 +40,26 @@ const DEFAULTS = {
   quality: 85,
   maxWidth: 1920,
   maxHeight: 1080,
+  sizes: null,          // renditions; overrides maxWidth/maxHeight when set
+  fit: 'inside',        // 'inside' | 'cover' | 'contain' | 'fill' | 'outside'
+  aspectRatio: null,    // e.g. '16:9' or 1: the output box is the largest of that shape within the bounds
+  position: 'centre',   // cover/contain placement: gravity (north, southeast, …) or 'attention' | 'entropy'
+  background: null,     // contain padding; default white for jpeg, transparent otherwise
+  enlarge: false,       // allow upscaling smaller sources to the box
+  watermark: null,      // image path, or { image | text, position, margin, opacity, scale, minWidth, minHeight, … }
+  metadata: 'strip',    // 'strip' | 'keep' | 'keep-no-gps' | 'copyright-only'
+  colorspace: 'srgb',   // 'srgb' | 'preserve' (the source's space & ICC profile) | 'convert-to:<srgb|p3|cmyk|ICC file>'
+  bitDepth: 8,          // 8 | 16 | 'source' (16 when the source is): PNG/TIFF 16-bit, AVIF 12-bit where sharp can
+  encoders: null,       // per-format sharp options, e.g. { jpeg: { mozjpeg: true }, png: { palette: true } }
+  preserveAnimation: true,         // animated GIF/WebP keep every frame when the output format can animate
+  animationFallback: 'first-frame', // when it can't (jpeg, png, avif, …): 'first-frame' | 'copy' | 'error'
+  verify: false,        // false | 'header' (read back: format, size) | 'decode' (also a full decode); failures fall back
+
+  // byte budget (jpeg/webp/avif/heif): search quality until each output fits
+  maxBytes: null,
+  minQuality: 40,       // lowest quality the search may use
+  maxQuality: null,     // highest; default: the quality the output would otherwise get
+  downscaleToFit: false, // if minQuality still doesn't fit, shrink the bounds step by step
 
   // performance (outer concurrency)
   auto: false,
@@ -43,6 +69,13 @@ const DEFAULTS = {
   targetLatencyMs: 450,
   windowMs: 1500,
   lagThresholdMs: 60,
+  memoryBudget: null,   // bytes of estimated decode memory in flight at once (e.g. 4 GiB); null: count images only
+  maxPixels: null,      // sources with more pixels (width × height, per frame) than this are `oversize`
+  oversize: 'error',    // 'error' | 'skip' | 'copy' (as it is)
+
+  // transient resource errors (EMFILE, ENOMEM, ENOSPC, …) are retried with exponential backoff
+  maxAttempts: 3,       // attempts per file, counting the first
+  retryDelayMs: 500,    // wait before the first retry; doubles for each one after
 
   // sharp threads
   autoThreads: false,
@@ -56,6 +89,7 @@ const DEFAULTS = {
   flattenStrategy: 'hash', // 'hash' | 'path'
   flattenSep: '_',
   maxFilenameBytes: 200,
+  nameTemplate: null,     // e.g. '{date:YYYY/MM}/{stem}-{width}x{height}.{ext}'; replaces flatten/mirroring
 
   // macOS Finder metadata
   skipDSStore: true,
@@ -64,7 +98,39 @@ const DEFAULTS = {
   // cleanup
   pruneEmptyDirs: true,   // DEFAULT CHANGED
 
+  // incremental runs
+  incremental: false,
+  manifestPath: null,     // default: <outputDir>/.batch-image-resizer-manifest.json
+  pruneOrphans: false,    // delete outputs whose source is gone (incremental only)
+
+  // planning
+  dryRun: false,          // resolve src → dest without writing or deleting anything
+
+  // run report: per-file sizes, dimensions, encoder, route & timing, plus byte totals
+  report: null,           // file path; written when the run ends (also for dry runs and aborted runs)
+  reportFormat: null,     // 'json' | 'csv' | 'ndjson'; default from the report's extension
+
+  // cancellation & resume
+  signal: null,           // AbortSignal: stop scheduling, finish in-flight files, resolve with a partial summary
+  journal: null,          // record finished sources so an interrupted run can be resumed (CLI: on unless false)
+  journalPath: null,      // default: <outputDir>/.batch-image-resizer-journal.ndjson (inputDir with overwrite)
+  resume: false,          // skip sources the journal lists as done (implies journal)
+  sweepTempFiles: true,   // remove .tmp-/.sips-tmp- leftovers of crashed runs on startup
+
+  // watch mode (watchImages / --watch)
+  watchStabilityMs: 1000, // a file is picked up once its size & mtime hold still across this interval
+
+  // HTTP server (createServer / serve): GET /img/<path under inputDir>?w=&h=&format=&q=, cached in outputDir
+  servePort: 8080,
+  serveHost: '127.0.0.1',
+  serveWidths: null,      // allowed ?w= values, e.g. [320, 640, 1280]; null: any up to maxWidth
+  serveHeights: null,     // allowed ?h= values; null: any up to maxHeight
+  serveFormats: null,     // allowed ?format= values, e.g. ['webp', 'avif']; null: any output format
+  serveQualities: null,   // allowed ?q= values; null: any 1..100
+  serveCacheBytes: 1024 ** 3, // cap on the cache's total size, least recently served evicted first; null: no cap
+
   // platform fallbacks
+  converters: ['sips'],   // tried in order when sharp fails: 'sips' | 'magick' | 'heif-convert' | { name, command, … }
   heicFallback: (process.platform === 'darwin') ? 'auto' : 'none', // 'none' | 'sips' | 'auto'
   jpegFallback: (process.platform === 'darwin') ? 'auto' : 'none', // 'none' | 'sips' | 'auto'
   verboseErrors: true,    // DEFAULT CHANGED
@@ -73,10 +139,35 @@ const DEFAULTS = {
   includeExt: null,
   excludeExt: null,
 
+  // input filters (filtered-out sources are reported as skipped, never copied)
+  includeGlobs: null,     // e.g. ['**/*.jpg']; patterns without '/' match the file name at any depth
+  excludeGlobs: null,     // e.g. ['**/raw/**', '*_thumb.*']
+  ignoreFiles: ['.batch-image-resizer-ignore'], // .gitignore-style files read from every directory of the tree
+  minSourceBytes: null,
+  maxSourceBytes: null,
+  minSourceWidth: null,   // pixel bounds as displayed (after EXIF rotation)
+  maxSourceWidth: null,
+  minSourceHeight: null,
+  maxSourceHeight: null,
+  modifiedAfter: null,    // Date | ISO string | epoch ms; "after" bounds are inclusive, "before" exclusive
+  modifiedBefore: null,
+  takenAfter: null,       // EXIF DateTimeOriginal (falls back to mtime)
+  takenBefore: null,
+
+  // duplicate sources: processed once, the rest skipped or linked to the first one's outputs
+  dedupe: false,          // false | 'exact' (same bytes) | 'perceptual' (also near-identical pixels)
+  dedupeAction: 'skip',   // 'skip' | 'hardlink' | 'symlink'
+  dedupeThreshold: 5,     // max differing bits of the 64-bit perceptual hash to count as a near match
+
+  // config file (path, true = search from cwd up, null = only when a preset is asked for, false = none) & preset
+  config: true,
+  preset: null,
+
   // hooks
   logger: null,
   onWindow: null,
-  onFile: null
+  onFile: null,
+  onProgress: null
 };
 
 // ---------------- Utils ----------------
@@ -92,6 +183,43 @@ const isTransientResourceError = (err) => {
          msg.includes('no space left') || msg.includes('out of memory');
 };
 
+const isOutOfSpace = (err) => err?.code === 'ENOSPC' || /no space left/i.test(String(err?.message || ''));
+
+// Resolves after `ms`, or as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve) => {
+  if (signal && signal.aborted) return resolve();
+  const done = () => { clearTimeout(timer); signal && signal.removeEventListener('abort', done); resolve(); };
+  const timer = setTimeout(done, ms);
+  signal && signal.addEventListener('abort', done, { once: true });
+});
+
+// An NDJSON log written through one stream. A write error (ENOSPC, EIO) is kept rather than left unhandled to kill
+// the process: that write and every later one reject with it, and so does end()
+const openLineLog = (file, flags = 'w') => {
+  const stream = fs.createWriteStream(file, { flags });
+  let failed = null;
+  stream.on('error', (err) => { failed = failed || err; });
+  const write = (entry) => new Promise((resolve, reject) => {
+    if (failed) return reject(failed);
+    stream.write(JSON.stringify(entry) + '\n', (err) => (err ? reject(err) : resolve()));
+  });
+  const end = () => new Promise((resolve, reject) => {
+    if (failed) return reject(failed);
+    stream.end((err) => (err || failed ? reject(err || failed) : resolve()));
+  });
+  return { write, end };
+};
+
+// rename, or copy and remove across devices
+const moveFile = async (from, to) => {
+  try { await fsp.rename(from, to); }
+  catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fsp.copyFile(from, to);
+    await fsp.unlink(from);
+  }
+};
+
 const copyAsIs = async (from, to) => {
   await fsp.mkdir(path.dirname(to), { recursive: true });
   await fsp.copyFile(from, to);
@@ -106,7 +234,7 @@ const utf8Truncate = (str, maxBytes) => {
 };
 
 const sanitizeSeg = (s) => s.replace(/[\\/:*?"<>|]+/g, '_');
-const makeFlatName = ({ relDir, base, outExt, strategy, sep, maxBytes }) => {
+const makeFlatName = ({ relDir, base, outExt, strategy, sep, maxBytes, suffix = '' }) => {
   let nameBase;
   if (strategy === 'path') {
     const pathPart = relDir ? relDir.split(path.sep).filter(Boolean).map(sanitizeSeg).join(sep) : '';
@@ -115,35 +243,93 @@ const makeFlatName = ({ relDir, base, outExt, strategy, sep, maxBytes }) => {
     const h = crypto.createHash('sha1').update(String(relDir || '') + '/' + base).digest('hex').slice(0,8);
     nameBase = `${base}~${h}`;
   }
+  // rendition suffix goes after the hash so every size of a source shares one stem
+  const sfx = sanitizeSeg(suffix);
   nameBase = sanitizeSeg(nameBase);
-  nameBase = utf8Truncate(nameBase, Math.max(20, maxBytes));
-  return `${nameBase}${outExt}`;
+  nameBase = utf8Truncate(nameBase, Math.max(20, maxBytes - Buffer.byteLength(sfx)));
+  return `${nameBase}${sfx}${outExt}`;
+};
+
+// --------- Name templates ---------
+// `{token}` or `{token:arg}`; a `/` in the template (or in `{dir}`) makes subdirectories under outputDir
+const NAME_TOKENS = ['stem', 'dir', 'hash', 'width', 'height', 'format', 'ext', 'date', 'index', 'rendition'];
+const NAME_TOKEN_RE = /\{(\w+)(?::([^{}]*))?\}/g;
+const DATE_PART_RE = /YYYY|MM|DD|HH|mm|ss/g;
+
+// Local time, like the EXIF DateTimeOriginal it usually comes from
+const formatDate = (ms, fmt) => {
+  const d = new Date(ms);
+  const parts = { YYYY: d.getFullYear(), MM: d.getMonth() + 1, DD: d.getDate(), HH: d.getHours(), mm: d.getMinutes(), ss: d.getSeconds() };
+  return fmt.replace(DATE_PART_RE, (p) => String(parts[p]).padStart(p.length, '0'));
+};
+
+// Returns { uses, render(values, { outExt, suffix, maxBytes }) → { dir, file } }; throws on unknown tokens
+const compileNameTemplate = (tpl) => {
+  if (typeof tpl !== 'string' || !tpl.trim()) throw new Error('expected a non-empty string');
+  const uses = new Set();
+  for (const [, tok, arg] of tpl.matchAll(NAME_TOKEN_RE)) {
+    if (!NAME_TOKENS.includes(tok)) throw new Error(`unknown token {${tok}}. Use one of: ${NAME_TOKENS.map((t) => `{${t}}`).join(' ')}`);
+    if ((tok === 'hash' || tok === 'index') && arg != null && !/^\d+$/.test(arg)) throw new Error(`{${tok}:${arg}} expects a number`);
+    uses.add(tok);
+  }
+  // the extension always follows the output format, so a trailing `.{ext}` is implied rather than required
+  const body = tpl.replace(/\.\{ext\}$/, '');
+
+  const render = (v, { outExt, suffix = '', maxBytes }) => {
+    // only {dir} and {date} may contribute path separators; other values are single segments
+    const nested = (s) => s.split('/').map(sanitizeSeg).join('/');
+    const text = body.replace(NAME_TOKEN_RE, (_, tok, arg) => {
+      if (tok === 'dir') return nested(v.dir);
+      if (tok === 'date') return nested(formatDate(v.date, arg || 'YYYY-MM-DD'));
+      if (tok === 'hash') return v.hash.slice(0, arg ? Number(arg) : 8);
+      if (tok === 'index') return String(v.index).padStart(arg ? Number(arg) : 0, '0');
+      return sanitizeSeg(String(v[tok] ?? ''));
+    });
+    const segs = text.split('/').map((s) => sanitizeSeg(s).trim()).filter((s) => s && s !== '.' && s !== '..');
+    const last = segs.pop() || sanitizeSeg(v.stem);
+    // without a {rendition} token, every size of a source would render the same name
+    const sfx = uses.has('rendition') ? '' : sanitizeSeg(suffix);
+    const stem = utf8Truncate(last, Math.max(20, maxBytes - Buffer.byteLength(sfx)));
+    return { dir: segs.map((s) => utf8Truncate(s, maxBytes)).join(path.sep), file: `${stem}${sfx}${outExt}` };
+  };
+  return { uses, render };
 };
 
-async function uniquify(destDir, filename) {
+// `claimed` holds names already handed out but not yet on disk (dry runs, name templates)
+async function uniquify(destDir, filename, claimed = null) {
+  // claim before the disk check, so concurrent callers can't both settle on the same free name
+  const free = async (p) => {
+    if (claimed) {
+      if (claimed.has(p)) return false;
+      claimed.add(p);
+    }
+    if (!(await exists(p))) return true;
+    claimed && claimed.delete(p);
+    return false;
+  };
   let candidate = path.join(destDir, filename);
-  if (!(await exists(candidate))) return candidate;
+  if (await free(candidate)) return candidate;
   const dot = filename.lastIndexOf('.');
   const stem = dot === -1 ? filename : filename.slice(0, dot);
   const ext = dot === -1 ? '' : filename.slice(dot);
   let i = 1;
   while (true) {
     const next = path.join(destDir, `${stem}~${i}${ext}`);
-    if (!(await exists(next))) return next;
+    if (await free(next)) return next;
     i++;
   }
 }
 
 // Walk directory recursively (skip only .DS_Store if configured)
-async function* walk(dir, baseOutDir, overwriting, skipDSStore, flatten) {
+async function* walk(dir, baseOutDir, overwriting, skipDSStore, flatten, dryRun = false) {
   const entries = await fsp.readdir(dir, { withFileTypes: true });
   for (const entry of entries) {
     if (skipDSStore && entry.isFile() && entry.name === '.DS_Store') continue;
     const inputPath = path.join(dir, entry.name);
     const outputPath = overwriting ? inputPath : path.join(baseOutDir, entry.name);
     if (entry.isDirectory()) {
-      if (!overwriting && !flatten) await fsp.mkdir(outputPath, { recursive: true });
-      yield* walk(inputPath, outputPath, overwriting, skipDSStore, flatten);
+      if (!overwriting && !flatten && !dryRun) await fsp.mkdir(outputPath, { recursive: true });
+      yield* walk(inputPath, outputPath, overwriting, skipDSStore, flatten, dryRun);
     } else {
       yield { inputPath, outputPath };
     }
@@ -182,31 +368,69 @@ async function pruneEmptyDirs(dir) {
   } catch {}
 }
 
-// macOS 'sips' helper; can also resize using -Z
-async function sipsConvert(src, outFile, quality, maxDim /* optional */) {
-  try { await fsp.access('/usr/bin/sips'); } catch { throw new Error('sips not available'); }
-  await fsp.mkdir(path.dirname(outFile), { recursive: true });
-  const args = ['-s', 'format', 'jpeg'];
-  if (typeof quality === 'number') args.push('-s', 'formatOptions', String(quality));
-  if (maxDim && Number(maxDim) > 0) args.push('-Z', String(Number(maxDim)));
-  args.push(src, '--out', outFile);
-  await new Promise((resolve, reject) => {
-    const p = spawn('/usr/bin/sips', args, { stdio: ['ignore', 'pipe', 'pipe'] });
-    let errOut = '';
-    p.stderr.on('data', d => { errOut += String(d); });
-    p.on('error', reject);
-    p.on('close', (code) => {
-      if (code === 0) resolve();
-      else reject(new Error(errOut.trim() || `sips exit ${code}`));
-    });
-  });
-}
+// --------- Memory budget ---------
+const OVERSIZE_POLICIES = ['error', 'skip', 'copy'];
+// What a task is charged on top of its pixels: encoder state, file buffers
+const TASK_BASE_BYTES = 16 * 1024 * 1024;
+const WEIGH_CONCURRENCY = 4;
+
+// Estimated memory of a source from its header: every pixel of every frame that gets decoded, at four bands
+// (alpha is added for watermarks and padding) of 1 or 2 bytes. That is the full-size decode; JPEG and WebP shrink
+// on load and take less, so the estimate errs on the safe side. The encoded output is held whole until it is
+// written or handed back, one job at a time, so the largest job's output is added at its raw size, which an
+// encoder rarely exceeds
+const decodeCost = (meta, cfg) => {
+  if (!meta || !meta.width || !meta.height) return TASK_BASE_BYTES;
+  const frames = cfg.preserveAnimation && (meta.format === 'gif' || meta.format === 'webp') ? (meta.pages || 1) : 1;
+  const bytesPerBand = Math.max((BAND_BITS[meta.depth] || 8) / 8, cfg.bitDepth !== 8 ? 2 : 1);
+  const turned = (meta.orientation || 1) >= 5;
+  const output = Math.max(...jobsOf(cfg).map((job) => {
+    const box = resizeBox(job.maxWidth, job.maxHeight, parseAspectRatio(job.aspectRatio));
+    const { width, height } = resizedSize(turned ? meta.height : meta.width, turned ? meta.width : meta.height,
+      { ...box, fit: job.fit, withoutEnlargement: !cfg.enlarge });
+    return width * height;
+  }));
+  return TASK_BASE_BYTES + (meta.width * meta.height + output) * frames * 4 * bytesPerBand;
+};
+
+// Weighs sources for the limiter: a header read each, a few at a time. Weights are handed out in the order the
+// sources were asked about, so sources still reach the limiter in walk order. `jobCfg` sizes the outputs when they
+// differ from the run's (a server request's own bounds)
+const createWeigher = (cfg, allowSet) => {
+  let active = 0, last = Promise.resolve();
+  const waiting = [];
+  const read = async (file, jobCfg) => {
+    if (active >= WEIGH_CONCURRENCY) await new Promise((resolve) => waiting.push(resolve));
+    active++;
+    try { return decodeCost(await sharp(file, { failOn: 'none' }).metadata(), jobCfg); }
+    catch { return TASK_BASE_BYTES; }
+    finally { active--; waiting.length && waiting.shift()(); }
+  };
+  return (file, jobCfg = cfg) => {
+    const weight = allowSet.has(path.extname(file).toLowerCase()) ? read(file, jobCfg) : Promise.resolve(TASK_BASE_BYTES);
+    const turn = last.then(() => weight);
+    last = turn;
+    return turn;
+  };
+};
+
+// Admission against `budget` bytes: a task starts while the weights in flight, its own included, fit. One heavier
+// than the whole budget still runs, alone. null: no budget
+const createMemoryGate = (budget) => {
+  let used = 0;
+  return {
+    fits: (weight) => !budget || used === 0 || used + weight <= budget,
+    take: (weight) => { used += weight; },
+    give: (weight) => { used -= weight; }
+  };
+};
 
-// Adaptive limiter (AIMD)
-const createAdaptiveLimiter = ({ initial, min, max, windowMs, targetLatencyMs, lagThresholdMs, onWindow }) => {
+// Adaptive limiter (AIMD); tasks are admitted in order, each while it fits the memory budget
+const createAdaptiveLimiter = ({ initial, min, max, windowMs, targetLatencyMs, lagThresholdMs, memoryBudget = null, onWindow }) => {
   let cap = Math.min(max, Math.max(min, initial));
   let inFlight = 0;
   const q = [];
+  const memory = createMemoryGate(memoryBudget);
   let sumLatency = 0, samples = 0, emfileCount = 0;
   let lastTick = process.hrtime.bigint();
 
@@ -229,9 +453,9 @@ const createAdaptiveLimiter = ({ initial, min, max, windowMs, targetLatencyMs, l
   }, windowMs);
 
   const pump = () => {
-    while (inFlight < cap && q.length) {
-      const { fn, start, resolve, reject } = q.shift();
-      inFlight++;
+    while (inFlight < cap && q.length && memory.fits(q[0].weight)) {
+      const { fn, weight, start, resolve, reject } = q.shift();
+      inFlight++; memory.take(weight);
       fn()
         .then((res) => { resolve(res); sumLatency += (Date.now() - start); samples++; })
         .catch((err) => {
@@ -239,17 +463,374 @@ const createAdaptiveLimiter = ({ initial, min, max, windowMs, targetLatencyMs, l
           sumLatency += (Date.now() - start); samples++;
           if (isTransientResourceError(err)) emfileCount++;
         })
-        .finally(() => { inFlight--; pump(); });
+        .finally(() => { inFlight--; memory.give(weight); pump(); });
     }
   };
 
-  const schedule = (fn) => new Promise((resolve, reject) => { q.push({ fn, start: Date.now(), resolve, reject }); pump(); });
+  const schedule = (fn, weight = 0) => new Promise((resolve, reject) => { q.push({ fn, weight, start: Date.now(), resolve, reject }); pump(); });
   const dispose = () => clearInterval(timer);
-  return { schedule, dispose };
+  return { schedule, dispose, cap: () => cap };
+};
+
+// --------- Incremental manifest ---------
+const MANIFEST_VERSION = 1;
+const MANIFEST_NAME = '.batch-image-resizer-manifest.json';
+// Options that change what gets written; a change to any of them invalidates the manifest entry
+const OUTPUT_SETTING_KEYS = [
+  'format', 'fallbackFormat', 'quality', 'maxWidth', 'maxHeight', 'sizes', 'metadata', 'colorspace', 'bitDepth', 'encoders',
+  'fit', 'aspectRatio', 'position', 'background', 'enlarge', 'watermark',
+  'preserveAnimation', 'animationFallback', 'maxPixels', 'oversize',
+  'maxBytes', 'minQuality', 'maxQuality', 'downscaleToFit',
+  'flatten', 'flattenStrategy', 'flattenSep', 'maxFilenameBytes', 'nameTemplate', 'includeExt', 'excludeExt',
+  'dedupe', 'dedupeAction', 'dedupeThreshold'
+];
+
+// encoders is normalized so alias keys (jpg/jpeg) and option order don't change the fingerprint
+const settingsKey = (cfg) => crypto.createHash('sha1')
+  .update(JSON.stringify(OUTPUT_SETTING_KEYS.map((k) => [k, (k === 'encoders' ? normalizeEncoders(cfg[k]) : cfg[k]) ?? null])))
+  .digest('hex');
+
+const hashFile = (file, algorithm = 'sha1') => new Promise((resolve, reject) => {
+  const h = crypto.createHash(algorithm);
+  fs.createReadStream(file)
+    .on('error', reject)
+    .on('data', (d) => h.update(d))
+    .on('end', () => resolve(h.digest('hex')));
+});
+
+// Tracks src → outputs across runs in <outputDir>/.batch-image-resizer-manifest.json
+const createManifestTracker = async ({ file, inputRoot, outputRoot, cfg, log }) => {
+  let files = {};
+  try {
+    const data = JSON.parse(await fsp.readFile(file, 'utf8'));
+    if (data && data.version === MANIFEST_VERSION && data.files) files = data.files;
+  } catch (err) {
+    if (err.code !== 'ENOENT') log.warn && log.warn(`⚠ ${file}: unreadable manifest, starting fresh${cfg.verboseErrors ? ` (${err.message})` : ''}`);
+  }
+  const settings = settingsKey(cfg);
+  const seen = new Set();
+  const pending = new Map(); // rel → { size, mtimeMs, hash, outputs, failed }
+
+  const rel = (inputPath) => path.relative(inputRoot, inputPath).split(path.sep).join('/');
+  const abs = (out) => path.join(outputRoot, out);
+  const removeOutputs = async (entry) => {
+    if (cfg.dryRun) return;
+    for (const out of entry.outputs || []) {
+      try { await fsp.rm(abs(out), { force: true }); } catch {}
+    }
+  };
+
+  // Returns the previous entry when the source and settings are unchanged and all outputs still exist
+  const check = async (inputPath) => {
+    const key = rel(inputPath);
+    seen.add(key);
+    const st = await fsp.stat(inputPath);
+    const prev = files[key];
+    const cur = { size: st.size, mtimeMs: st.mtimeMs, hash: null, outputs: [], failed: false, done: false };
+    if (prev && prev.settings === settings && prev.size === st.size) {
+      let same = prev.mtimeMs === st.mtimeMs;
+      if (!same) {
+        cur.hash = await hashFile(inputPath);
+        same = cur.hash === prev.hash;
+        if (same) prev.mtimeMs = st.mtimeMs; // touched but identical
+      }
+      if (same) {
+        let present = true;
+        for (const out of prev.outputs || []) {
+          if (!(await exists(abs(out)))) { present = false; break; }
+        }
+        if (present) return prev;
+      }
+    }
+    // Free the old names so uniquify lands on them again instead of minting name~1
+    if (prev) await removeOutputs(prev);
+    cur.hash = cur.hash || await hashFile(inputPath);
+    pending.set(key, cur);
+    return null;
+  };
+
+  const track = ({ src, dest, action }) => {
+    const entry = pending.get(rel(src));
+    if (!entry) return;
+    if (action === 'error') entry.failed = true;
+    else if (dest && dest !== src) entry.outputs.push(path.relative(outputRoot, dest).split(path.sep).join('/'));
+  };
+
+  // Called once a source's processing has settled; only settled entries are committed
+  const complete = (inputPath, failed = false) => {
+    const entry = pending.get(rel(inputPath));
+    if (!entry) return;
+    entry.done = true;
+    if (failed) entry.failed = true;
+  };
+
+  // Source deleted (watch mode): drop its outputs and entry; a directory drops everything under it. A source
+  // processed since the last save only has a pending entry, which lists what it wrote
+  const forget = async (inputPath) => {
+    const key = rel(inputPath);
+    const under = (k) => k === key || k.startsWith(key + '/');
+    const keys = new Set([...Object.keys(files).filter(under), ...[...pending.keys()].filter(under)]);
+    let removed = 0;
+    for (const k of keys) {
+      // taken before the await, so an overlapping call for the same folder finds nothing left to remove. A pending
+      // entry replaces the saved one, whose outputs check() already removed
+      const entry = pending.get(k) || files[k];
+      delete files[k];
+      pending.delete(k);
+      if (!entry) continue;
+      await removeOutputs(entry);
+      removed += (entry.outputs || []).length;
+    }
+    return removed;
+  };
+
+  const finish = async ({ complete = true } = {}) => {
+    for (const [key, entry] of pending) {
+      if (!entry.done) continue;
+      pending.delete(key);
+      // failed sources are dropped so the next run retries them
+      if (entry.failed) { delete files[key]; continue; }
+      files[key] = { size: entry.size, mtimeMs: entry.mtimeMs, hash: entry.hash, settings, outputs: entry.outputs };
+    }
+    for (const key of Object.keys(files)) {
+      if (seen.has(key) || !cfg.pruneOrphans || !complete) continue;
+      await removeOutputs(files[key]);
+      log.info && log.info(`✂ ${key}: source removed, ${cfg.dryRun ? 'would delete' : 'deleted'} ${(files[key].outputs || []).length} output(s)`);
+      delete files[key];
+    }
+    if (cfg.dryRun) return;
+    const tmpFile = file + `.tmp-${process.pid}-${Math.random().toString(36).slice(2,8)}`;
+    await fsp.writeFile(tmpFile, JSON.stringify({ version: MANIFEST_VERSION, settings, files }, null, 2));
+    await fsp.rename(tmpFile, file);
+  };
+
+  return { check, track, complete, forget, finish, abs };
+};
+
+// --------- Resume journal ---------
+const JOURNAL_NAME = '.batch-image-resizer-journal.ndjson';
+
+// Appends one line per finished source so an interrupted run can be resumed without redoing (or re-suffixing) it
+const createRunJournal = async ({ file, inputRoot, cfg, log }) => {
+  const settings = settingsKey(cfg);
+  const done = new Set();
+  let append = false, resumed = 0;
+  if (cfg.resume) {
+    try {
+      const lines = (await fsp.readFile(file, 'utf8')).split('\n').filter(Boolean);
+      const head = JSON.parse(lines.shift() || '{}');
+      if (head.settings !== settings || head.input !== inputRoot) {
+        throw new Error(`Journal ${file} was written for a different input or different output settings; rerun with the same options, or without resume`);
+      }
+      for (const line of lines) {
+        try {
+          const { src, outputs } = JSON.parse(line);
+          done.add(src); resumed++;
+          for (const out of outputs || []) done.add(out); // overwrite mode walks its own outputs
+        } catch {} // torn last line from a hard kill
+      }
+      append = true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      log.warn && log.warn(`⚠ nothing to resume: ${file} not found, processing everything`);
+    }
+  }
+
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  // a failed write (ENOSPC, EIO) only costs the resume: close() rejects with it for the run to report
+  const out = openLineLog(file, append ? 'a' : 'w');
+  const write = (entry) => { out.write(entry).catch(() => {}); };
+  if (!append) write({ journal: 1, settings, input: inputRoot });
+
+  const open = new Map(); // src → { outputs, failed }
+  const track = ({ src, dest, action }) => {
+    if (action === 'skipped') return;
+    const entry = open.get(src) || { outputs: [], failed: false };
+    if (action === 'error') entry.failed = true;
+    else if (dest && dest !== src) entry.outputs.push(dest);
+    open.set(src, entry);
+  };
+  const complete = (src) => {
+    const entry = open.get(src) || { outputs: [], failed: false };
+    open.delete(src);
+    if (!entry.failed) write({ src, outputs: entry.outputs });
+  };
+  // A finished run no longer needs its journal; an interrupted one keeps it for resume
+  const close = async (finished) => {
+    try { await out.end(); }
+    finally { if (finished) { try { await fsp.rm(file, { force: true }); } catch {} } }
+  };
+
+  return { file, has: (p) => done.has(p), track, complete, close, resumed };
+};
+
+// --------- Originals backup ---------
+const BACKUP_MODES = ['mirror', 'dated'];
+const BACKUP_DIR_NAME = '.originals';
+const UNDO_LOG_RE = /^undo-.+\.ndjson$/;
+
+// Overwrite mode keeps each original under `root` before its replacement is published: at the same relative path
+// (mirror; a path backed up before keeps that older copy, and the new one gets a ~N name) or under a folder named
+// for the run (dated). The run's undo log sits in `root`: a header, then { src, backup } before an original is
+// touched and { src, output } before each output is published, so even a crashed run can be restored
+const createBackups = async ({ root, inputRoot, mode }) => {
+  const startedAt = new Date();
+  const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+  const base = mode === 'dated' ? path.join(root, stamp) : root;
+  const file = path.join(root, `undo-${stamp}.ndjson`);
+  await fsp.mkdir(root, { recursive: true });
+  const { write, end } = openLineLog(file);
+  await write({ undo: 1, input: inputRoot, mode, startedAt: startedAt.toISOString() });
+
+  const saved = new Map(); // src → Promise<backup path>, so a retry or a second output doesn't back up again
+  // what this run published isn't an original: a later output landing on it (two sources sharing a rendition
+  // name) leaves it to be removed on restore, not put back
+  const published = new Set();
+  let entries = 0;
+  // a hard link (a copy across devices) leaves the original in place until the replacement is renamed over it
+  const save = (src) => {
+    if (published.has(src) && !saved.has(src)) return Promise.resolve(null);
+    if (!saved.has(src)) {
+      saved.set(src, (async () => {
+        const wanted = path.join(base, path.relative(inputRoot, src));
+        await fsp.mkdir(path.dirname(wanted), { recursive: true });
+        const backup = await uniquify(path.dirname(wanted), path.basename(wanted));
+        entries++;
+        await write({ src, backup });
+        try { await fsp.link(src, backup); } catch { await fsp.copyFile(src, backup); }
+        return backup;
+      })());
+      saved.get(src).catch(() => saved.delete(src));
+    }
+    return saved.get(src);
+  };
+  const output = (src, dest) => {
+    entries++;
+    published.add(dest);
+    return write({ src, output: dest });
+  };
+
+  // A run that replaced nothing leaves no log behind; resolves the log's path if it was kept
+  const close = async () => {
+    await end();
+    if (entries) return file;
+    try { await fsp.rm(file, { force: true }); } catch {}
+    if (mode === 'dated') { try { await fsp.rm(base, { recursive: true, force: true }); } catch {} }
+    return null;
+  };
+
+  return { file, save, output, close };
+};
+
+// Reads an undo log: its header and, per source in the order they were first touched, { backup, outputs }
+const readUndoLog = async (file) => {
+  const lines = (await fsp.readFile(file, 'utf8')).split('\n').filter(Boolean);
+  let head;
+  try { head = JSON.parse(lines.shift() || '{}'); } catch { head = {}; }
+  if (head.undo !== 1) throw new Error(`${file} is not an undo log`);
+  const sources = new Map(); // src → { backup, outputs }
+  for (const line of lines) {
+    let entry;
+    try { entry = JSON.parse(line); } catch { continue; } // torn last line from a hard kill
+    const s = sources.get(entry.src) || { backup: null, outputs: [] };
+    if (entry.backup) s.backup = entry.backup;
+    if (entry.output) s.outputs.push(entry.output);
+    sources.set(entry.src, s);
+  }
+  return { head, sources };
+};
+
+// Puts a run's originals back and removes what it generated; the log goes once everything listed is back.
+// Outputs go first, so an original an output was published over (its own source's, or another file's) is moved
+// back after, not removed with it
+const restoreFromLog = async (file, log = {}) => {
+  const { head, sources } = await readUndoLog(file);
+  const stats = { restored: 0, removed: 0, missing: 0 };
+  const entries = [...sources].reverse();
+  const present = new Map(); // src → backup that is still there
+  for (const [src, { backup }] of entries) {
+    if (!backup) continue;
+    if (await exists(backup)) present.set(src, backup);
+    else {
+      stats.missing++;
+      log.warn && log.warn(`⚠ ${src}: backup ${backup} is gone, left as it is`);
+    }
+  }
+  for (const [src, { backup, outputs }] of entries) {
+    if (backup && !present.has(src)) continue;
+    for (const o of outputs) {
+      // an original: moved back below, or left as it is when its backup is gone
+      if (sources.has(o) && sources.get(o).backup) continue;
+      try { await fsp.rm(o, { force: true }); stats.removed++; } catch {}
+    }
+  }
+  for (const [src, backup] of present) {
+    await fsp.mkdir(path.dirname(src), { recursive: true });
+    await moveFile(backup, src);
+    stats.restored++;
+    log.info && log.info(`✔ ${src} restored from ${backup}`);
+  }
+  if (!stats.missing) {
+    await fsp.rm(file, { force: true });
+    const root = path.dirname(file);
+    await pruneEmptyDirs(root);
+    try { await fsp.rmdir(root); } catch {} // only if nothing else is left in it
+  }
+  return { ...stats, input: head.input };
+};
+
+// Removes the backups (and undo logs) of runs that started more than `days` ago
+const pruneBackups = async (root, days, log = {}) => {
+  const cutoff = Date.now() - days * 86400000;
+  let names = [];
+  try { names = await fsp.readdir(root); } catch { return 0; }
+  let pruned = 0;
+  for (const name of names.filter((n) => UNDO_LOG_RE.test(n))) {
+    const file = path.join(root, name);
+    let undo;
+    try { undo = await readUndoLog(file); } catch { continue; }
+    if (!(Date.parse(undo.head.startedAt) < cutoff)) continue;
+    for (const { backup } of undo.sources.values()) {
+      if (backup) { try { await fsp.rm(backup, { force: true }); } catch {} }
+    }
+    await fsp.rm(file, { force: true });
+    pruned++;
+  }
+  if (pruned) {
+    await pruneEmptyDirs(root);
+    log.info && log.info(`✂ pruned the backups of ${pruned} run(s) older than ${days} day(s)`);
+  }
+  return pruned;
+};
+
+// Remove temp files left by crashed runs (ours are named <file>.tmp-<pid>-<rand>, or <file>.conv-tmp-<pid>-<rand>.<ext>
+// for external converters, which need the extension; .sips-tmp- is what older versions left)
+const TEMP_FILE_RE = /\.(?:sips-|conv-)?tmp-(\d+)-[a-z0-9]{6}(?:\.[a-z0-9]+)?$/;
+const pidAlive = (pid) => {
+  try { process.kill(pid, 0); return true; } catch (err) { return err.code === 'EPERM'; }
 };
+async function sweepTempFiles(dir) {
+  let removed = 0;
+  try {
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const p = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        removed += await sweepTempFiles(p);
+        continue;
+      }
+      const m = TEMP_FILE_RE.exec(entry.name);
+      // a live pid means another run is still writing here
+      if (m && (Number(m[1]) === process.pid || !pidAlive(Number(m[1])))) {
+        try { await fsp.rm(p, { force: true }); removed++; } catch {}
+      }
+    }
+  } catch {}
+  return removed;
+}
 
 // --------- Format helpers ---------
-const ENCODE_SAME_OK = new Set(['.jpg','.jpeg','.png','.webp','.avif','.heif','.heic','.tif','.tiff']);
+const ENCODE_SAME_OK = new Set(['.jpg','.jpeg','.png','.webp','.avif','.heif','.heic','.tif','.tiff','.gif']);
 function normalizeFormat(fmt) {
   if (!fmt || fmt === 'same') return { mode: 'same' };
   const f = String(fmt).toLowerCase();
@@ -260,7 +841,8 @@ function normalizeFormat(fmt) {
   if (f === 'heif') return { mode: 'fixed', key: 'heif', outExt: '.heif', heifCompression: undefined };
   if (f === 'heic') return { mode: 'fixed', key: 'heif', outExt: '.heic', heifCompression: 'hevc' };
   if (f === 'tif' || f === 'tiff') return { mode: 'fixed', key: 'tiff', outExt: '.tiff' };
-  throw new Error(`Unsupported format "${fmt}". Use one of: same,jpeg,jpg,png,webp,avif,heif,heic,tiff`);
+  if (f === 'gif')  return { mode: 'fixed', key: 'gif',  outExt: '.gif' };
+  throw new Error(`Unsupported format "${fmt}". Use one of: same,jpeg,jpg,png,webp,avif,heif,heic,tiff,gif`);
 }
 function encoderForExt(extLower) {
   if (extLower === '.jpg' || extLower === '.jpeg') return { key: 'jpeg' };
@@ -270,268 +852,2637 @@ function encoderForExt(extLower) {
   if (extLower === '.heif') return { key: 'heif', heifCompression: undefined };
   if (extLower === '.heic') return { key: 'heif', heifCompression: 'hevc' };
   if (extLower === '.tif' || extLower === '.tiff') return { key: 'tiff' };
+  if (extLower === '.gif')  return { key: 'gif'  };
   return null;
 }
+// `encoder` is the format's block from `encoders`; PNG only takes a quality when one is given (it implies palette).
+// GIF is always palette-based and has no quality.
 function applyEncoder(pipeline, key, quality, opts = {}) {
+  const enc = opts.encoder || {};
   switch (key) {
-    case 'jpeg': return pipeline.jpeg({ quality });
-    case 'png':  return pipeline.png();
-    case 'webp': return pipeline.webp({ quality });
-    case 'avif': return pipeline.avif({ quality });
-    case 'heif': return pipeline.heif({ quality, compression: opts.heifCompression });
-    case 'tiff': return pipeline.tiff({ quality });
+    case 'jpeg': return pipeline.jpeg({ ...enc, quality });
+    case 'png':  return pipeline.png(quality != null ? { ...enc, quality } : enc);
+    case 'webp': return pipeline.webp({ ...enc, quality });
+    case 'avif': return pipeline.avif({ ...enc, quality, ...(opts.bitdepth > 8 ? { bitdepth: opts.bitdepth } : {}) });
+    case 'heif': return pipeline.heif({ ...enc, quality, compression: opts.heifCompression });
+    case 'tiff': return pipeline.tiff({ ...enc, quality });
+    case 'gif':  return pipeline.gif(enc);
     default: throw new Error(`No encoder for key: ${key}`);
   }
 }
+// Log form of the settings an encode used, e.g. "jpeg q=80 mozjpeg progressive"
+function describeEncoder(key, quality, enc = {}) {
+  const parts = [key];
+  if (quality != null && !enc.lossless) parts.push(`q=${quality}`);
+  for (const [k, v] of Object.entries(enc)) parts.push(v === true ? k : `${k}=${v}`);
+  return parts.join(' ');
+}
 
-// ---------------- File processor ----------------
-const processFileFactory = (cfg, allowSet, stats, log, onFile, inputRoot, outputRoot) => {
-  const fmt = normalizeFormat(cfg.format);
-  const fb = cfg.fallbackFormat ? normalizeFormat(cfg.fallbackFormat) : null;
-
-  const computeOut = async (inputPath, outputPath, base, outExt) => {
-    if (cfg.flatten && !cfg.overwrite) {
-      const relDir = path.relative(inputRoot, path.dirname(inputPath));
-      const flatName = makeFlatName({
-        relDir, base, outExt,
-        strategy: cfg.flattenStrategy, sep: cfg.flattenSep, maxBytes: cfg.maxFilenameBytes
-      });
-      const outFile = await uniquify(outputRoot, flatName);
-      return { outDir: outputRoot, outFile };
-    } else {
-      const outDir = cfg.overwrite ? path.dirname(inputPath) : path.dirname(outputPath);
-      const outFile = path.join(outDir, `${base}${outExt}`);
-      return { outDir, outFile };
-    }
-  };
+// --------- Byte budget ---------
+const BUDGET_FORMATS = new Set(['jpeg', 'webp', 'avif', 'heif']);
+const DOWNSCALE_STEP = 0.85;   // per-step factor on the previous output's width/height
+const DOWNSCALE_MIN_PX = 64;   // stop shrinking below this on the short side
 
-  const attemptEncodeTo = async (src, outFile, encoderKey, quality, heifCompression) => {
-    // Tolerant decode; EXIF-aware rotate before resize; normalize to sRGB
-    let pipeline = sharp(src, { sequentialRead: true, limitInputPixels: false, failOn: 'none', pages: 1 })
-      .rotate()
-      .resize({
-        width: cfg.maxWidth,
-        height: cfg.maxHeight,
-        fit: 'inside',
-        withoutEnlargement: true,
-        fastShrinkOnLoad: true
-      })
-      .toColorspace('srgb');
-    if (encoderKey === 'jpeg') {
-      pipeline = pipeline.flatten({ background: { r: 255, g: 255, b: 255 } });
-    }
-    pipeline = applyEncoder(pipeline, encoderKey, quality, { heifCompression });
-    await pipeline.toFile(outFile);
+// Highest quality in [lo, hi] whose encode fits maxBytes, assuming size grows with quality.
+// encode(q) → { data, info }. Falls back to the smallest attempt (fits: false) when even `lo` is too big.
+async function searchQuality(encode, lo, hi, maxBytes) {
+  let best = null, smallest = null;
+  const fits = async (q) => {
+    const r = { ...(await encode(q)), quality: q };
+    if (!smallest || r.data.length < smallest.data.length) smallest = r;
+    const ok = r.data.length <= maxBytes;
+    if (ok && (!best || q > best.quality)) best = r;
+    return ok;
   };
-
-  return async (inputPath, outputPath) => {
-    const ext = path.extname(inputPath);
-    const extLower = ext.toLowerCase();
-    const base = path.basename(inputPath, ext);
-
-    // Fast decode compatibility: if not allowed, copy/keep
-    if (!allowSet.has(extLower)) {
-      if (!cfg.overwrite) {
-        const { outFile } = await computeOut(inputPath, outputPath, path.basename(inputPath, ext), extLower);
-        await copyAsIs(inputPath, outFile);
-        stats.copied++; onFile && onFile({ src: inputPath, dest: outFile, action: 'copied' });
-        log.info && log.info(`↪ ${inputPath} → ${outFile} (incompatible ${extLower || 'unknown'}, copied)`);
-      } else {
-        stats.kept++; onFile && onFile({ src: inputPath, dest: inputPath, action: 'kept' });
-        log.info && log.info(`↪ ${inputPath} (incompatible ${extLower || 'unknown'}, kept)`);
-      }
-      return;
+  if (!(await fits(hi))) {
+    let a = lo, b = hi - 1;
+    while (a <= b) {
+      const mid = (a + b) >> 1;
+      if (await fits(mid)) a = mid + 1; else b = mid - 1;
     }
+  }
+  return best ? { ...best, fits: true } : { ...smallest, fits: false };
+}
 
-    // Choose primary target
-    let target;
-    if (fmt.mode === 'same') {
-      if (!ENCODE_SAME_OK.has(extLower)) {
-        if (fb) {
-          target = fb;
-        } else {
-          if (!cfg.overwrite) {
-            const { outFile } = await computeOut(inputPath, outputPath, base, extLower);
-            await copyAsIs(inputPath, outFile);
-            stats.copied++; onFile && onFile({ src: inputPath, dest: outFile, action: 'copied' });
-            log.info && log.info(`↪ ${inputPath} → ${outFile} (no same-format encoder ${extLower}, copied)`);
-          } else {
-            stats.kept++; onFile && onFile({ src: inputPath, dest: inputPath, action: 'kept' });
-            log.info && log.info(`↪ ${inputPath} (no same-format encoder ${extLower}, kept)`);
-          }
-          return;
-        }
-      } else {
-        const ek = encoderForExt(extLower);
-        target = { key: ek.key, outExt: extLower, heifCompression: ek.heifCompression };
-      }
-    } else {
-      target = fmt;
-    }
+// --------- Animation ---------
+// Formats sharp writes frame by frame; AVIF is left out because sharp stacks the frames into one tall still
+const ANIMATED_FORMATS = new Set(['webp', 'gif']);
+const ANIMATION_FALLBACKS = ['first-frame', 'copy', 'error'];
 
-    // Encode (with fallback)
-    const doEncode = async (tgt) => {
-      const { outFile } = await computeOut(inputPath, outputPath, base, tgt.outExt ?? extLower);
-      const tmpFile = outFile + `.tmp-${process.pid}-${Math.random().toString(36).slice(2,8)}`;
-      try {
-        await attemptEncodeTo(inputPath, tmpFile, tgt.key || encoderForExt(extLower)?.key, cfg.quality, tgt.heifCompression);
-        await fsp.mkdir(path.dirname(outFile), { recursive: true });
-        await fsp.rename(tmpFile, outFile);
-      } catch (e) {
-        try { await fsp.rm(tmpFile, { force: true }); } catch {}
-        throw e;
-      }
-      if (cfg.overwrite && outFile !== inputPath && path.extname(outFile).toLowerCase() !== extLower) {
-        try { await fsp.unlink(inputPath); } catch {}
-      }
-      stats.converted++; onFile && onFile({ src: inputPath, dest: outFile, action: 'converted' });
-      const encName = tgt.key || encoderForExt(extLower)?.key;
-      const qStr = (encName === 'png') ? '' : ` q=${cfg.quality}`;
-      log.info && log.info(`✔ ${inputPath} → ${outFile} (${encName}${qStr}${tgt === fb ? ', fallback' : ''})`);
-    };
+// --------- Verification ---------
+// header: sharp reads the output back (format, dimensions) · decode: it also decodes every pixel of every frame
+const VERIFY_MODES = ['header', 'decode'];
 
-    try {
-      await doEncode(target);
-    } catch (err) {
-      if (isTransientResourceError(err)) {
-        stats.errors++; onFile && onFile({ src: inputPath, dest: inputPath, action: 'error', error: String(err.message || err) });
-        log.warn && log.warn(`⚠ ${inputPath}: transient error (${err.code || err.message})`);
-        throw err;
-      }
+// Checks encoded bytes before they are published: readable, of encoder `format` (and HEIF `compression`), `frames`
+// frames of `width`×`height` and within the `box` the job resized into. Throws with what was wrong
+const verifyOutput = async (data, { format, compression, width, height, frames = 1, box = {} }, mode) => {
+  if (!data.length) throw new Error('verify: output is empty');
+  let meta;
+  try { meta = await sharp(data, { pages: -1 }).metadata(); }
+  catch (err) { throw new Error(`verify: output is unreadable (${err.message})`); }
+  // sharp's metadata calls AVIF and HEIC both 'heif'; the compression tells them apart
+  const expected = format === 'avif' ? 'heif' : format;
+  if (format === 'avif') compression = 'av1';
+  if (meta.format !== expected) throw new Error(`verify: output is ${meta.format}, expected ${expected}`);
+  if (compression && meta.compression !== compression) {
+    throw new Error(`verify: output is ${meta.compression || 'unknown'}-compressed, expected ${compression}`);
+  }
+  const pageHeight = meta.pageHeight || meta.height;
+  if ((width && meta.width !== width) || (height && pageHeight !== height)) {
+    throw new Error(`verify: output is ${meta.width}×${pageHeight}, expected ${width}×${height}`);
+  }
+  // the box applies as displayed: EXIF orientation 5-8 swaps the sides (converters may leave one on the output)
+  const swap = (meta.orientation || 1) >= 5;
+  const w = swap ? pageHeight : meta.width;
+  const h = swap ? meta.width : pageHeight;
+  if ((box.width && w > box.width) || (box.height && h > box.height)) {
+    throw new Error(`verify: output is ${w}×${h}, larger than ${box.width || '∞'}×${box.height || '∞'}`);
+  }
+  if (frames > 1 && (meta.pages || 1) !== frames) throw new Error(`verify: output has ${meta.pages || 1} frames, expected ${frames}`);
+  if (mode === 'decode') {
+    try { await sharp(data, { pages: -1 }).raw().toBuffer(); }
+    catch (err) { throw new Error(`verify: output doesn't decode (${err.message})`); }
+  }
+};
 
-      // Optional macOS 'sips' fallback
-      const trySipsHeic = (cfg.heicFallback === 'sips') || (cfg.heicFallback === 'auto' && process.platform === 'darwin');
-      const trySipsJpeg = (cfg.jpegFallback === 'sips') || (cfg.jpegFallback === 'auto' && process.platform === 'darwin');
-      const isHeicLike = (extLower === '.heic' || extLower === '.heif');
-      const isJpegLike = (extLower === '.jpg' || extLower === '.jpeg');
-      const wantJpeg = (fmt.mode === 'fixed' && fmt.key === 'jpeg') ||
-                       (fmt.mode === 'same' && !ENCODE_SAME_OK.has(extLower) && (!fb || fb.key === 'jpeg')) ||
-                       (fb && fb.key === 'jpeg');
+const fmtBytes = (n) => (n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : n >= 1024 ? `${Math.round(n / 1024)} KB` : `${n} B`);
 
-      if (wantJpeg && ((trySipsHeic && isHeicLike) || (trySipsJpeg && isJpegLike))) {
-        try {
-          const { outFile } = await computeOut(inputPath, outputPath, base, '.jpg');
-          const tmpFile = outFile + `.sips-tmp-${process.pid}-${Math.random().toString(36).slice(2,8)}`;
-          await sipsConvert(inputPath, tmpFile, cfg.quality, Math.max(cfg.maxWidth, cfg.maxHeight));
-          await fsp.rename(tmpFile, outFile);
-          stats.converted++; onFile && onFile({ src: inputPath, dest: outFile, action: 'converted', via: 'sips' });
-          log.info && log.info(`✔ ${inputPath} → ${outFile} (jpeg via sips)`);
-          return;
-        } catch (sipsErr) {
-          log.warn && log.warn(`↪ ${inputPath}: sharp failed${cfg.verboseErrors ? ` (${err.message})` : ''}; sips failed${cfg.verboseErrors ? ` (${sipsErr.message})` : ''}`);
-        }
-      }
+// --------- Metadata ---------
+// strip: no EXIF/XMP/ICC (sharp's default) · keep: everything, ICC per colorspace · keep-no-gps: keep minus GPS (EXIF + XMP)
+// copyright-only: just Artist/Copyright
+const METADATA_MODES = ['strip', 'keep', 'keep-no-gps', 'copyright-only'];
+const TAG_ORIENTATION = 0x0112, TAG_ARTIST = 0x013B, TAG_COPYRIGHT = 0x8298, TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME = 0x0132, TAG_EXIF_IFD = 0x8769, TAG_DATETIME_ORIGINAL = 0x9003;
 
-      if (fb && (fmt.mode !== 'fixed' || (fb.key !== fmt.key || fb.outExt !== fmt.outExt))) {
-        try { await doEncode(fb); return; }
-        catch (fbErr) { log.warn && log.warn(`↪ ${inputPath}: primary failed${cfg.verboseErrors ? ` (${err.message})` : ''}; fallback ${fb.key} failed${cfg.verboseErrors ? ` (${fbErr.message})` : ''}`); }
-      }
-      if (!cfg.overwrite) {
-        const { outFile } = await computeOut(inputPath, outputPath, base, extLower);
-        try { const st = await fsp.stat(outFile); if (st.size === 0) { try { await fsp.rm(outFile, { force: true }); } catch {} } } catch {}
-        try {
-          await copyAsIs(inputPath, outFile);
-          stats.copied++; onFile && onFile({ src: inputPath, dest: outFile, action: 'copied' });
-          log.info && log.info(`↪ ${inputPath} → ${outFile} (failed convert, copied${cfg.verboseErrors ? `; reason: ${err.message}` : ''})`);
-        } catch (copyErr) {
-          stats.errors++; onFile && onFile({ src: inputPath, dest: outFile, action: 'error', error: String(copyErr.message || copyErr) });
-          log.error && log.error(`✖ ${inputPath}: failed to copy as-is to ${outFile}: ${copyErr.message}`);
-          throw copyErr;
-        }
-      } else {
-        stats.kept++; onFile && onFile({ src: inputPath, dest: inputPath, action: 'kept' });
-        log.info && log.info(`↪ ${inputPath}: failed convert, kept as-is${cfg.verboseErrors ? `; reason: ${err.message}` : ''}`);
-      }
+// Minimal TIFF reader over buf starting at `base` (the "II*\0"/"MM\0*" header)
+const tiffAt = (buf, base) => {
+  if (base < 0 || base + 8 > buf.length) return null;
+  const bo = buf.toString('latin1', base, base + 2);
+  if (bo !== 'II' && bo !== 'MM') return null;
+  const le = bo === 'II';
+  const inRange = (o, n) => base + o + n <= buf.length;
+  const u16 = (o) => (le ? buf.readUInt16LE(base + o) : buf.readUInt16BE(base + o));
+  const u32 = (o) => (le ? buf.readUInt32LE(base + o) : buf.readUInt32BE(base + o));
+  const entries = (ifd) => {
+    if (!ifd || !inRange(ifd, 2)) return [];
+    const n = u16(ifd);
+    const out = [];
+    for (let i = 0; i < n && inRange(ifd + 2 + i * 12, 12); i++) {
+      const at = ifd + 2 + i * 12;
+      out.push({ at, tag: u16(at), type: u16(at + 2), count: u32(at + 4), value: u32(at + 8) });
+    }
+    return out;
+  };
+  // ASCII value as raw bytes (trailing NULs dropped)
+  const ascii = (e) => {
+    if (!e || e.type !== 2) return null;
+    const start = base + (e.count <= 4 ? e.at + 8 : e.value);
+    if (start + e.count > buf.length) return null;
+    let end = start + e.count;
+    while (end > start && buf[end - 1] === 0) end--;
+    return buf.slice(start, end);
+  };
+  const ifd0 = entries(u32(4));
+  const find = (tag) => ifd0.find((e) => e.tag === tag) || null;
+  const gpsEntry = find(TAG_GPS_IFD);
+  const exifEntry = find(TAG_EXIF_IFD);
+  const exifIfd = exifEntry ? entries(exifEntry.value) : [];
+  return {
+    orientation: (() => { const e = find(TAG_ORIENTATION); return e ? u16(e.at + 8) : 1; })(),
+    artist: ascii(find(TAG_ARTIST)),
+    copyright: ascii(find(TAG_COPYRIGHT)),
+    // "YYYY:MM:DD HH:MM:SS", capture time if recorded, else last-modified
+    taken: (() => {
+      const b = ascii(exifIfd.find((e) => e.tag === TAG_DATETIME_ORIGINAL) || find(TAG_DATETIME));
+      return b ? b.toString('latin1') : null;
+    })(),
+    gpsIfd: gpsEntry ? gpsEntry.value : 0,
+    gpsCount: gpsEntry ? entries(gpsEntry.value).length : 0,
+    // Empty the GPS IFD in place: zero its entry table and count, so libexif reads no GPS tags back
+    scrubGps: () => {
+      if (!gpsEntry || !inRange(gpsEntry.value, 2)) return;
+      const n = u16(gpsEntry.value);
+      buf.fill(0, base + gpsEntry.value, Math.min(buf.length, base + gpsEntry.value + 2 + n * 12));
     }
   };
 };
+// sharp's metadata().exif starts with "Exif\0\0"
+const exifTiff = (exif) => (exif ? tiffAt(exif, exif.toString('latin1', 0, 4) === 'Exif' ? 6 : 0) : null);
 
-// ---------------- Public API ----------------
-const resizeImages = async (options = {}) => {
-  const cfg = { ...DEFAULTS, ...options };
-  if (options && options.flatten === undefined) cfg.flatten = DEFAULTS.flatten;
+// attribute and element forms; group 2 is the value (`d` flag for its offsets)
+const XMP_GPS_RE = [/\bexif:GPS\w+\s*=\s*(["'])([\s\S]*?)\1/dg, /<(exif:GPS\w+)\b[^>]*>([\s\S]*?)<\/\1>/dg];
+const xmpHasGps = (xmp) => {
+  const text = Buffer.isBuffer(xmp) ? xmp.toString('utf8') : String(xmp || '');
+  return XMP_GPS_RE.some((re) => [...text.matchAll(re)].some((m) => m[2].trim() !== ''));
+};
+// Blank GPS values inside an XMP packet at buf[start, end) with same-length spaces, so container offsets stay valid
+const scrubXmpGpsAt = (buf, start, end) => {
+  const text = buf.toString('latin1', start, end);
+  for (const re of XMP_GPS_RE) {
+    for (const m of text.matchAll(re)) {
+      const [from, to] = m.indices[2];
+      buf.fill(0x20, start + from, start + to);
+    }
+  }
+};
 
-  const log = cfg.logger || { info: () => {}, warn: () => {}, error: () => {} };
-  const allowSet = new Set(
-    (cfg.includeExt ? cfg.includeExt.map(lowerDot) : DEFAULT_ALLOW_EXT)
-      .filter(Boolean)
-      .map((e) => e.toLowerCase())
-  );
-  if (cfg.excludeExt) {
-    for (const e of cfg.excludeExt.map(lowerDot)) allowSet.delete(e);
+// Read a source once and, for keep-no-gps, scrub GPS from its EXIF/XMP bytes before sharp sees them.
+// A Buffer is copied, since scrubbing writes in place and the caller's bytes are not ours to change
+async function readWithMetadata(input, mode) {
+  const buffer = Buffer.isBuffer(input) ? Buffer.from(input) : await fsp.readFile(input);
+  const meta = await sharp(buffer, { failOn: 'none' }).metadata();
+  if (mode === 'keep-no-gps') {
+    if (meta.exif) {
+      const probe = meta.exif.slice(6, 6 + Math.min(32, meta.exif.length - 6));
+      const view = tiffAt(buffer, buffer.indexOf(probe));
+      if (view) view.scrubGps();
+      else if ((exifTiff(meta.exif) || {}).gpsCount) throw new Error('cannot locate EXIF to scrub GPS');
+    }
+    if (meta.xmp && xmpHasGps(meta.xmp)) {
+      const at = buffer.indexOf(meta.xmp);
+      if (at === -1) throw new Error('cannot locate XMP to scrub GPS');
+      scrubXmpGpsAt(buffer, at, at + meta.xmp.length);
+    }
   }
+  return { buffer, exif: meta.exif || null };
+}
 
-  // sharp pool sizing (initial)
-  if (cfg.autoThreads) {
-    // defer sizing to limiter setup
-  } else {
-    let t = cfg.sharpThreads != null ? cfg.sharpThreads : Math.max(1, Math.floor((os.cpus()?.length || 4) / 2));
-    if (t === 0) sharp.concurrency(0); else sharp.concurrency(t);
+// `icc`: the profile the output is converted into and tagged with; null keeps the source's (rotate() resets the
+// orientation tag then too)
+function applyMetadata(pipeline, src, mode, icc = 'srgb') {
+  if (mode === 'keep' || mode === 'keep-no-gps') {
+    // rotate() already applied the orientation; reset the tag so viewers don't rotate again
+    return icc ? pipeline.withMetadata({ orientation: 1, icc }) : pipeline.keepMetadata();
+  }
+  if (mode === 'copyright-only') {
+    const view = exifTiff(src && src.exif);
+    const IFD0 = {};
+    if (view && view.artist) IFD0.Artist = view.artist.toString('utf8');
+    if (view && view.copyright) IFD0.Copyright = view.copyright.toString('utf8');
+    return Object.keys(IFD0).length ? pipeline.withExif({ IFD0 }) : pipeline;
   }
+  return pipeline;
+}
 
-  // FS prep
-  const inputAbs = path.resolve(cfg.inputDir);
-  const outputAbs = cfg.overwrite ? null : path.resolve(cfg.outputDir);
-  if (!(await exists(inputAbs))) throw new Error(`Input not found: ${inputAbs}`);
-  if (cfg.flatten && cfg.overwrite) throw new Error('Cannot use flatten with overwrite. Choose one.');
-  if (!cfg.overwrite) await fsp.mkdir(outputAbs, { recursive: true });
+// Fail closed: an output that still carries GPS must not be published
+async function assertNoGps(input) {
+  const meta = await sharp(input).metadata();
+  const view = exifTiff(meta.exif);
+  if ((view && view.gpsCount) || (meta.xmp && xmpHasGps(meta.xmp))) throw new Error('GPS metadata survived scrubbing');
+}
 
-  const stats = { converted: 0, copied: 0, kept: 0, errors: 0, results: [] };
-  const onFile = cfg.onFile ? (x) => { stats.results.push(x); cfg.onFile(x); } : (x) => { stats.results.push(x); };
-  const processFile = processFileFactory(cfg, allowSet, stats, log, onFile, inputAbs, outputAbs || '');
+// Minimal EXIF (big-endian TIFF, IFD0 only) carrying orientation and/or artist/copyright
+function buildExif({ orientation = 1, artist = null, copyright = null }) {
+  const entries = [];
+  if (orientation && orientation !== 1) entries.push({ tag: TAG_ORIENTATION, type: 3, short: orientation });
+  if (artist && artist.length) entries.push({ tag: TAG_ARTIST, type: 2, data: Buffer.concat([artist, Buffer.alloc(1)]) });
+  if (copyright && copyright.length) entries.push({ tag: TAG_COPYRIGHT, type: 2, data: Buffer.concat([copyright, Buffer.alloc(1)]) });
+  if (!entries.length) return null;
+  const head = Buffer.alloc(8 + 2 + entries.length * 12 + 4);
+  head.write('MM\0*', 0, 'latin1');
+  head.writeUInt32BE(8, 4);
+  head.writeUInt16BE(entries.length, 8);
+  const extra = [];
+  let dataOff = head.length;
+  entries.forEach((e, i) => {
+    const at = 10 + i * 12;
+    head.writeUInt16BE(e.tag, at);
+    head.writeUInt16BE(e.type, at + 2);
+    if (e.type === 3) {
+      head.writeUInt32BE(1, at + 4);
+      head.writeUInt16BE(e.short, at + 8);
+      return;
+    }
+    head.writeUInt32BE(e.data.length, at + 4);
+    if (e.data.length <= 4) { e.data.copy(head, at + 8); return; }
+    head.writeUInt32BE(dataOff, at + 8);
+    const padded = e.data.length % 2 ? Buffer.concat([e.data, Buffer.alloc(1)]) : e.data;
+    extra.push(padded);
+    dataOff += padded.length;
+  });
+  return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), head, ...extra]);
+}
 
-  // Limiter
-  let limiter, dispose = () => {};
-  if (cfg.auto) {
-    const initial = Math.min(2, cfg.maxConcurrency);
-    if (cfg.autoThreads) {
-      const desired = clamp(Math.floor(cfg.targetThreads / Math.max(1, initial)), cfg.minSharpThreads, cfg.maxSharpThreads);
-      sharp.concurrency(desired === 0 ? 0 : desired);
+// External converters copy source metadata (sips also leaves orientation to the tag), so apply the policy to their
+// JPEG output at byte level
+async function applyJpegMetadataPolicy(file, mode) {
+  if (mode === 'keep') return;
+  const buf = await fsp.readFile(file);
+  if (buf[0] !== 0xFF || buf[1] !== 0xD8) throw new Error('converter output is not a JPEG');
+  const keep = [buf.slice(0, 2)];
+  let exif = null, off = 2;
+  while (off + 4 <= buf.length && buf[off] === 0xFF) {
+    const marker = buf[off + 1];
+    if (marker === 0xDA) break; // SOS: entropy-coded data follows
+    const len = buf.readUInt16BE(off + 2);
+    const seg = buf.slice(off, off + 2 + len);
+    const payload = seg.slice(4);
+    const isExif = marker === 0xE1 && payload.toString('latin1', 0, 6) === 'Exif\0\0';
+    const isXmp = marker === 0xE1 && payload.toString('latin1', 0, 29) === 'http://ns.adobe.com/xap/1.0/\0';
+    const isIptc = marker === 0xED;
+    if (mode === 'keep-no-gps') {
+      if (isExif) { const v = tiffAt(payload, 6); v && v.scrubGps(); }
+      if (isXmp) scrubXmpGpsAt(payload, 29, payload.length);
+      keep.push(seg);
+    } else if (isExif || isXmp || isIptc) {
+      if (isExif) exif = tiffAt(payload, 6);
+    } else {
+      keep.push(seg); // ICC (APP2) and the rest: sips wrote pixels in the source's colour space
     }
-    limiter = createAdaptiveLimiter({
-      initial,
-      min: cfg.minConcurrency,
-      max: cfg.maxConcurrency,
-      windowMs: cfg.windowMs,
-      targetLatencyMs: cfg.targetLatencyMs,
-      lagThresholdMs: cfg.lagThresholdMs,
-      onWindow: ({ inFlightCap, avgLatency, lagMs }) => {
-        cfg.onWindow && cfg.onWindow({ inFlightCap, avgLatency, lagMs });
-        if (cfg.autoThreads) {
-          const desired = clamp(Math.floor(cfg.targetThreads / Math.max(1, inFlightCap)), cfg.minSharpThreads, cfg.maxSharpThreads);
-          sharp.concurrency(desired === 0 ? 0 : desired);
-        }
-      }
+    off += 2 + len;
+  }
+  const rest = buf.slice(off);
+  if (mode !== 'keep-no-gps') {
+    const built = buildExif({
+      orientation: exif ? exif.orientation : 1,
+      ...(mode === 'copyright-only' && exif ? { artist: exif.artist, copyright: exif.copyright } : {})
     });
-    dispose = limiter.dispose;
-  } else {
-    const fixed = cfg.concurrency ?? Math.max(2, Math.floor((os.cpus()?.length || 4) / 2));
-    if (cfg.autoThreads) {
-      const desired = clamp(Math.floor(cfg.targetThreads / Math.max(1, fixed)), cfg.minSharpThreads, cfg.maxSharpThreads);
-      sharp.concurrency(desired === 0 ? 0 : desired);
+    if (built) {
+      const hdr = Buffer.alloc(4);
+      hdr.writeUInt16BE(0xFFE1, 0);
+      hdr.writeUInt16BE(built.length + 2, 2);
+      keep.splice(1, 0, hdr, built);
     }
-    let inFlight = 0; const q = [];
-    const pump = () => {
-      while (inFlight < fixed && q.length) {
-        const { fn, resolve, reject } = q.shift();
-        inFlight++;
-        fn().then(resolve, reject).finally(() => { inFlight--; pump(); });
-      }
+  }
+  await fsp.writeFile(file, Buffer.concat([...keep, rest]));
+}
+
+// --------- Colour management ---------
+// colorspace: 'srgb' converts to sRGB (untagged, as the web assumes; tagged when metadata is kept), 'preserve' keeps
+// the source's colour space and embeds its ICC profile, 'convert-to:<profile>' converts into srgb, p3, cmyk or an
+// ICC file and embeds that. CMYK sources are converted through their embedded profile (else a generic one) first.
+const COLOR_PROFILES = ['srgb', 'p3', 'cmyk'];
+const BIT_DEPTHS = [8, 16, 'source'];
+// Encoders that can go above 8 bits per channel, and the depth they write for bitDepth 16
+const HIGH_DEPTH = { png: 16, tiff: 16, avif: 12 };
+const CMYK_FORMATS = new Set(['jpeg', 'tiff']);
+
+const parseColorspace = (value) => {
+  if (value === 'srgb' || value === 'preserve') return { mode: value, profile: null };
+  const m = /^convert-to:(.+)$/.exec(typeof value === 'string' ? value : '');
+  if (!m) throw new Error(`Unsupported colorspace "${value}". Use srgb, preserve or convert-to:<${COLOR_PROFILES.join('|')}|ICC file>`);
+  const named = m[1].toLowerCase();
+  return { mode: 'convert-to', profile: COLOR_PROFILES.includes(named) ? named : path.resolve(m[1]) };
+};
+
+// Description from an ICC profile's 'desc' tag (v2 'desc' or v4 'mluc' type), e.g. "Display P3"
+const iccDescription = (icc) => {
+  if (!icc || icc.length < 132) return null;
+  const count = icc.readUInt32BE(128);
+  for (let i = 0, at = 132; i < count && at + 12 <= icc.length; i++, at += 12) {
+    if (icc.toString('latin1', at, at + 4) !== 'desc') continue;
+    const tag = icc.slice(icc.readUInt32BE(at + 4), icc.readUInt32BE(at + 4) + icc.readUInt32BE(at + 8));
+    const type = tag.toString('latin1', 0, 4);
+    if (type === 'desc' && tag.length >= 12) return tag.toString('latin1', 12, 12 + tag.readUInt32BE(8)).replace(/\0+$/, '') || null;
+    if (type === 'mluc' && tag.length >= 28) {
+      const len = tag.readUInt32BE(20), off = tag.readUInt32BE(24);
+      return Buffer.from(tag.slice(off, off + len)).swap16().toString('utf16le') || null;
+    }
+  }
+  return null;
+};
+const BAND_BITS = { uchar: 8, char: 8, ushort: 16, short: 16, uint: 32, int: 32, float: 32, double: 64 };
+// What a ResizeResult records about an output's colour
+const colourOf = (meta) => ({
+  colorProfile: iccDescription(meta.icc),
+  bitDepth: meta.bitsPerSample || BAND_BITS[meta.depth] || 8
+});
+
+// Whether this sharp build writes `key` above 8 bits per channel (prebuilt binaries: PNG only); probed once
+const highDepthProbes = new Map();
+const writesHighDepth = (key) => {
+  if (!highDepthProbes.has(key)) {
+    highDepthProbes.set(key, (async () => {
+      const pixel = sharp({ create: { width: 1, height: 1, channels: 3, background: '#808080' } }).toColourspace('rgb16');
+      const data = await applyEncoder(pixel, key, undefined, { bitdepth: HIGH_DEPTH[key] }).toBuffer();
+      return colourOf(await sharp(data).metadata()).bitDepth > 8;
+    })().catch(() => false));
+  }
+  return highDepthProbes.get(key);
+};
+
+// --------- External converters ---------
+// Tried in order after sharp fails. A converter that `resizes` writes the finished output itself when it can
+// produce the target format and the job is a plain scale-into-a-box; otherwise (and always when it can't resize)
+// it only decodes the source into an intermediate in its first output format, which sharp then resizes and encodes.
+const CONVERTER_TOKENS = ['input', 'output', 'format', 'quality', 'width', 'height', 'size'];
+const CONVERTER_KEYS = ['name', 'command', 'inputs', 'outputs', 'resizes'];
+const MAGICK_FORMATS = { jpeg: 'JPEG', png: 'PNG', webp: 'WEBP', avif: 'AVIF', tiff: 'TIFF', gif: 'GIF' };
+const sipsEnabled = (setting) => setting === 'sips' || (setting === 'auto' && process.platform === 'darwin');
+
+const BUILTIN_CONVERTERS = {
+  // macOS; still gated per input by heicFallback / jpegFallback
+  sips: {
+    bin: '/usr/bin/sips', inputs: ['.heic', '.heif', '.jpg', '.jpeg'], outputs: ['jpeg'], resizes: true,
+    enabled: (cfg, extLower) => sipsEnabled((extLower === '.heic' || extLower === '.heif') ? cfg.heicFallback : cfg.jpegFallback),
+    args: (v) => ['-s', 'format', 'jpeg',
+      ...(v.quality !== '' ? ['-s', 'formatOptions', v.quality] : []),
+      ...(v.size !== '' ? ['-Z', v.size] : []),
+      v.input, '--out', v.output]
+  },
+  // ImageMagick 7; JPEG keeps its metadata for the policy pass, other formats only keep it under 'keep'
+  magick: {
+    bin: 'magick', inputs: null, outputs: Object.keys(MAGICK_FORMATS), resizes: true,
+    args: (v, metadata) => [`${v.input}[0]`, '-auto-orient',
+      ...(v.width || v.height ? ['-resize', `${v.width}x${v.height}>`] : []),
+      ...(v.quality !== '' ? ['-quality', v.quality] : []),
+      ...(v.format !== 'jpeg' && metadata !== 'keep' ? ['-strip'] : []),
+      `${MAGICK_FORMATS[v.format]}:${v.output}`]
+  },
+  // libheif; picks the output type from the extension
+  'heif-convert': {
+    bin: 'heif-convert', inputs: ['.heic', '.heif', '.avif'], outputs: ['png'], resizes: false,
+    args: (v) => [v.input, v.output]
+  }
+};
+
+// 'magick' → the built-in; { name, command: 'vips copy {input} {output}', inputs, outputs, resizes } → a command
+// run without a shell, each argument's {tokens} filled in (missing values become '')
+function normalizeConverter(c) {
+  if (typeof c === 'string') {
+    if (!BUILTIN_CONVERTERS[c]) throw new Error(`unknown converter "${c}" (built in: ${Object.keys(BUILTIN_CONVERTERS).join(', ')})`);
+    return { name: c, ...BUILTIN_CONVERTERS[c] };
+  }
+  if (!isPlainObject(c)) throw new Error('expected a converter name or { name, command, inputs, outputs, resizes }');
+  for (const k of Object.keys(c)) {
+    if (!CONVERTER_KEYS.includes(k)) throw new Error(`unknown converter option "${k}" (use ${CONVERTER_KEYS.join(', ')})`);
+  }
+  if (typeof c.name !== 'string' || !c.name) throw new Error('converter needs a name');
+  const argv = Array.isArray(c.command) ? c.command.map(String) : String(c.command ?? '').trim().split(/\s+/).filter(Boolean);
+  if (!argv.length) throw new Error(`converter "${c.name}" needs a command`);
+  for (const [, token] of argv.join(' ').matchAll(/\{(\w+)\}/g)) {
+    if (!CONVERTER_TOKENS.includes(token)) throw new Error(`converter "${c.name}": unknown token {${token}} (use ${CONVERTER_TOKENS.map((t) => `{${t}}`).join(' ')})`);
+  }
+  if (/\{/.test(argv[0])) throw new Error(`converter "${c.name}": the program can't be a token`);
+  if (!argv.some((a) => a.includes('{input}'))) throw new Error(`converter "${c.name}": command needs {input}`);
+  if (!argv.some((a) => a.includes('{output}'))) throw new Error(`converter "${c.name}": command needs {output}`);
+  const outputs = (c.outputs ?? ['png']).map((f) => normalizeFormat(f).key);
+  return {
+    name: c.name, bin: argv[0],
+    inputs: c.inputs ? c.inputs.map(lowerDot) : null,
+    outputs,
+    resizes: !!c.resizes,
+    args: (v) => argv.slice(1).map((a) => a.replace(/\{(\w+)\}/g, (_, t) => String(v[t] ?? '')))
+  };
+}
+const normalizeConverters = (list) => (list ? list.map(normalizeConverter) : []);
+
+// PATH lookup, cached per run by the caller; absolute and relative paths are checked as they are
+const findBinary = async (bin) => {
+  const exts = process.platform === 'win32' ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')] : [''];
+  const dirs = bin.includes('/') || bin.includes(path.sep) ? [''] : (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    for (const ext of exts) {
+      const p = dir ? path.join(dir, bin + ext) : bin + ext;
+      try { await fsp.access(p, fs.constants.X_OK); return p; } catch {}
+    }
+  }
+  return null;
+};
+
+const runCommand = (bin, args, name) => new Promise((resolve, reject) => {
+  const p = spawn(bin, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let errOut = '';
+  p.stderr.on('data', (d) => { errOut += String(d); });
+  p.on('error', reject);
+  p.on('close', (code) => {
+    if (code === 0) resolve();
+    else reject(new Error(errOut.trim() || `${name} exit ${code}`));
+  });
+});
+
+// --------- Input filters ---------
+const FILTER_DATE_KEYS = ['modifiedAfter', 'modifiedBefore', 'takenAfter', 'takenBefore'];
+const FILTER_DIM_KEYS = ['minSourceWidth', 'maxSourceWidth', 'minSourceHeight', 'maxSourceHeight'];
+
+// Glob → regex source: '*' and '?' stay within a segment, '**/' spans directories, plus [...] and {a,b}
+const globSource = (glob) => {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        i++;
+        if (glob[i + 1] === '/') { i++; re += '(?:.*/)?'; } else re += '.*';
+      } else re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      re += `[${body[0] === '!' ? '^' + body.slice(1) : body}]`;
+      i = end;
+    } else if (c === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i);
+      re += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`;
+      i = end;
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return re;
+};
+// A pattern without '/' matches the file name at any depth ('*.jpg'); otherwise the path from the root
+const compileGlob = (glob) => {
+  const g = glob.replace(/^\.?\//, '');
+  return { glob, re: new RegExp(`^${globSource(g.includes('/') ? g : '**/' + g)}$`) };
+};
+
+// .gitignore syntax: '#' comments, '!' re-includes, trailing '/' matches directories only,
+// a '/' elsewhere anchors the pattern to the ignore file's directory
+const parseIgnoreFile = (text, file) => text.split(/\r?\n/)
+  .map((line) => line.replace(/\s+$/, ''))
+  .filter((line) => line && !line.startsWith('#'))
+  .map((line) => {
+    const source = line;
+    const negate = line.startsWith('!');
+    if (negate || line.startsWith('\\')) line = line.slice(1);
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    return { file, source, negate, dirOnly, re: new RegExp(`^${globSource(anchored ? line : '**/' + line)}$`) };
+  });
+
+const toTime = (v, key) => {
+  if (v == null) return null;
+  const t = new Date(v).getTime();
+  if (Number.isNaN(t)) throw new Error(`Invalid ${key} date: ${JSON.stringify(v)}`);
+  return t;
+};
+const exifDateTime = (s) => {
+  const m = /^(\d{4}):(\d\d):(\d\d)[ T](\d\d):(\d\d):(\d\d)/.exec(s || '');
+  return m ? new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]).getTime() : null;
+};
+
+// Decides per source whether it takes part in the run; returns null (keep) or a short description of
+// the rule that filtered it out. Returns null from the factory itself when no filter is configured.
+const createInputFilter = (cfg, inputRoot) => {
+  const include = (cfg.includeGlobs || []).map(compileGlob);
+  const exclude = (cfg.excludeGlobs || []).map(compileGlob);
+  const ignoreNames = new Set(cfg.ignoreFiles || []);
+  const dates = Object.fromEntries(FILTER_DATE_KEYS.map((k) => [k, toTime(cfg[k], k)]));
+  const needDims = FILTER_DIM_KEYS.some((k) => cfg[k] != null);
+  const needTaken = dates.takenAfter != null || dates.takenBefore != null;
+  const needStat = needTaken || cfg.minSourceBytes != null || cfg.maxSourceBytes != null ||
+    dates.modifiedAfter != null || dates.modifiedBefore != null;
+  if (!include.length && !exclude.length && !ignoreNames.size && !needStat && !needDims) return null;
+
+  const rel = (p) => path.relative(inputRoot, p).split(path.sep).join('/');
+  const rulesCache = new Map(); // dir → Promise<rules[]>
+  const rulesIn = (dir) => {
+    if (!rulesCache.has(dir)) {
+      rulesCache.set(dir, (async () => {
+        const rules = [];
+        for (const name of ignoreNames) {
+          const file = path.join(dir, name);
+          try { rules.push(...parseIgnoreFile(await fsp.readFile(file, 'utf8'), file)); } catch {}
+        }
+        return rules;
+      })());
+    }
+    return rulesCache.get(dir);
+  };
+
+  // Last matching rule wins; a path under an ignored directory stays ignored, as in git
+  const ignoredBy = async (inputPath) => {
+    const parts = rel(inputPath).split('/');
+    const dirs = [inputRoot];
+    for (const part of parts.slice(0, -1)) dirs.push(path.join(dirs[dirs.length - 1], part));
+    const sets = await Promise.all(dirs.map(rulesIn));
+    const match = (depth, target, isDir) => {
+      let hit = null;
+      for (let d = 0; d < depth; d++) {
+        const relTo = path.relative(dirs[d], target).split(path.sep).join('/');
+        for (const r of sets[d]) {
+          if ((!r.dirOnly || isDir) && r.re.test(relTo)) hit = r.negate ? null : r;
+        }
+      }
+      return hit;
+    };
+    for (let k = 1; k < dirs.length; k++) {
+      const hit = match(k, dirs[k], true);
+      if (hit) return hit;
+    }
+    return match(dirs.length, inputPath, false);
+  };
+
+  const test = async (inputPath) => {
+    const name = path.basename(inputPath);
+    const relPath = rel(inputPath);
+    if (ignoreNames.has(name)) return 'ignore file';
+    const ex = exclude.find((g) => g.re.test(relPath));
+    if (ex) return `exclude ${ex.glob}`;
+    if (include.length && !include.some((g) => g.re.test(relPath))) return 'no include pattern matched';
+    if (ignoreNames.size) {
+      const hit = await ignoredBy(inputPath);
+      if (hit) return `${path.relative(inputRoot, hit.file)}: ${hit.source}`;
+    }
+
+    if (!needStat && !needDims) return null;
+    const st = await fsp.stat(inputPath);
+    if (cfg.minSourceBytes != null && st.size < cfg.minSourceBytes) return `size ${st.size} < ${cfg.minSourceBytes} bytes`;
+    if (cfg.maxSourceBytes != null && st.size > cfg.maxSourceBytes) return `size ${st.size} > ${cfg.maxSourceBytes} bytes`;
+    if (dates.modifiedAfter != null && st.mtimeMs < dates.modifiedAfter) return `modified before ${new Date(dates.modifiedAfter).toISOString()}`;
+    if (dates.modifiedBefore != null && st.mtimeMs >= dates.modifiedBefore) return `modified after ${new Date(dates.modifiedBefore).toISOString()}`;
+
+    if (!needDims && !needTaken) return null;
+    // Sources sharp can't read have no dimensions to compare and fall back to mtime for the taken date
+    let meta = null;
+    try { meta = await sharp(inputPath, { failOn: 'none' }).metadata(); } catch {}
+    if (needDims && meta && meta.width && meta.height) {
+      // compare as displayed, i.e. after EXIF auto-rotation
+      const swap = (meta.orientation || 1) >= 5;
+      const w = swap ? meta.height : meta.width;
+      const h = swap ? meta.width : meta.height;
+      if (cfg.minSourceWidth != null && w < cfg.minSourceWidth) return `width ${w} < ${cfg.minSourceWidth}`;
+      if (cfg.maxSourceWidth != null && w > cfg.maxSourceWidth) return `width ${w} > ${cfg.maxSourceWidth}`;
+      if (cfg.minSourceHeight != null && h < cfg.minSourceHeight) return `height ${h} < ${cfg.minSourceHeight}`;
+      if (cfg.maxSourceHeight != null && h > cfg.maxSourceHeight) return `height ${h} > ${cfg.maxSourceHeight}`;
+    }
+    if (needTaken) {
+      const tiff = meta && exifTiff(meta.exif);
+      const taken = (tiff && exifDateTime(tiff.taken)) ?? st.mtimeMs;
+      if (dates.takenAfter != null && taken < dates.takenAfter) return `taken before ${new Date(dates.takenAfter).toISOString()}`;
+      if (dates.takenBefore != null && taken >= dates.takenBefore) return `taken after ${new Date(dates.takenBefore).toISOString()}`;
+    }
+    return null;
+  };
+
+  return { test, invalidate: () => rulesCache.clear() };
+};
+
+// --------- Duplicates ---------
+const DEDUPE_MODES = ['exact', 'perceptual'];
+const DEDUPE_ACTIONS = ['skip', 'hardlink', 'symlink'];
+
+// dHash: one bit per horizontally adjacent pair of a 9×8 greyscale thumbnail, as a 64-bit BigInt
+const perceptualHash = async (file) => {
+  const { data, info } = await sharp(file, { failOn: 'none', pages: 1 })
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const px = (x, y) => data[(y * 9 + x) * info.channels];
+  let h = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) h = (h << 1n) | (px(x, y) < px(x + 1, y) ? 1n : 0n);
+  }
+  return h;
+};
+const PHASH_ALL_SET = (1n << 64n) - 1n;
+const hammingDistance = (a, b) => {
+  let x = a ^ b, n = 0;
+  while (x) { x &= x - 1n; n++; }
+  return n;
+};
+
+// Groups sources by content (and, in perceptual mode, by near-identical pixels). Sources are matched in
+// the order they entered the run, so the first of a set of copies is always the one that gets processed.
+// `enter()` must be called synchronously when a source starts; the returned ticket is spent by match().
+const createDeduper = (cfg, allowSet) => {
+  const perceptual = cfg.dedupe === 'perceptual';
+  const bySha = new Map(); // sha1 → group
+  const groups = []; // { primary, sha, phash, results, settled, duplicates }
+  const inFlight = new Map(); // primary src → group, while its results are still coming in
+  let tail = Promise.resolve();
+
+  const enter = () => {
+    const prev = tail;
+    let release;
+    tail = new Promise((resolve) => { release = resolve; });
+    return { prev, release };
+  };
+
+  // Resolves { group, primary: true } for a first copy, { group, match, distance } for a duplicate,
+  // or null when the source can't be read (it is then processed as usual)
+  const match = async (inputPath, ticket) => {
+    try {
+      let sha, phash = null;
+      try { sha = await hashFile(inputPath); } catch { return null; }
+      if (perceptual && allowSet.has(path.extname(inputPath).toLowerCase())) {
+        try { phash = await perceptualHash(inputPath); } catch {}
+        // flat images (all bits equal) carry no structure to compare; leave them to exact matching
+        if (phash === 0n || phash === PHASH_ALL_SET) phash = null;
+      }
+      await ticket.prev;
+      let group = bySha.get(sha);
+      if (!group && phash !== null) {
+        let best = Infinity;
+        for (const g of groups) {
+          if (g.phash === null) continue;
+          const d = hammingDistance(g.phash, phash);
+          if (d <= cfg.dedupeThreshold && d < best) { group = g; best = d; }
+        }
+      }
+      if (group) {
+        // reported against the first copy, even when the bytes matched another duplicate
+        const exact = group.sha === sha;
+        const distance = exact || group.phash === null || phash === null ? 0 : hammingDistance(group.phash, phash);
+        const m = { src: inputPath, match: exact ? 'exact' : 'near', distance };
+        group.duplicates.push(m);
+        bySha.set(sha, group);
+        return { group, match: m.match, distance };
+      }
+      let settle;
+      group = { primary: inputPath, sha, phash, results: [], duplicates: [], settled: new Promise((r) => { settle = r; }), settle };
+      bySha.set(sha, group);
+      groups.push(group);
+      inFlight.set(inputPath, group);
+      return { group, primary: true };
+    } finally {
+      ticket.release();
+    }
+  };
+
+  const track = (x) => {
+    const g = inFlight.get(x.src);
+    if (g) g.results.push(x);
+  };
+  // The first copy has settled; `failed` leaves nothing for duplicates to link to
+  const done = (group, failed) => {
+    inFlight.delete(group.primary);
+    if (failed) group.results = [];
+    group.settle(group.results);
+  };
+
+  const report = () => groups
+    .filter((g) => g.duplicates.length)
+    .map((g) => ({ primary: g.primary, duplicates: g.duplicates.map((d) => ({ ...d })) }));
+
+  return { enter, match, track, done, report };
+};
+
+// --------- Geometry ---------
+const FIT_MODES = ['inside', 'cover', 'contain', 'fill', 'outside'];
+const POSITIONS = [
+  'centre', 'center', 'north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest',
+  'attention', 'entropy'
+];
+
+// '16:9', '4/3', '1.5' or a number → width / height
+function parseAspectRatio(v) {
+  if (v == null) return null;
+  const m = /^\s*(\d+(?:\.\d+)?)\s*(?:[:/x]\s*(\d+(?:\.\d+)?))?\s*$/i.exec(String(v));
+  const ratio = typeof v === 'number' ? v : (m ? Number(m[1]) / (m[2] ? Number(m[2]) : 1) : NaN);
+  if (!(ratio > 0) || !isFinite(ratio)) throw new Error(`Invalid aspect ratio ${JSON.stringify(v)} (expected e.g. '16:9' or 1.5)`);
+  return ratio;
+}
+
+// The box handed to sharp's resize: with an aspect ratio, the largest box of that shape inside the bounds
+function resizeBox(maxWidth, maxHeight, ratio) {
+  if (!ratio) return { width: maxWidth, height: maxHeight };
+  if (maxWidth && maxHeight) {
+    return maxWidth / maxHeight > ratio
+      ? { width: Math.round(maxHeight * ratio), height: maxHeight }
+      : { width: maxWidth, height: Math.round(maxWidth / ratio) };
+  }
+  if (maxWidth) return { width: maxWidth, height: Math.round(maxWidth / ratio) };
+  if (maxHeight) return { width: Math.round(maxHeight * ratio), height: maxHeight };
+  return { width: undefined, height: undefined };
+}
+
+// Decoders sharp lets shrink on load, which can land the resized size a pixel or so either side of resizedSize
+const SHRINK_ON_LOAD = new Set(['jpeg', 'webp', 'svg', 'pdf']);
+
+// Output size of sharp's resize of a width × height image, mirroring its shrink rules per fit
+function resizedSize(width, height, { width: W, height: H, fit, withoutEnlargement }) {
+  let hs = 1, vs = 1;
+  if (W && H) {
+    hs = width / W;
+    vs = height / H;
+    // cover and outside fill the box (the smaller shrink), the rest fit inside it (the larger); fill keeps both
+    if (fit === 'cover' || fit === 'outside') hs = vs = Math.min(hs, vs);
+    else if (fit !== 'fill') hs = vs = Math.max(hs, vs);
+  } else if (W) {
+    hs = width / W;
+    if (fit !== 'fill') vs = hs;
+  } else if (H) {
+    vs = height / H;
+    if (fit !== 'fill') hs = vs;
+  }
+  if (withoutEnlargement) { hs = Math.max(1, hs); vs = Math.max(1, vs); }
+  const w = Math.round(width / Math.min(hs, width)), h = Math.round(height / Math.min(vs, height));
+  if (fit === 'cover') return { width: W ? Math.min(w, W) : w, height: H ? Math.min(h, H) : h };
+  if (fit === 'contain') return { width: W || w, height: H || h };
+  return { width: w, height: h };
+}
+
+// --------- Watermark ---------
+const WATERMARK_DEFAULTS = {
+  position: 'southeast', // gravity: centre, north, northeast, …, northwest
+  margin: 16,            // px from the edges the gravity points at
+  opacity: 0.5,
+  scale: 0.2,            // watermark width as a fraction of the output width
+  minWidth: 300,         // outputs smaller than this are left unmarked
+  minHeight: 200,
+  font: 'sans-serif',    // text only
+  color: '#ffffff'       // text only
+};
+const WATERMARK_KEYS = ['image', 'text', ...Object.keys(WATERMARK_DEFAULTS)];
+
+// 'logo.png' → { image: 'logo.png' }; fills defaults and checks every field
+function normalizeWatermark(wm) {
+  if (wm == null) return null;
+  const w = typeof wm === 'string' ? { image: wm } : wm;
+  if (!isPlainObject(w)) throw new Error('expected an image path or { image | text, … }');
+  for (const k of Object.keys(w)) {
+    if (!WATERMARK_KEYS.includes(k)) throw new Error(`unknown option "${k}" (use ${WATERMARK_KEYS.join(', ')})`);
+  }
+  if (!w.image === !w.text) throw new Error('set exactly one of image or text');
+  const out = { ...WATERMARK_DEFAULTS, ...w };
+  if (!POSITIONS.slice(0, 10).includes(out.position)) throw new Error(`unknown position "${out.position}"`);
+  if (!(out.opacity >= 0 && out.opacity <= 1)) throw new Error('opacity must be between 0 and 1');
+  if (!(out.scale > 0 && out.scale <= 1)) throw new Error('scale must be in (0, 1]');
+  for (const k of ['margin', 'minWidth', 'minHeight']) {
+    if (!Number.isInteger(out[k]) || out[k] < 0) throw new Error(`${k} must be a non-negative integer`);
+  }
+  return out;
+}
+
+const escapeXml = (s) => String(s).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+// Renders the watermark once at full size (PNG with alpha, opacity applied); per-output sizes come from `sized`
+function createWatermarker(wm) {
+  let master = null;
+  const sized = new Map(); // "WxH" limit → { input, width, height }; "WxH@position" → padded PNG
+
+  const render = async () => {
+    let img;
+    if (wm.text) {
+      // generous canvas, trimmed to the glyphs afterwards
+      const size = 96;
+      const width = Math.ceil(String(wm.text).length * size * 0.75) + size;
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${size * 2}">` +
+        `<text x="${size / 2}" y="${size * 1.35}" font-family="${escapeXml(wm.font)}" font-size="${size}" fill="${escapeXml(wm.color)}">${escapeXml(wm.text)}</text></svg>`;
+      img = sharp(Buffer.from(svg)).trim();
+    } else {
+      img = sharp(wm.image);
+    }
+    let buf = await img.ensureAlpha().png().toBuffer();
+    if (wm.opacity < 1) {
+      // scale the alpha channel: dest-in keeps the watermark where the 1×1 tile is opaque, times its alpha
+      buf = await sharp(buf)
+        .composite([{ input: Buffer.from([255, 255, 255, Math.round(255 * wm.opacity)]), raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }])
+        .png()
+        .toBuffer();
+    }
+    return buf;
+  };
+
+  const exempt = (width, height) => width < wm.minWidth || height < wm.minHeight;
+  // The mark resized to fit an output of width × height inside the margins
+  const markFor = (width, height) => {
+    const maxW = Math.max(1, Math.min(Math.round(width * wm.scale), width - 2 * wm.margin));
+    const maxH = Math.max(1, height - 2 * wm.margin);
+    const key = `${maxW}x${maxH}`;
+    if (!sized.has(key)) {
+      sized.set(key, (async () => {
+        master = master || render();
+        const { data, info } = await sharp(await master)
+          .resize({ width: maxW, height: maxH, fit: 'inside' })
+          .png()
+          .toBuffer({ resolveWithObject: true });
+        return { input: data, width: info.width, height: info.height };
+      })());
+    }
+    return sized.get(key);
+  };
+
+  // Composite layer for an output of width × height, or null when the output is exempt
+  const layerFor = async (width, height) => {
+    if (exempt(width, height)) return null;
+    const mark = await markFor(width, height);
+    const pos = wm.position;
+    const x = /west/.test(pos) ? wm.margin : /east/.test(pos) ? width - mark.width - wm.margin : Math.round((width - mark.width) / 2);
+    const y = /north/.test(pos) ? wm.margin : /south/.test(pos) ? height - mark.height - wm.margin : Math.round((height - mark.height) / 2);
+    return { input: mark.input, left: Math.max(0, x), top: Math.max(0, y) };
+  };
+
+  // Same, for an output only known to be about width × height: the mark, sized `slack` px smaller, carries its
+  // margins as transparent padding and sharp's gravity places it against the real edges
+  const anchoredLayerFor = async (width, height, slack = 0) => {
+    if (exempt(width, height)) return null;
+    const pos = wm.position;
+    const key = `${width - slack}x${height - slack}@${pos}`;
+    if (!sized.has(key)) {
+      sized.set(key, (async () => {
+        const mark = await markFor(width - slack, height - slack);
+        const pad = (re) => (re.test(pos) ? wm.margin : 0);
+        const extend = { top: pad(/north/), bottom: pad(/south/), left: pad(/west/), right: pad(/east/), background: { r: 0, g: 0, b: 0, alpha: 0 } };
+        return Object.values(extend).some((v) => v > 0) ? sharp(mark.input).extend(extend).png().toBuffer() : mark.input;
+      })());
+    }
+    return { input: await sized.get(key), gravity: pos };
+  };
+
+  return { layerFor, anchoredLayerFor };
+}
+
+// --------- Renditions ---------
+// sizes: [640, { width: 1280, format: 'webp', quality: 75 }, { height: 480, suffix: 'tall' },
+//         { width: 400, height: 400, fit: 'cover', position: 'attention', suffix: 'avatar' }]
+const RENDITION_SEP = '-';
+function normalizeRenditions(sizes) {
+  if (!sizes || !sizes.length) return null;
+  const seen = new Set();
+  return sizes.map((s) => {
+    const r = (typeof s === 'number') ? { width: s } : { ...s };
+    const width = r.width != null ? Number(r.width) : undefined;
+    const height = r.height != null ? Number(r.height) : undefined;
+    if ((width === undefined && height === undefined) || [width, height].some((v) => v !== undefined && !(v > 0))) {
+      throw new Error(`Invalid rendition ${JSON.stringify(s)}: needs a positive width and/or height`);
+    }
+    const label = String(r.suffix ?? (width && height ? `${width}x${height}` : width ? `${width}w` : `${height}h`));
+    const key = `${label}|${r.format || ''}`;
+    if (seen.has(key)) throw new Error(`Duplicate rendition "${label}"${r.format ? ` (${r.format})` : ''}`);
+    if (r.fit != null && !FIT_MODES.includes(r.fit)) throw new Error(`Invalid rendition "${label}": fit must be one of ${FIT_MODES.join(', ')}`);
+    if (r.position != null && !POSITIONS.includes(r.position)) throw new Error(`Invalid rendition "${label}": unknown position "${r.position}"`);
+    if (r.aspectRatio != null) parseAspectRatio(r.aspectRatio);
+    seen.add(key);
+    return {
+      label,
+      maxWidth: width,
+      maxHeight: height,
+      fmt: r.format ? normalizeFormat(r.format) : null,
+      quality: r.quality != null ? Number(r.quality) : null,
+      // geometry left unset here inherits the top-level option
+      fit: r.fit,
+      aspectRatio: r.aspectRatio,
+      position: r.position
+    };
+  });
+}
+
+// ---------------- Pipeline ----------------
+// sharp's names for what it decoded → the extension the format/fallback choice goes by (buffers have no name)
+const sourceExtOf = (meta) => {
+  if (!meta || !meta.format) return '';
+  if (meta.format === 'heif') return meta.compression === 'av1' ? '.avif' : '.heic';
+  if (meta.format === 'jpeg') return '.jpg';
+  return '.' + meta.format;
+};
+
+// One job per output; without `sizes` there is a single job using the top-level bounds
+const jobsOf = (cfg) => {
+  const fmt = normalizeFormat(cfg.format);
+  const renditions = normalizeRenditions(cfg.sizes);
+  const geometry = (r = {}) => ({
+    fit: r.fit ?? cfg.fit,
+    aspectRatio: r.aspectRatio ?? cfg.aspectRatio,
+    position: r.position ?? cfg.position
+  });
+  return renditions
+    ? renditions.map((r) => ({
+        label: r.label,
+        suffix: RENDITION_SEP + r.label,
+        maxWidth: r.maxWidth,
+        maxHeight: r.maxHeight,
+        fmt: r.fmt || fmt,
+        quality: r.quality,
+        ...geometry(r)
+      }))
+    : [{ label: null, suffix: '', maxWidth: cfg.maxWidth, maxHeight: cfg.maxHeight, fmt, quality: null, ...geometry() }];
+};
+
+// One source in, one encoded output per job out, all in memory: format & fallback choice, decode, resize, colour,
+// watermark, metadata, encode and the external converters. The directory walker names, writes and reports what
+// it returns; resizeBuffer and createResizeStream hand it to the caller.
+const createPipeline = (cfg, log) => {
+  const fb = cfg.fallbackFormat ? normalizeFormat(cfg.fallbackFormat) : null;
+  const jobs = jobsOf(cfg);
+
+  // sharp resize options for a job (bounds may be shrunk by the byte budget)
+  const resizeFor = (job, encoderKey, bounds = job) => {
+    const { width, height } = resizeBox(bounds.maxWidth, bounds.maxHeight, parseAspectRatio(job.aspectRatio));
+    const opts = { width, height, fit: job.fit, withoutEnlargement: !cfg.enlarge, fastShrinkOnLoad: true };
+    if (job.fit === 'cover' || job.fit === 'contain') opts.position = job.position;
+    if (job.fit === 'contain') {
+      opts.background = cfg.background ?? (encoderKey === 'jpeg' ? '#ffffff' : { r: 0, g: 0, b: 0, alpha: 0 });
+    }
+    return opts;
+  };
+  // Recorded on each converted result
+  const resizeRecord = (job, opts) => ({
+    fit: job.fit, width: opts.width, height: opts.height,
+    ...(job.aspectRatio != null ? { aspectRatio: job.aspectRatio } : {}),
+    ...(opts.position ? { position: opts.position } : {}),
+    ...(opts.background ? { background: opts.background } : {}),
+    enlarge: !!cfg.enlarge
+  });
+
+  // Quality: a rendition's own > the format's encoder block > top-level `quality` (PNG: only the block's)
+  const encoders = normalizeEncoders(cfg.encoders) || {};
+  const watermark = normalizeWatermark(cfg.watermark);
+  const watermarker = watermark ? createWatermarker(watermark) : null;
+  const encodeSettings = (job, key) => {
+    const { quality, ...options } = encoders[key] || {};
+    if (key === 'gif') return { quality: undefined, options };
+    return { quality: key === 'png' ? quality : (job.quality ?? quality ?? cfg.quality), options };
+  };
+
+  // How one encode handles colour, from the source's header: `icc` is the profile the output is converted into and
+  // tagged with (null: untagged, or the source's own with `keep`), `depth` its bits per channel. sharp works on 16-bit
+  // sources in Display P3 and assumes that of untagged ones too, so a tagged one is converted to sRGB explicitly and an
+  // untagged one is brought down to 8-bit sRGB (`narrow`) before any other profile is applied
+  const colour = parseColorspace(cfg.colorspace);
+  const metadataKept = cfg.metadata === 'keep' || cfg.metadata === 'keep-no-gps';
+  const depthWarned = new Set();
+  const colourPlan = async (src, encoderKey) => {
+    const meta = src.raw ? {} : await sharp(src.buffer, { failOn: 'none' }).metadata();
+    const deep = (BAND_BITS[meta.depth] || 8) > 8;
+    const tagged = !!meta.icc;
+    let depth = 8;
+    if (HIGH_DEPTH[encoderKey] && (cfg.bitDepth === 16 || (cfg.bitDepth === 'source' && deep))) {
+      if (await writesHighDepth(encoderKey)) depth = HIGH_DEPTH[encoderKey];
+      else if (!depthWarned.has(encoderKey)) {
+        depthWarned.add(encoderKey);
+        log.warn && log.warn(`⚠ this sharp build writes 8-bit ${encoderKey} only; bitDepth ${cfg.bitDepth} ignored`);
+      }
+    }
+    if (colour.mode === 'preserve') {
+      // sharp can't widen an 8-bit source and keep its profile
+      return { icc: null, keep: true, depth: tagged && !deep ? 8 : depth };
+    }
+    if (colour.mode === 'convert-to') {
+      if (colour.profile === 'cmyk' && !CMYK_FORMATS.has(encoderKey)) throw new Error(`${encoderKey} can't hold CMYK; convert-to:cmyk needs jpeg or tiff`);
+      const narrow = deep && !tagged;
+      return { icc: colour.profile, keep: false, depth: narrow || colour.profile === 'cmyk' ? 8 : depth, narrow };
+    }
+    if (deep) return { icc: tagged ? 'srgb' : null, keep: false, depth };
+    return { icc: metadataKept ? 'srgb' : null, keep: false, depth };
+  };
+
+  const chooseTarget = (jfmt, extLower) => {
+    if (jfmt.mode !== 'same') return jfmt;
+    if (ENCODE_SAME_OK.has(extLower)) {
+      const ek = encoderForExt(extLower);
+      return { key: ek.key, outExt: extLower, heifCompression: ek.heifCompression };
+    }
+    return fb; // null: no encoder, copy/keep
+  };
+
+  // External converters; each binary is looked up once per run, and a missing one is reported once and skipped
+  const converters = normalizeConverters(cfg.converters);
+  const binaries = new Map(); // bin → Promise<path | null>
+  const binaryFor = (conv) => {
+    if (!binaries.has(conv.bin)) {
+      binaries.set(conv.bin, findBinary(conv.bin).then((found) => {
+        if (!found) log.warn && log.warn(`⚠ converter ${conv.name}: ${conv.bin} not found, skipped`);
+        return found;
+      }));
+    }
+    return binaries.get(conv.bin);
+  };
+  // converters can only scale into a bounding box and can't composite or convert colour, so crops, padding, fixed
+  // shapes, watermarks, profile conversions and deep outputs are finished by sharp from the converter's intermediate
+  const plainScale = (job) => job.fit === 'inside' && job.aspectRatio == null && !cfg.enlarge && !watermarker &&
+    colour.mode !== 'convert-to' && cfg.bitDepth === 8;
+  // [{ conv, direct }] for the converters that take this input, in order; `direct` is the target a converter writes
+  // itself (the primary, else the fallback format), or null when it only decodes
+  const converterSteps = (targets, extLower, job) => converters
+    .filter((c) => (!c.inputs || c.inputs.includes(extLower)) && (!c.enabled || c.enabled(cfg, extLower)))
+    .map((conv) => ({ conv, direct: (conv.resizes && plainScale(job) && targets.find((t) => conv.outputs.includes(t.key))) || null }));
+  const runConverter = async (conv, vars, { final = true } = {}) => {
+    // an intermediate keeps everything; sharp applies the metadata policy when it finishes the output
+    await runCommand(await binaryFor(conv), conv.args(vars, final ? cfg.metadata : 'keep'), conv.name);
+    if (final && vars.format === 'jpeg') await applyJpegMetadataPolicy(vars.output, cfg.metadata);
+  };
+  // Converters work on files: a buffer source is written out first, and every temp file goes afterwards.
+  // Temp names keep an extension, which is how converters tell formats apart
+  const withConverterFiles = async (src, outExt, fn) => {
+    const temps = [];
+    const temp = (ext) => {
+      const p = path.join(src.tmpDir, `${src.stem}.conv-tmp-${process.pid}-${Math.random().toString(36).slice(2,8)}${ext}`);
+      temps.push(p);
+      return p;
+    };
+    try {
+      await fsp.mkdir(src.tmpDir, { recursive: true });
+      let input = src.path;
+      if (!input) { input = temp(src.ext); await fsp.writeFile(input, src.buffer); }
+      return await fn(input, temp(outExt));
+    } finally {
+      for (const p of temps) { try { await fsp.rm(p, { force: true }); } catch {} }
+    }
+  };
+
+  const fbApplies = (jfmt) => !!fb && (jfmt.mode !== 'fixed' || (fb.key !== jfmt.key || fb.outExt !== jfmt.outExt));
+
+  // Decode once at the largest rendition's bounds; each rendition then resizes from raw pixels (8-bit sRGB, so only
+  // under the default colour policy)
+  const decodeShared = async (src) => {
+    const meta = await sharp(src, { failOn: 'none' }).metadata();
+    const turned = (meta.orientation || 1) >= 5;
+    const [width, height] = turned ? [meta.height, meta.width] : [meta.width, meta.height];
+    // each job's resized size before its crop or padding, worked out from the source's shape, so a job bounded on
+    // one side only doesn't leave the other unbounded and the whole decode at full size
+    const sizes = jobs.map((j) => resizedSize(width, height, {
+      ...resizeBox(j.maxWidth, j.maxHeight, parseAspectRatio(j.aspectRatio)),
+      fit: j.fit === 'cover' ? 'outside' : j.fit === 'contain' ? 'inside' : j.fit,
+      withoutEnlargement: true
+    }));
+    let pipeline = sharp(src, { sequentialRead: true, limitInputPixels: cfg.maxPixels || false, failOn: 'none', pages: 1 });
+    // see colourPlan: a tagged 16-bit source would otherwise come out in Display P3
+    if ((BAND_BITS[meta.depth] || 8) > 8 && meta.icc) pipeline = pipeline.withIccProfile('srgb', { attach: false });
+    const { data, info } = await pipeline
+      .rotate()
+      .resize({
+        width: Math.max(...sizes.map((z) => z.width)),
+        height: Math.max(...sizes.map((z) => z.height)),
+        // at least as large as every job on both sides, stretched ones included
+        fit: 'outside',
+        withoutEnlargement: true,
+        fastShrinkOnLoad: true
+      })
+      .toColorspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { data, raw: { width: info.width, height: info.height, channels: info.channels } };
+  };
+
+  // `src` is a path or Buffer, read bytes { buffer, exif }, or shared pixels { data, raw }.
+  // Resolves { data, quality, bytes, width, height }, plus { fits, downscaled } under a byte budget.
+  // `frames` > 1 encodes every frame of an animated source (the encoder must be one of ANIMATED_FORMATS); height is
+  // then a frame's height, and `frames` comes back with the count encoded
+  const encodeImage = async (src, encoderKey, enc, heifCompression, job = jobs[0], frames = 0) => {
+    if (typeof src === 'string' || Buffer.isBuffer(src)) {
+      src = cfg.metadata !== 'strip' ? await readWithMetadata(src, cfg.metadata) : { buffer: src };
+    }
+    const plan = await colourPlan(src, encoderKey);
+    if (plan.narrow) {
+      src = { ...src, buffer: await sharp(src.buffer, { failOn: 'none' }).keepMetadata().toColorspace('srgb').png().toBuffer() };
+    }
+    const animated = frames > 1;
+    let watermarked = false;
+    // Watermarks are sized from the resize geometry rather than by rendering the output twice: the source size (a
+    // frame of an animation, rotated per EXIF otherwise) and, for decoders that shrink on load, a couple px of slack
+    let sourceSize = null;
+    if (watermarker) {
+      const meta = src.raw ? null : await sharp(src.buffer, { failOn: 'none' }).metadata();
+      if (!meta) sourceSize = { width: src.raw.width, height: src.raw.height, slack: 0 };
+      else if (animated) sourceSize = { width: meta.width, height: meta.pageHeight || meta.height, slack: 0 };
+      else {
+        const turned = (meta.orientation || 1) >= 5;
+        sourceSize = {
+          width: turned ? meta.height : meta.width,
+          height: turned ? meta.width : meta.height,
+          slack: SHRINK_ON_LOAD.has(meta.format) ? 2 : 0
+        };
+      }
+    }
+    const build = async (box) => {
+      // Tolerant decode; EXIF-aware rotate before resize; colour per colourPlan
+      let pipeline;
+      if (src.raw) {
+        pipeline = sharp(src.data, { raw: src.raw });
+      } else {
+        // an animation decodes as one strip of frames, so the pixel limit is per frame
+        const limit = cfg.maxPixels ? cfg.maxPixels * (animated ? frames : 1) : false;
+        pipeline = sharp(src.buffer, { sequentialRead: true, limitInputPixels: limit, failOn: 'none', pages: animated ? -1 : 1 });
+        // sharp resizes an animation frame by frame, but would rotate the whole strip of frames as one image
+        if (!animated) pipeline = pipeline.rotate();
+      }
+      const resize = resizeFor(job, encoderKey, box);
+      // an animated WebP shrunk on load could be off a pixel, and the marks down its strip of frames need exact offsets
+      if (watermarker && animated) resize.fastShrinkOnLoad = false;
+      pipeline = pipeline
+        .resize(resize)
+        .toColorspace(plan.depth > 8 ? 'rgb16' : 'srgb');
+      if (encoderKey === 'jpeg') {
+        pipeline = pipeline.flatten({ background: { r: 255, g: 255, b: 255 } });
+      }
+      if (watermarker) {
+        const { width, height } = resizedSize(sourceSize.width, sourceSize.height, resize);
+        if (animated) {
+          const layer = await watermarker.layerFor(width, height);
+          watermarked = !!layer;
+          // composite only reaches an animation's first frame, so each frame down the strip gets its own mark
+          if (layer) pipeline = pipeline.composite(Array.from({ length: frames }, (_, i) => ({ ...layer, top: layer.top + i * height })));
+        } else {
+          const layer = await watermarker.anchoredLayerFor(width, height, sourceSize.slack);
+          watermarked = !!layer;
+          if (layer) pipeline = pipeline.composite([layer]);
+        }
+      }
+      pipeline = applyMetadata(pipeline, src, cfg.metadata, plan.icc);
+      return plan.icc ? pipeline.withIccProfile(plan.icc) : plan.keep ? pipeline.keepIccProfile() : pipeline;
+    };
+    const marks = () => (watermarker ? { watermarked } : {});
+    const size = (info) => (animated
+      ? { width: info.width, height: info.pageHeight || info.height, frames: info.pages || frames }
+      : { width: info.width, height: info.height });
+    const encode = (pipeline, quality) => applyEncoder(pipeline, encoderKey, quality, { heifCompression, encoder: enc.options, bitdepth: plan.depth });
+
+    // lossless output ignores quality, so there is nothing to search
+    if (!cfg.maxBytes || !BUDGET_FORMATS.has(encoderKey) || (enc.options && enc.options.lossless)) {
+      const { data, info } = await encode(await build(job), enc.quality).toBuffer({ resolveWithObject: true });
+      if (cfg.metadata === 'keep-no-gps') await assertNoGps(data);
+      return { data, quality: enc.quality, bytes: data.length, ...size(info), ...marks() };
+    }
+
+    const hi = cfg.maxQuality ?? enc.quality;
+    const lo = Math.min(cfg.minQuality, hi);
+    let pipeline = await build(job);
+    let result, downscaled = false;
+    for (;;) {
+      const base = pipeline;
+      result = await searchQuality((q) => encode(base.clone(), q).toBuffer({ resolveWithObject: true }), lo, hi, cfg.maxBytes);
+      if (result.fits || !cfg.downscaleToFit) break;
+      // quality alone can't get there: shrink from the size just produced and search again
+      const { width, height } = size(result.info);
+      const maxWidth = Math.floor(width * DOWNSCALE_STEP);
+      const maxHeight = Math.floor(height * DOWNSCALE_STEP);
+      if (Math.min(maxWidth, maxHeight) < DOWNSCALE_MIN_PX) break;
+      pipeline = await build({ maxWidth, maxHeight });
+      downscaled = true;
+    }
+    if (cfg.metadata === 'keep-no-gps') await assertNoGps(result.data);
+    return {
+      data: result.data, quality: result.quality, bytes: result.data.length, fits: result.fits,
+      ...size(result.info), downscaled, ...marks()
+    };
+  };
+
+  // Source size, and dimensions as displayed (after EXIF rotation) when sharp can read the header;
+  // animated GIF/WebP also report their frame count (height is then one frame's), and buffers their format
+  const probe = async (input, readable = true) => {
+    const info = {};
+    if (Buffer.isBuffer(input)) info.srcBytes = input.length;
+    else try { info.srcBytes = (await fsp.stat(input)).size; } catch {}
+    if (readable) {
+      try {
+        const meta = await sharp(input, { failOn: 'none' }).metadata();
+        if (meta.width && meta.height) {
+          const swap = (meta.orientation || 1) >= 5;
+          info.srcWidth = swap ? meta.height : meta.width;
+          info.srcHeight = swap ? meta.width : meta.height;
+        }
+        if ((meta.format === 'gif' || meta.format === 'webp') && meta.pages > 1) info.srcFrames = meta.pages;
+        if (Buffer.isBuffer(input)) info.srcExt = sourceExtOf(meta);
+      } catch {}
+    }
+    return info;
+  };
+
+  // Why a probed source is over maxPixels (one frame's width × height), or null
+  const oversize = (info) => {
+    const pixels = (info.srcWidth || 0) * (info.srcHeight || 0);
+    if (!cfg.maxPixels || pixels <= cfg.maxPixels) return null;
+    const mp = (n) => `${+(n / 1e6).toFixed(1)} MP`;
+    return `${info.srcWidth}×${info.srcHeight} (${mp(pixels)}) over maxPixels ${mp(cfg.maxPixels)}`;
+  };
+
+  // What every job reads: the (scrubbed) source bytes when metadata is kept, since raw pixels carry none; one
+  // shared decode for several renditions (not animations: raw pixels hold one frame; not with another colour policy
+  // or depth: they are 8-bit sRGB); else the input itself, which is all an oversize source needs.
+  // If that read fails, each job reads on its own and walks the normal fallback chain
+  const prepare = async (input, info) => {
+    if (oversize(info)) return input;
+    if (cfg.metadata !== 'strip') {
+      try { return await readWithMetadata(input, cfg.metadata); } catch {}
+    } else if (jobs.length > 1 && !(cfg.preserveAnimation && info.srcFrames > 1) && colour.mode === 'srgb' && cfg.bitDepth === 8) {
+      try { return await decodeShared(input); } catch {}
+    }
+    return input;
+  };
+
+  // One job for one source. `source` is what prepare() gave; `src` describes the original:
+  // { path | buffer, ext, stem, info (probe), name (for logs), tmpDir (converter temp files) }.
+  // Resolves { action: 'converted', data, outExt, result, note } (result: the fields a ResizeResult records; note:
+  // the log's "(…)" text), { action: 'copy', reason, error? } or { action: 'error', error }. Transient resource
+  // errors are thrown for the caller to retry or report.
+  const convert = async (job, source, src) => {
+    const jfmt = job.fmt;
+    const target = chooseTarget(jfmt, src.ext);
+    if (!target) return { action: 'copy', reason: `no same-format encoder ${src.ext || 'unknown'}` };
+
+    // Too many pixels to decode: copied as it is or failed (a skip is the caller's, before any job runs)
+    const over = oversize(src.info);
+    if (over) return cfg.oversize === 'copy' ? { action: 'copy', reason: over } : { action: 'error', error: `${over} (oversize: ${cfg.oversize})` };
+
+    // An animation bound for a still format: first frame (the normal path below), copy as it is, or fail
+    const frames = cfg.preserveAnimation ? (src.info.srcFrames || 0) : 0;
+    if (frames > 1 && !ANIMATED_FORMATS.has(target.key) && cfg.animationFallback !== 'first-frame') {
+      const reason = `${frames}-frame animation, ${target.key} can't animate`;
+      if (cfg.animationFallback === 'copy') return { action: 'copy', reason };
+      return { action: 'error', error: `${reason} (animationFallback: error)` };
+    }
+
+    // Each route's output is read back per `verify`, so one that fails it counts as that route failing, then hashed
+    const box = job.fit === 'outside' ? {} : resizeBox(job.maxWidth, job.maxHeight, parseAspectRatio(job.aspectRatio));
+    const checked = async (r, tgt) => {
+      const { width, height, frames: n } = r.result;
+      if (cfg.verify) {
+        await verifyOutput(r.data, { format: tgt.key, compression: tgt.heifCompression, width, height, frames: n, box }, cfg.verify);
+        r.result.verified = cfg.verify;
+      }
+      try { Object.assign(r.result, colourOf(await sharp(r.data).metadata())); } catch {}
+      r.result.sha256 = crypto.createHash('sha256').update(r.data).digest('hex');
+      return r;
+    };
+
+    // sharp encode into `tgt`; `conv` is the converter whose intermediate `from` is
+    const viaSharp = async (tgt, from, conv = null) => {
+      const key = tgt.key;
+      const enc = encodeSettings(job, key);
+      const animate = frames > 1 && ANIMATED_FORMATS.has(key);
+      const w = await encodeImage(from, key, enc, tgt.heifCompression, job, animate ? frames : 0);
+      const { quality, bytes, fits, width, height } = w;
+      const budget = fits === undefined ? '' : `, ${fmtBytes(bytes)}${w.downscaled ? ` at ${width}×${height}` : ''}`;
+      const anim = animate ? `, ${w.frames} frames` : frames > 1 ? `, first of ${frames} frames` : '';
+      const encoder = describeEncoder(key, quality, enc.options);
+      return checked({
+        action: 'converted', data: w.data, outExt: tgt.outExt,
+        result: {
+          route: conv ? 'external' : tgt === fb ? 'fallback' : 'sharp', format: key, encoder,
+          ...(conv ? { via: conv.name } : {}),
+          bytes, width, height, animated: animate,
+          ...(animate ? { frames: w.frames } : {}),
+          ...(watermarker ? { watermarked: w.watermarked } : {}),
+          resize: resizeRecord(job, resizeFor(job, key)),
+          ...(quality != null ? { quality } : {}),
+          ...(fits === false ? { overBudget: true } : {})
+        },
+        note: `${encoder}${budget}${conv ? ` via ${conv.name}` : ''}${anim}${w.watermarked ? ', watermarked' : ''}${tgt === fb ? ', fallback' : ''}`
+      }, tgt);
+    };
+    // The converter writes the finished output (a plain scale into the job's box)
+    const viaConverter = (conv, tgt) => withConverterFiles(src, tgt.outExt, async (input, output) => {
+      const quality = encodeSettings(job, tgt.key).quality;
+      await runConverter(conv, {
+        input, output, format: tgt.key, quality: quality ?? '',
+        width: job.maxWidth ?? '', height: job.maxHeight ?? '', size: Math.max(job.maxWidth || 0, job.maxHeight || 0) || ''
+      });
+      const data = await fsp.readFile(output);
+      // converters keep the source's colour space; under 'srgb' one that isn't is finished by sharp instead
+      if (colour.mode === 'srgb') {
+        let meta = {};
+        try { meta = await sharp(data).metadata(); } catch {}
+        if (meta.space === 'cmyk' || (meta.icc && !/\bsRGB\b/.test(iccDescription(meta.icc) || ''))) return viaSharp(tgt, output, conv);
+      }
+      let dims = {};
+      try { const { width, height } = await sharp(data).metadata(); dims = { width, height }; } catch {}
+      const encoder = describeEncoder(tgt.key, quality);
+      return checked({
+        action: 'converted', data, outExt: tgt.outExt,
+        result: {
+          route: 'external', via: conv.name, format: tgt.key, encoder, bytes: data.length, ...dims, animated: false,
+          ...(quality != null ? { quality } : {})
+        },
+        note: `${encoder} via ${conv.name}${tgt === fb ? ', fallback' : ''}`
+      }, tgt);
+    });
+    // The converter only decodes; sharp resizes and encodes its intermediate like any source
+    const decodeVia = (conv) => {
+      const format = ['png', 'tiff'].find((f) => conv.outputs.includes(f)) || conv.outputs[0];
+      return withConverterFiles(src, normalizeFormat(format).outExt, async (input, output) => {
+        await runConverter(conv, { input, output, format, quality: format === 'jpeg' ? 100 : '', width: '', height: '', size: '' }, { final: false });
+        return viaSharp(target, output, conv);
+      });
+    };
+
+    try {
+      return await viaSharp(target, source);
+    } catch (err) {
+      if (isTransientResourceError(err)) throw err;
+
+      // External converters, in order: written directly, or decoded for sharp to finish
+      for (const { conv, direct } of converterSteps([target, fb].filter(Boolean), src.ext, job)) {
+        if (!(await binaryFor(conv))) continue;
+        try {
+          return direct ? await viaConverter(conv, direct) : await decodeVia(conv);
+        } catch (convErr) {
+          log.warn && log.warn(`↪ ${src.name}: sharp failed${cfg.verboseErrors ? ` (${err.message})` : ''}; ${conv.name} failed${cfg.verboseErrors ? ` (${convErr.message})` : ''}`);
+        }
+      }
+
+      if (fbApplies(jfmt)) {
+        try { return await viaSharp(fb, src.path || src.buffer); }
+        catch (fbErr) { log.warn && log.warn(`↪ ${src.name}: primary failed${cfg.verboseErrors ? ` (${err.message})` : ''}; fallback ${fb.key} failed${cfg.verboseErrors ? ` (${fbErr.message})` : ''}`); }
+      }
+      return { action: 'copy', reason: `failed convert (${err.message})`, error: err };
+    }
+  };
+
+  return { jobs, fb, watermarker, resizeFor, chooseTarget, converterSteps, binaryFor, fbApplies, probe, oversize, prepare, convert };
+};
+
+// ---------------- File processor ----------------
+// Walks the shared pipeline over files: names outputs, writes them, and copies or keeps what it can't convert
+const processFileFactory = (cfg, allowSet, stats, log, onFile, inputRoot, outputRoot, backups = null) => {
+  const pipeline = createPipeline(cfg, log);
+  const { jobs, fb, watermarker, resizeFor, chooseTarget, converterSteps, binaryFor, fbApplies } = pipeline;
+
+
+  // Dry runs track every planned name so collisions between not-yet-written outputs show up; template runs
+  // hold each name from uniquify until the source settles, since sources rarely share a folder any more
+  const template = cfg.nameTemplate ? compileNameTemplate(cfg.nameTemplate) : null;
+  const claimed = (cfg.dryRun || template) ? new Set() : null;
+
+  // What a template can say about a source, read once per source while it is in flight. {index} is the source's
+  // place in the walk, handed in by the run when it was scheduled, so it doesn't depend on which finishes first
+  const facts = new Map(); // inputPath → Promise<values>
+  const indexes = new Map(); // inputPath → walk index, while in flight
+  const sourceFacts = (inputPath) => {
+    if (!facts.has(inputPath)) {
+      facts.set(inputPath, (async () => {
+        const ext = path.extname(inputPath);
+        const v = {
+          stem: path.basename(inputPath, ext),
+          dir: path.relative(inputRoot, path.dirname(inputPath)).split(path.sep).join('/'),
+          format: ext.slice(1).toLowerCase(),
+          width: 0, height: 0,
+          index: indexes.get(inputPath) || 0,
+          names: []
+        };
+        if (template.uses.has('hash')) v.hash = await hashFile(inputPath);
+        if (template.uses.has('date') || template.uses.has('width') || template.uses.has('height')) {
+          // copies keep the source's size; unreadable sources render 0×0 and date by mtime
+          let meta = null;
+          try { meta = await sharp(inputPath, { failOn: 'none' }).metadata(); } catch {}
+          if (meta && meta.width && meta.height) {
+            const swap = (meta.orientation || 1) >= 5;
+            v.width = swap ? meta.height : meta.width;
+            v.height = swap ? meta.width : meta.height;
+          }
+          const tiff = meta && exifTiff(meta.exif);
+          v.date = (tiff && exifDateTime(tiff.taken)) ?? (await fsp.stat(inputPath)).mtimeMs;
+        }
+        return v;
+      })());
+    }
+    return facts.get(inputPath);
+  };
+  const settle = async (inputPath) => {
+    indexes.delete(inputPath);
+    if (!facts.has(inputPath)) return;
+    let v = null;
+    try { v = await facts.get(inputPath); } catch {}
+    facts.delete(inputPath);
+    // once written, a name is taken on disk; dry runs write nothing, so theirs stay claimed
+    if (v && !cfg.dryRun) for (const n of v.names) claimed.delete(n);
+  };
+
+  // `out` carries what only the encode knows: { format, width, height, rendition } (templates only)
+  const computeOut = async (inputPath, outputPath, base, outExt, suffix = '', out = {}) => {
+    if (template) {
+      const v = await sourceFacts(inputPath);
+      const { dir, file } = template.render({
+        ...v,
+        format: out.format ?? v.format,
+        ext: outExt.replace(/^\./, ''),
+        width: out.width ?? v.width,
+        height: out.height ?? v.height,
+        rendition: out.rendition || ''
+      }, { outExt, suffix, maxBytes: cfg.maxFilenameBytes });
+      const outDir = path.join(outputRoot, dir);
+      const wanted = path.join(outDir, file);
+      const clash = cfg.dryRun ? (claimed.has(wanted) ? 'planned' : ((await exists(wanted)) ? 'existing' : null)) : null;
+      const outFile = await uniquify(outDir, file, claimed);
+      v.names.push(outFile);
+      return { outDir, outFile, wanted, clash };
+    } else if (cfg.flatten && !cfg.overwrite) {
+      const relDir = path.relative(inputRoot, path.dirname(inputPath));
+      const flatName = makeFlatName({
+        relDir, base, outExt, suffix,
+        strategy: cfg.flattenStrategy, sep: cfg.flattenSep, maxBytes: cfg.maxFilenameBytes
+      });
+      const wanted = path.join(outputRoot, flatName);
+      const clash = claimed ? (claimed.has(wanted) ? 'planned' : ((await exists(wanted)) ? 'existing' : null)) : null;
+      const outFile = await uniquify(outputRoot, flatName, claimed);
+      return { outDir: outputRoot, outFile, wanted, clash };
+    } else {
+      const outDir = cfg.overwrite ? path.dirname(inputPath) : path.dirname(outputPath);
+      const outFile = path.join(outDir, `${base}${suffix}${outExt}`);
+      const clash = (claimed && claimed.has(outFile)) ? 'planned' : null;
+      claimed && claimed.add(outFile);
+      return { outDir, outFile, wanted: outFile, clash };
+    }
+  };
+
+  // `attempt` counts from 1; while attempts remain, a transient resource error is left for the run to retry
+  const processJob = async (job, source, inputPath, outputPath, srcInfo = {}, attempt = 1) => {
+    const ext = path.extname(inputPath);
+    const extLower = ext.toLowerCase();
+    const base = path.basename(inputPath, ext);
+    const tag = job.label ? `, ${job.label}` : '';
+    const t0 = Date.now();
+    const emit = (x) => {
+      // copies and kept originals carry no watermark; say so rather than let them pass for published output
+      if (watermarker && (x.action === 'copied' || x.action === 'kept')) x = { ...x, watermarked: false };
+      x = { ...x, ...srcInfo, elapsedMs: Date.now() - t0, attempts: attempt };
+      onFile && onFile(job.label ? { ...x, rendition: job.label } : x);
+    };
+    // a copy is the source byte for byte, animation included
+    const copied = { action: 'copied', route: 'copy', bytes: srcInfo.srcBytes, animated: (srcInfo.srcFrames || 0) > 1 };
+    const copyOrKeep = async (reason) => {
+      if (!cfg.overwrite) {
+        const { outFile } = await computeOut(inputPath, outputPath, base, extLower, job.suffix, { rendition: job.label });
+        await copyAsIs(inputPath, outFile);
+        stats.copied++; emit({ src: inputPath, dest: outFile, ...copied, reason, sha256: await hashFile(outFile, 'sha256') });
+        log.info && log.info(`↪ ${inputPath} → ${outFile} (${reason}, copied${tag})`);
+      } else {
+        stats.kept++; emit({ src: inputPath, dest: inputPath, action: 'kept', reason });
+        log.info && log.info(`↪ ${inputPath} (${reason}, kept${tag})`);
+      }
+    };
+    // sharp, the external converters and the fallback format all failed
+    const failedConvert = async (err) => {
+      if (!cfg.overwrite) {
+        const { outFile } = await computeOut(inputPath, outputPath, base, extLower, job.suffix, { rendition: job.label });
+        try { const st = await fsp.stat(outFile); if (st.size === 0) { try { await fsp.rm(outFile, { force: true }); } catch {} } } catch {}
+        try {
+          await copyAsIs(inputPath, outFile);
+          const sha256 = await hashFile(outFile, 'sha256');
+          stats.copied++; emit({ src: inputPath, dest: outFile, ...copied, reason: `failed convert (${err.message})`, sha256 });
+          log.info && log.info(`↪ ${inputPath} → ${outFile} (failed convert, copied${tag}${cfg.verboseErrors ? `; reason: ${err.message}` : ''})`);
+        } catch (copyErr) {
+          stats.errors++; emit({ src: inputPath, dest: outFile, action: 'error', error: String(copyErr.message || copyErr) });
+          log.error && log.error(`✖ ${inputPath}: failed to copy as-is to ${outFile}: ${copyErr.message}`);
+          throw copyErr;
+        }
+      } else {
+        stats.kept++; emit({ src: inputPath, dest: inputPath, action: 'kept', reason: `failed convert (${err.message})` });
+        log.info && log.info(`↪ ${inputPath}: failed convert, kept as-is${tag}${cfg.verboseErrors ? `; reason: ${err.message}` : ''}`);
+      }
+    };
+
+    let r;
+    try {
+      r = await pipeline.convert(job, source, {
+        path: inputPath, ext: extLower, stem: base, info: srcInfo, name: inputPath,
+        tmpDir: outputRoot || path.dirname(inputPath)
+      });
+    } catch (err) {
+      // transient resource errors are the only ones the pipeline throws
+      if (attempt < cfg.maxAttempts) throw err;
+      stats.errors++; emit({ src: inputPath, dest: inputPath, action: 'error', error: String(err.message || err) });
+      log.warn && log.warn(`⚠ ${inputPath}: transient error (${err.code || err.message})${attempt > 1 ? ` after ${attempt} attempts` : ''}${tag}`);
+      throw err;
+    }
+    if (r.action === 'copy') return r.error ? failedConvert(r.error) : copyOrKeep(r.reason);
+    if (r.action === 'error') {
+      const err = new Error(r.error);
+      stats.errors++; emit({ src: inputPath, dest: inputPath, action: 'error', error: err.message });
+      log.error && log.error(`✖ ${inputPath}: ${err.message}${tag}`);
+      throw err;
+    }
+
+    // Named once encoded, since a template may use the final dimensions; written beside its name and renamed in
+    const { result } = r;
+    const { outFile } = await computeOut(inputPath, outputPath, base, r.outExt, job.suffix,
+      { format: result.format, width: result.width, height: result.height, rendition: job.label });
+    const tmpFile = outFile + `.tmp-${process.pid}-${Math.random().toString(36).slice(2,8)}`;
+    try {
+      await fsp.mkdir(path.dirname(outFile), { recursive: true });
+      await fsp.writeFile(tmpFile, r.data);
+      if (cfg.verify) {
+        const { size } = await fsp.stat(tmpFile);
+        if (size !== r.data.length) throw new Error(`verify: wrote ${size} of ${r.data.length} bytes`);
+      }
+      // overwrite: the original is backed up before anything replaces it, and so is any other file the output lands
+      // on (photo.jpg beside a photo.png bound for jpeg, an older rendition); every output is logged for undo
+      if (backups) {
+        if (!job.suffix) await backups.save(inputPath);
+        if (outFile !== inputPath && await exists(outFile)) await backups.save(outFile);
+        await backups.output(inputPath, outFile);
+      }
+      await fsp.rename(tmpFile, outFile);
+    } catch (err) {
+      try { await fsp.rm(tmpFile, { force: true }); } catch {}
+      if (isTransientResourceError(err) && attempt < cfg.maxAttempts) throw err;
+      stats.errors++; emit({ src: inputPath, dest: outFile, action: 'error', error: String(err.message || err) });
+      log.error && log.error(`✖ ${inputPath}: failed to write ${outFile}: ${err.message}`);
+      throw err;
+    }
+    // renditions are written next to the original, so it must survive
+    if (cfg.overwrite && !job.suffix && outFile !== inputPath && path.extname(outFile).toLowerCase() !== extLower) {
+      try { await fsp.unlink(inputPath); } catch {}
+    }
+    stats.converted++; emit({ src: inputPath, dest: outFile, action: 'converted', ...result });
+    log.info && log.info(`✔ ${inputPath} → ${outFile} (${r.note}${tag})`);
+    if (result.overBudget) {
+      log.warn && log.warn(`⚠ ${outFile}: ${fmtBytes(result.bytes)} is over the ${fmtBytes(cfg.maxBytes)} budget even at q=${result.quality}${cfg.downscaleToFit ? ` and ${result.width}×${result.height}` : ' (see downscaleToFit)'}`);
+    }
+  };
+
+
+  // Dry run: resolve what processJob would do without touching the filesystem
+  const planFile = async (inputPath, outputPath) => {
+    const ext = path.extname(inputPath);
+    const extLower = ext.toLowerCase();
+    const base = path.basename(inputPath, ext);
+    const srcInfo = await pipeline.probe(inputPath, allowSet.has(extLower));
+
+    const record = (job, action, out, extra = {}) => {
+      const dest = out ? out.outFile : inputPath;
+      const x = { src: inputPath, dest, action, planned: true, ...extra, ...srcInfo };
+      if (job && job.label) x.rendition = job.label;
+      if (cfg.overwrite && action === 'converted' && !(job && job.suffix) && dest !== inputPath &&
+          path.extname(dest).toLowerCase() !== extLower) {
+        x.removesSource = true;
+      }
+      if (out && out.clash) {
+        x.collision = { wanted: out.wanted, with: out.clash };
+        stats.collisions++;
+        log.warn && log.warn(`⚠ ${inputPath}: ${out.wanted} collides with ${out.clash === 'planned' ? 'another planned output' : 'an existing file'}${dest !== out.wanted ? `; would write ${dest}` : ''}`);
+      }
+      stats[action]++; onFile && onFile(x);
+      const what = [x.format, x.frames && `${x.frames} frames`, x.via && `via ${x.via}`, x.fallback && 'fallback', x.reason, x.rendition, x.removesSource && 'removes source']
+        .filter(Boolean).join(', ');
+      log.info && log.info(`○ ${inputPath}${dest !== inputPath ? ` → ${dest}` : ''} (would be ${action}${what ? `: ${what}` : ''})`);
+    };
+    const copyOrKeep = async (job, reason) => (cfg.overwrite
+      ? record(job, 'kept', null, { reason })
+      : record(job, 'copied', await computeOut(inputPath, outputPath, base, extLower, job ? job.suffix : '', { rendition: job && job.label }), { route: 'copy', reason, animated: (srcInfo.srcFrames || 0) > 1 }));
+    // a template naming outputs by size needs the resize itself, so that is the one thing dry runs decode
+    const planned = async (job, key) => {
+      if (!template || !(template.uses.has('width') || template.uses.has('height'))) return {};
+      try {
+        const { info } = await sharp(inputPath, { failOn: 'none', pages: 1 }).rotate()
+          .resize(resizeFor(job, key)).raw().toBuffer({ resolveWithObject: true });
+        return { width: info.width, height: info.height };
+      } catch { return {}; }
     };
-    limiter = { schedule: (fn) => new Promise((res, rej) => { q.push({ fn, resolve: res, reject: rej }); pump(); }) };
+
+    if (!allowSet.has(extLower)) return copyOrKeep(null, `incompatible ${extLower || 'unknown'}`);
+
+    const over = pipeline.oversize(srcInfo);
+    if (over && cfg.oversize === 'skip') {
+      stats.skipped++; onFile && onFile({ src: inputPath, dest: inputPath, action: 'skipped', planned: true, reason: 'oversize', ...srcInfo });
+      log.info && log.info(`○ ${inputPath} (would be skipped: ${over})`);
+      return;
+    }
+
+    // A header probe stands in for the encode attempt; unreadable sources take the fallback route
+    let decodable = true;
+    try { await sharp(inputPath, { failOn: 'none' }).metadata(); } catch { decodable = false; }
+
+    // the first converter that takes the source and is installed
+    const installedStep = async (job, target) => {
+      for (const s of converterSteps([target, fb].filter(Boolean), extLower, job)) if (await binaryFor(s.conv)) return s;
+      return null;
+    };
+
+    const frames = cfg.preserveAnimation ? (srcInfo.srcFrames || 0) : 0;
+    let step;
+    for (const job of jobs) {
+      const target = chooseTarget(job.fmt, extLower);
+      if (!target) { await copyOrKeep(job, `no same-format encoder ${extLower}`); continue; }
+      if (over && cfg.oversize === 'copy') { await copyOrKeep(job, over); continue; }
+      if (over) {
+        const x = { src: inputPath, dest: inputPath, action: 'error', planned: true, error: `${over} (oversize: error)`, ...srcInfo };
+        stats.errors++; onFile && onFile(job.label ? { ...x, rendition: job.label } : x);
+        log.info && log.info(`○ ${inputPath} (would fail: ${over}${job.label ? `, ${job.label}` : ''})`);
+        continue;
+      }
+      const animate = frames > 1 && ANIMATED_FORMATS.has(target.key);
+      if (frames > 1 && !animate && cfg.animationFallback !== 'first-frame') {
+        const reason = `${frames}-frame animation, ${target.key} can't animate`;
+        if (cfg.animationFallback === 'copy') { await copyOrKeep(job, reason); continue; }
+        const x = { src: inputPath, dest: inputPath, action: 'error', planned: true, error: `${reason} (animationFallback: error)`, ...srcInfo };
+        stats.errors++; onFile && onFile(job.label ? { ...x, rendition: job.label } : x);
+        log.info && log.info(`○ ${inputPath} (would fail: ${reason}${job.label ? `, ${job.label}` : ''})`);
+        continue;
+      }
+      if (decodable) {
+        const out = await computeOut(inputPath, outputPath, base, target.outExt ?? extLower, job.suffix,
+          { format: target.key, rendition: job.label, ...(await planned(job, target.key)) });
+        record(job, 'converted', out, {
+          route: target === fb ? 'fallback' : 'sharp', format: target.key, animated: animate,
+          ...(target === fb ? { fallback: true } : {}), ...(animate ? { frames } : {})
+        });
+      } else if ((step = await installedStep(job, target))) {
+        const tgt = step.direct || target;
+        const out = await computeOut(inputPath, outputPath, base, tgt.outExt ?? extLower, job.suffix, { format: tgt.key, rendition: job.label });
+        record(job, 'converted', out, {
+          route: 'external', format: tgt.key, via: step.conv.name, reason: 'undecodable by sharp',
+          ...(tgt === fb ? { fallback: true } : {})
+        });
+      } else if (fbApplies(job.fmt)) {
+        const out = await computeOut(inputPath, outputPath, base, fb.outExt, job.suffix, { format: fb.key, rendition: job.label });
+        record(job, 'converted', out, { route: 'fallback', format: fb.key, fallback: true, reason: 'undecodable by sharp' });
+      } else {
+        await copyOrKeep(job, 'undecodable by sharp');
+      }
+    }
+  };
+
+  // Sources the run will retry: the renditions still to do, and the first hard failure among the rest
+  const retries = new Map(); // inputPath → { jobs, err }
+
+  const processSource = async (inputPath, outputPath, attempt) => {
+    const ext = path.extname(inputPath);
+    const extLower = ext.toLowerCase();
+    const t0 = Date.now();
+    const srcInfo = await pipeline.probe(inputPath, allowSet.has(extLower));
+
+    // Fast decode compatibility: if not allowed, copy/keep
+    if (!allowSet.has(extLower)) {
+      const reason = `incompatible ${extLower || 'unknown'}`;
+      if (!cfg.overwrite) {
+        const { outFile } = await computeOut(inputPath, outputPath, path.basename(inputPath, ext), extLower);
+        await copyAsIs(inputPath, outFile);
+        const sha256 = await hashFile(outFile, 'sha256');
+        stats.copied++; onFile && onFile({
+          src: inputPath, dest: outFile, action: 'copied', route: 'copy', reason,
+          bytes: srcInfo.srcBytes, ...srcInfo, sha256, elapsedMs: Date.now() - t0, attempts: attempt
+        });
+        log.info && log.info(`↪ ${inputPath} → ${outFile} (incompatible ${extLower || 'unknown'}, copied)`);
+      } else {
+        stats.kept++; onFile && onFile({ src: inputPath, dest: inputPath, action: 'kept', reason, ...srcInfo, attempts: attempt });
+        log.info && log.info(`↪ ${inputPath} (incompatible ${extLower || 'unknown'}, kept)`);
+      }
+      return;
+    }
+
+    const over = cfg.oversize === 'skip' && pipeline.oversize(srcInfo);
+    if (over) {
+      stats.skipped++; onFile && onFile({ src: inputPath, dest: inputPath, action: 'skipped', reason: 'oversize', ...srcInfo, attempts: attempt });
+      log.info && log.info(`↷ ${inputPath} (${over}, skipped)`);
+      return;
+    }
+
+    const source = await pipeline.prepare(inputPath, srcInfo);
+
+    // Renditions run one after another inside this file's limiter slot; the first failure is rethrown. A retry
+    // only runs the renditions a transient error stopped, so those already written aren't written twice
+    const { jobs: todo = jobs, err: earlier = null } = retries.get(inputPath) || {};
+    retries.delete(inputPath);
+    let firstErr = earlier, transient = null;
+    const again = [];
+    for (const job of todo) {
+      try { await processJob(job, source, inputPath, outputPath, srcInfo, attempt); }
+      catch (err) {
+        if (isTransientResourceError(err) && attempt < cfg.maxAttempts) { again.push(job); transient = transient || err; }
+        else firstErr = firstErr || err;
+      }
+    }
+    if (transient) {
+      retries.set(inputPath, { jobs: again, err: firstErr });
+      throw transient;
+    }
+    if (firstErr) throw firstErr;
+  };
+
+  // A duplicate source reuses the first copy's outputs, each linked under the name the duplicate itself would get
+  const linkDuplicate = async (inputPath, outputPath, { of, results, mode, what }) => {
+    const base = path.basename(inputPath, path.extname(inputPath));
+    for (const r of results) {
+      const job = r.rendition ? jobs.find((j) => j.label === r.rendition) : null;
+      const outExt = path.extname(r.dest);
+      const { outFile } = await computeOut(inputPath, outputPath, base, outExt, job ? job.suffix : '', {
+        format: r.action === 'converted' ? encoderForExt(outExt.toLowerCase())?.key : undefined,
+        width: r.width, height: r.height, rendition: r.rendition
+      });
+      const x = {
+        src: inputPath, dest: outFile, action: 'linked', link: mode, duplicateOf: of,
+        ...(r.rendition ? { rendition: r.rendition } : {}), ...(r.sha256 ? { sha256: r.sha256 } : {})
+      };
+      if (cfg.dryRun) {
+        stats.linked++; onFile && onFile({ ...x, planned: true });
+        log.info && log.info(`○ ${inputPath} → ${outFile} (would be ${mode}ed to ${r.dest}: ${what})`);
+        continue;
+      }
+      await fsp.mkdir(path.dirname(outFile), { recursive: true });
+      try {
+        if (mode === 'symlink') await fsp.symlink(path.relative(path.dirname(outFile), r.dest), outFile);
+        else await fsp.link(r.dest, outFile);
+      } catch (err) {
+        // filesystems without hard links, or symlinks that need privileges (Windows)
+        await copyAsIs(r.dest, outFile);
+        stats.copied++; onFile && onFile({ ...x, action: 'copied' });
+        log.warn && log.warn(`⚠ ${outFile}: ${mode} failed (${err.code || err.message}), copied ${r.dest} instead`);
+        continue;
+      }
+      stats.linked++; onFile && onFile(x);
+      log.info && log.info(`↪ ${inputPath} → ${outFile} (${what} of ${of}, ${mode} to ${r.dest})`);
+    }
+  };
+
+  return async (inputPath, outputPath, linkTo = null, attempt = 1, index = 0) => {
+    if (template) indexes.set(inputPath, index);
+    try {
+      if (linkTo) await linkDuplicate(inputPath, outputPath, linkTo);
+      else await (cfg.dryRun ? planFile : processSource)(inputPath, outputPath, attempt);
+    } finally {
+      // a source waiting for a retry keeps its template facts, and with them its {index} and claimed names
+      if (!retries.has(inputPath)) await settle(inputPath);
+    }
+  };
+};
+
+// ---------------- Progress ----------------
+// Running totals for onProgress / resizeImagesIter; `inFlightCap` reads the limiter's current cap
+const createProgress = ({ emit, stats, inFlightCap }) => {
+  const t0 = Date.now();
+  const totals = {
+    discovered: 0, walked: false, started: 0, done: 0, inFlight: 0, bytesDone: 0,
+    converted: 0, copied: 0, kept: 0, skipped: 0, errors: 0, inFlightCap: inFlightCap(), elapsedMs: 0
+  };
+  const perFile = new Map(); // src → { bytes, results }
+  const snapshot = () => {
+    Object.assign(totals, {
+      converted: stats.converted, copied: stats.copied, kept: stats.kept, skipped: stats.skipped, errors: stats.errors,
+      inFlightCap: inFlightCap(), elapsedMs: Date.now() - t0
+    });
+    if (stats.linked !== undefined) totals.linked = stats.linked;
+    return { ...totals };
+  };
+
+  return {
+    discover: (src) => { totals.discovered++; emit({ type: 'discover', src, totals: snapshot() }); },
+    walked: () => { totals.walked = true; emit({ type: 'walked', totals: snapshot() }); },
+    start: async (src) => {
+      const entry = { bytes: 0, results: [] };
+      perFile.set(src, entry);
+      totals.started++; totals.inFlight++;
+      try { entry.bytes = (await fsp.stat(src)).size; } catch {}
+      emit({ type: 'start', src, bytes: entry.bytes, totals: snapshot() });
+    },
+    result: (x) => { const entry = perFile.get(x.src); entry && entry.results.push(x); },
+    finish: (src, err) => {
+      const entry = perFile.get(src) || { bytes: 0, results: [] };
+      perFile.delete(src);
+      totals.done++; totals.inFlight--; totals.bytesDone += entry.bytes;
+      emit({
+        type: 'finish', src, bytes: entry.bytes, results: entry.results,
+        ...(err ? { error: String(err.message || err) } : {}),
+        totals: snapshot()
+      });
+    },
+    window: (w) => emit({ type: 'window', ...w, totals: snapshot() })
+  };
+};
+
+// ---------------- Reports ----------------
+const REPORT_FORMATS = ['json', 'csv', 'ndjson'];
+const REPORT_EXTENSIONS = { '.json': 'json', '.csv': 'csv', '.ndjson': 'ndjson', '.jsonl': 'ndjson' };
+const REPORT_COLUMNS = [
+  'src', 'dest', 'action', 'route', 'reason', 'rendition', 'format', 'quality', 'encoder',
+  'srcBytes', 'bytes', 'srcWidth', 'srcHeight', 'width', 'height', 'colorProfile', 'bitDepth', 'elapsedMs', 'attempts', 'duplicateOf', 'sha256', 'error'
+];
+
+const reportFormatOf = (cfg) => {
+  const format = cfg.reportFormat || REPORT_EXTENSIONS[path.extname(cfg.report).toLowerCase()];
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported report format for ${cfg.report}. Use a .json, .csv or .ndjson file, or set reportFormat`);
+  }
+  return format;
+};
+
+// Over outputs actually written (links take no space); a source's input bytes count once, however many renditions
+const byteTotals = (results) => {
+  let inputBytes = 0, outputBytes = 0;
+  const counted = new Set();
+  for (const r of results) {
+    if ((r.action !== 'converted' && r.action !== 'copied') || r.planned || r.bytes == null) continue;
+    outputBytes += r.bytes;
+    if (!counted.has(r.src)) { counted.add(r.src); inputBytes += r.srcBytes || 0; }
+  }
+  return {
+    inputBytes, outputBytes, savedBytes: inputBytes - outputBytes,
+    ratio: inputBytes ? Number((outputBytes / inputBytes).toFixed(4)) : null
+  };
+};
+
+const csvCell = (v) => {
+  if (v == null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// json: the whole summary · csv: one row per result · ndjson: one line per result, then { summary } without them
+const writeReport = async (file, format, summary) => {
+  const { results, ...rest } = summary;
+  let body;
+  if (format === 'csv') {
+    body = [REPORT_COLUMNS.join(','), ...results.map((r) => REPORT_COLUMNS.map((c) => csvCell(r[c])).join(','))].join('\n') + '\n';
+  } else if (format === 'ndjson') {
+    body = [...results, { summary: rest }].map((x) => JSON.stringify(x)).join('\n') + '\n';
+  } else {
+    body = JSON.stringify(summary, null, 2) + '\n';
+  }
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = file + `.tmp-${process.pid}-${Math.random().toString(36).slice(2,8)}`;
+  await fsp.writeFile(tmpFile, body);
+  await fsp.rename(tmpFile, file);
+};
+
+// ---------------- Config files & presets ----------------
+const CONFIG_FILES = [
+  '.batch-image-resizer.json', '.batch-image-resizer.js', '.batch-image-resizer.cjs', '.batch-image-resizer.mjs',
+  'batch-image-resizer.config.js', 'batch-image-resizer.config.cjs', 'batch-image-resizer.config.mjs'
+];
+// Paths inside a config file are relative to the file, not the cwd
+const CONFIG_PATH_KEYS = ['inputDir', 'outputDir', 'backupDir', 'manifestPath', 'journalPath', 'report'];
+
+// Validators return true or a description of what was expected (mirrors Options in index.d.ts)
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const vBool = (v) => typeof v === 'boolean' || 'expected true or false';
+const vStr = (v) => typeof v === 'string' || 'expected a string';
+const vInt = (min, max = Infinity) => (v) => (Number.isInteger(v) && v >= min && v <= max) ||
+  `expected an integer ${max === Infinity ? `>= ${min}` : `between ${min} and ${max}`}`;
+const vOneOf = (...xs) => (v) => xs.includes(v) || `expected one of: ${xs.join(', ')}`;
+const vNullable = (f) => (v) => v === null || f(v);
+const vStrList = (v) => (Array.isArray(v) && v.every((x) => typeof x === 'string')) || 'expected an array of strings';
+const vIntList = (min, max = Infinity) => (v) => (Array.isArray(v) && v.length > 0 && v.every((x) => vInt(min, max)(x) === true)) ||
+  `expected a non-empty array of integers ${max === Infinity ? `≥ ${min}` : `in ${min}..${max}`}`;
+const vFn = (v) => typeof v === 'function' || 'expected a function';
+const vNum = (min, max) => (v) => (typeof v === 'number' && v >= min && v <= max) || `expected a number in ${min}..${max}`;
+const vDate = (v) => ((typeof v === 'string' || typeof v === 'number' || v instanceof Date) &&
+  !Number.isNaN(new Date(v).getTime())) || 'expected a date (ISO string or epoch ms)';
+const vFormat = (v) => { try { normalizeFormat(v); return true; } catch (err) { return err.message; } };
+const vSizes = (v) => {
+  if (!Array.isArray(v)) return 'expected an array of widths or { width, height, format, quality, suffix }';
+  try { normalizeRenditions(v); return true; } catch (err) { return err.message; }
+};
+
+// Per-format options passed through to sharp's jpeg()/png()/webp()/avif()/heif()/tiff()/gif()
+const CHROMA = vOneOf('4:2:0', '4:4:4');
+const ENCODER_OPTIONS = {
+  jpeg: {
+    quality: vInt(1, 100), progressive: vBool, mozjpeg: vBool, chromaSubsampling: CHROMA, optimiseCoding: vBool,
+    trellisQuantisation: vBool, overshootDeringing: vBool, optimiseScans: vBool, quantisationTable: vInt(0, 8)
+  },
+  png: {
+    compressionLevel: vInt(0, 9), progressive: vBool, adaptiveFiltering: vBool, palette: vBool,
+    quality: vInt(0, 100), effort: vInt(1, 10), colours: vInt(2, 256), dither: vNum(0, 1)
+  },
+  webp: {
+    quality: vInt(1, 100), alphaQuality: vInt(0, 100), lossless: vBool, nearLossless: vBool, smartSubsample: vBool,
+    effort: vInt(0, 6), preset: vOneOf('default', 'photo', 'picture', 'drawing', 'icon', 'text')
+  },
+  avif: { quality: vInt(1, 100), lossless: vBool, effort: vInt(0, 9), chromaSubsampling: CHROMA, bitdepth: vOneOf(8, 10, 12) },
+  heif: { quality: vInt(1, 100), lossless: vBool, effort: vInt(0, 9), chromaSubsampling: CHROMA, bitdepth: vOneOf(8, 10, 12) },
+  tiff: {
+    quality: vInt(1, 100), compression: vOneOf('none', 'jpeg', 'deflate', 'packbits', 'lzw', 'webp', 'zstd', 'jp2k'),
+    predictor: vOneOf('none', 'horizontal', 'float'), bitdepth: vOneOf(1, 2, 4, 8)
+  },
+  gif: {
+    colours: vInt(2, 256), effort: vInt(1, 10), dither: vNum(0, 1), reuse: vBool, progressive: vBool,
+    interFrameMaxError: vNum(0, 32), interPaletteMaxError: vNum(0, 256)
+  }
+};
+// Format aliases (jpg, heic, tif) fold into their encoder; falls back to the name itself
+const encoderKeyOf = (name) => { try { return normalizeFormat(name).key || name; } catch { return name; } };
+
+// { jpg: {...}, png: {...} } → { jpeg: {...}, png: {...} } with sorted keys; throws on unknown formats/options
+function normalizeEncoders(encoders) {
+  if (encoders == null) return null;
+  if (!isPlainObject(encoders)) throw new Error('expected an object keyed by format, e.g. { jpeg: { mozjpeg: true } }');
+  const out = {};
+  for (const name of Object.keys(encoders).sort()) {
+    const key = encoderKeyOf(name);
+    const schema = ENCODER_OPTIONS[key];
+    if (!schema) throw new Error(`unknown format "${name}" (use ${Object.keys(ENCODER_OPTIONS).join(', ')})`);
+    const block = encoders[name];
+    if (!isPlainObject(block)) throw new Error(`${name}: expected an object of ${key} options`);
+    const opts = { ...out[key] };
+    for (const opt of Object.keys(block).sort()) {
+      const check = schema[opt];
+      if (!check) throw new Error(`${name}: unknown option "${opt}" (${key} supports ${Object.keys(schema).join(', ')})`);
+      const ok = check(block[opt]);
+      if (ok !== true) throw new Error(`${name}.${opt} ${ok} (got ${JSON.stringify(block[opt])})`);
+      opts[opt] = block[opt];
+    }
+    out[key] = opts;
+  }
+  return out;
+}
+const vEncoders = (v) => { try { normalizeEncoders(v); return true; } catch (err) { return err.message; } };
+
+const OPTION_SCHEMA = {
+  inputDir: vStr, outputDir: vStr, overwrite: vBool,
+
+  format: vFormat, fallbackFormat: vNullable(vFormat), quality: vInt(1, 100),
+  maxWidth: vInt(1), maxHeight: vInt(1), sizes: vNullable(vSizes), metadata: vOneOf(...METADATA_MODES),
+  colorspace: (v) => { try { return !!parseColorspace(v); } catch (err) { return err.message; } },
+  bitDepth: vOneOf(...BIT_DEPTHS),
+  encoders: vNullable(vEncoders),
+  fit: vOneOf(...FIT_MODES), position: vOneOf(...POSITIONS), enlarge: vBool,
+  aspectRatio: (v) => { try { return v === null || !!parseAspectRatio(v); } catch (err) { return err.message; } },
+  background: (v) => v === null || typeof v === 'string' || isPlainObject(v) || "expected a colour string or { r, g, b, alpha }",
+  watermark: (v) => { try { normalizeWatermark(v); return true; } catch (err) { return err.message; } },
+  preserveAnimation: vBool, animationFallback: vOneOf(...ANIMATION_FALLBACKS),
+  verify: (v) => v === false || VERIFY_MODES.includes(v) || `expected false or one of: ${VERIFY_MODES.join(', ')}`,
+  maxBytes: vNullable(vInt(1)), minQuality: vInt(1, 100), maxQuality: vNullable(vInt(1, 100)), downscaleToFit: vBool,
+
+  auto: vBool, concurrency: vNullable(vInt(1)), minConcurrency: vInt(1), maxConcurrency: vInt(1),
+  targetLatencyMs: vInt(1), windowMs: vInt(1), lagThresholdMs: vInt(0),
+  memoryBudget: vNullable(vInt(1)), maxPixels: vNullable(vInt(1)), oversize: vOneOf(...OVERSIZE_POLICIES),
+  maxAttempts: vInt(1), retryDelayMs: vInt(0),
+
+  autoThreads: vBool, targetThreads: vInt(1), sharpThreads: vNullable(vInt(0)),
+  minSharpThreads: vInt(1), maxSharpThreads: vInt(1),
+
+  flatten: vBool, flattenStrategy: vOneOf('hash', 'path'), flattenSep: vStr, maxFilenameBytes: vInt(20),
+  nameTemplate: (v) => { try { return v === null || !!compileNameTemplate(v); } catch (err) { return err.message; } },
+
+  skipDSStore: vBool, pruneDSStore: vBool, pruneEmptyDirs: vBool,
+
+  incremental: vBool, manifestPath: vNullable(vStr), pruneOrphans: vBool,
+  dryRun: vBool,
+
+  signal: (v) => v === null || (typeof v === 'object' && typeof v.aborted === 'boolean') || 'expected an AbortSignal',
+  journal: vNullable(vBool), journalPath: vNullable(vStr), resume: vBool, sweepTempFiles: vBool,
+  backup: (v) => v === false || BACKUP_MODES.includes(v) || `expected false or one of: ${BACKUP_MODES.join(', ')}`,
+  backupDir: vNullable(vStr), backupRetentionDays: vNullable(vNum(0, Infinity)),
+  report: vNullable(vStr), reportFormat: vNullable(vOneOf(...REPORT_FORMATS)),
+  watchStabilityMs: vInt(0),
+  servePort: vInt(0, 65535), serveHost: vStr,
+  serveWidths: vNullable(vIntList(1)), serveHeights: vNullable(vIntList(1)), serveQualities: vNullable(vIntList(1, 100)),
+  serveCacheBytes: vNullable(vInt(1)),
+  serveFormats: vNullable((v) => (Array.isArray(v) && v.length > 0 && v.every((f) => vFormat(f) === true)) || 'expected a non-empty array of output formats'),
+
+  converters: (v) => {
+    if (v !== null && !Array.isArray(v)) return 'expected an array of converter names or { name, command, … }';
+    try { normalizeConverters(v); return true; } catch (err) { return err.message; }
+  },
+  heicFallback: vOneOf('none', 'sips', 'auto'), jpegFallback: vOneOf('none', 'sips', 'auto'), verboseErrors: vBool,
+
+  includeExt: vNullable(vStrList), excludeExt: vNullable(vStrList),
+
+  includeGlobs: vNullable(vStrList), excludeGlobs: vNullable(vStrList), ignoreFiles: vNullable(vStrList),
+  minSourceBytes: vNullable(vInt(0)), maxSourceBytes: vNullable(vInt(0)),
+  minSourceWidth: vNullable(vInt(1)), maxSourceWidth: vNullable(vInt(1)),
+  minSourceHeight: vNullable(vInt(1)), maxSourceHeight: vNullable(vInt(1)),
+  modifiedAfter: vNullable(vDate), modifiedBefore: vNullable(vDate),
+  takenAfter: vNullable(vDate), takenBefore: vNullable(vDate),
+  dedupe: (v) => v === false || DEDUPE_MODES.includes(v) || `expected false or one of: ${DEDUPE_MODES.join(', ')}`,
+  dedupeAction: vOneOf(...DEDUPE_ACTIONS), dedupeThreshold: vInt(0, 64),
+
+  logger: (v) => isPlainObject(v) || 'expected an object with info/warn/error', onWindow: vFn, onFile: vFn, onProgress: vFn
+};
+
+const validateOptions = (obj, file, where) => {
+  for (const [key, value] of Object.entries(obj)) {
+    const at = where ? `${where}.${key}` : key;
+    const check = OPTION_SCHEMA[key];
+    if (!check) throw new Error(`Invalid config ${file}: unknown option "${at}"`);
+    const ok = check(value);
+    if (ok !== true) throw new Error(`Invalid config ${file}: "${at}" ${ok} (got ${JSON.stringify(value)})`);
+  }
+};
+
+// The search only loads JSON: a JS config runs code, and any directory above the cwd could hold one. JS configs
+// it passes are skipped with a warning, so a project relying on one hears how to load it
+async function findConfigFile(fromDir, log = {}) {
+  let dir = path.resolve(fromDir);
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (!(await exists(candidate))) continue;
+      if (candidate.endsWith('.json')) return candidate;
+      log.warn && log.warn(`⚠ skipped ${candidate}: a JS config is only loaded when named (--config ${candidate}, or config: '<path>' from the library)`);
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// { ...options, presets: { web: { ...options }, ... } } from JSON or a JS module
+async function loadConfig(file) {
+  let data;
+  try {
+    if (file.endsWith('.json')) {
+      data = JSON.parse(await fsp.readFile(file, 'utf8'));
+    } else if (file.endsWith('.mjs')) {
+      data = (await import(require('url').pathToFileURL(file).href)).default;
+    } else {
+      data = require(file);
+      if (data && data.__esModule) data = data.default;
+    }
+  } catch (err) {
+    throw new Error(`Failed to load config ${file}: ${err.message}`);
+  }
+  if (!isPlainObject(data)) throw new Error(`Invalid config ${file}: expected an object of options`);
+
+  const { presets = {}, ...base } = data;
+  if (!isPlainObject(presets)) throw new Error(`Invalid config ${file}: "presets" expected an object of named option sets`);
+  validateOptions(base, file, '');
+  for (const [name, preset] of Object.entries(presets)) {
+    if (!isPlainObject(preset)) throw new Error(`Invalid config ${file}: "presets.${name}" expected an object of options`);
+    validateOptions(preset, file, `presets.${name}`);
+  }
+
+  const dir = path.dirname(file);
+  const withPaths = (o) => {
+    const out = { ...o };
+    for (const k of CONFIG_PATH_KEYS) if (typeof out[k] === 'string') out[k] = path.resolve(dir, out[k]);
+    // so is the watermark image
+    if (typeof out.watermark === 'string') out.watermark = path.resolve(dir, out.watermark);
+    else if (isPlainObject(out.watermark) && typeof out.watermark.image === 'string') {
+      out.watermark = { ...out.watermark, image: path.resolve(dir, out.watermark.image) };
+    }
+    return out;
+  };
+  return {
+    file,
+    base: withPaths(base),
+    presets: Object.fromEntries(Object.entries(presets).map(([name, p]) => [name, withPaths(p)]))
+  };
+}
+
+// DEFAULTS < config file < preset < explicit options (undefined means "not given")
+const mergeEncoders = (layers) => {
+  const out = {};
+  for (const layer of layers) {
+    for (const [name, block] of Object.entries(layer)) {
+      const key = encoderKeyOf(name);
+      out[key] = { ...out[key], ...block };
+    }
+  }
+  return out;
+};
+
+const resolveOptions = async (options = {}) => {
+  const { config = DEFAULTS.config, preset = null, ...given } = options;
+  const explicit = Object.fromEntries(Object.entries(given).filter(([, v]) => v !== undefined));
+
+  let file = null;
+  if (typeof config === 'string') {
+    file = path.resolve(config);
+    if (!(await exists(file))) throw new Error(`Config not found: ${file}`);
+  } else if (config === true || (config === null && preset)) {
+    file = await findConfigFile(process.cwd(), given.logger || {});
+  }
+
+  let base = {}, presetOptions = {};
+  if (file) {
+    const loaded = await loadConfig(file);
+    base = loaded.base;
+    if (preset) {
+      if (!Object.prototype.hasOwnProperty.call(loaded.presets, preset)) {
+        const names = Object.keys(loaded.presets);
+        throw new Error(`Unknown preset "${preset}" in ${file}${names.length ? ` (available: ${names.join(', ')})` : ' (no presets defined)'}`);
+      }
+      presetOptions = loaded.presets[preset];
+    }
+  } else if (preset && config !== false) {
+    throw new Error(`Preset "${preset}" requested but no config file found (looked for ${CONFIG_FILES[0]})`);
+  }
+
+  // encoder blocks merge per format and option, so a preset or flag can tweak one setting of a config's block.
+  // A top-level quality overrides the block qualities of the layers below it (but not PNG's, which turns on
+  // palette quantization and has no top-level counterpart), so --quality beats a config's encoders.jpeg.quality
+  const qualityFrom = (i) => [base, presetOptions, explicit].slice(i + 1).some((o) => o.quality !== undefined);
+  const dropQuality = (blocks) => (!isPlainObject(blocks) ? blocks : Object.fromEntries(Object.entries(blocks).map(([name, block]) => {
+    if (encoderKeyOf(name) === 'png' || !isPlainObject(block)) return [name, block];
+    const { quality, ...rest } = block;
+    return [name, rest];
+  })));
+  const layers = [base, presetOptions, explicit]
+    .map((o, i) => (o.encoders && qualityFrom(i) ? dropQuality(o.encoders) : o.encoders))
+    .filter(Boolean);
+  const encoders = layers.length > 1 ? mergeEncoders(layers) : (layers[0] ?? DEFAULTS.encoders);
+  try { normalizeEncoders(encoders); } catch (err) { throw new Error(`Invalid encoders: ${err.message}`); }
+  // watermark settings merge field by field too; image and text replace each other, null removes it
+  let watermark = DEFAULTS.watermark;
+  for (const layer of [base, presetOptions, explicit]) {
+    if (layer.watermark === undefined) continue;
+    if (layer.watermark === null) { watermark = null; continue; }
+    const w = typeof layer.watermark === 'string' ? { image: layer.watermark } : layer.watermark;
+    if (!isPlainObject(w)) { watermark = w; continue; } // left for createRun to reject
+    watermark = { ...watermark, ...w };
+    if (w.image) delete watermark.text;
+    if (w.text) delete watermark.image;
+  }
+
+  return { ...DEFAULTS, ...base, ...presetOptions, ...explicit, encoders, watermark, config: file, preset };
+};
+
+// ---------------- Watch ----------------
+// Recursive watch built from one fs.watch per directory (recursive fs.watch is not portable to Node 18 on Linux).
+// onEvent gets the absolute path of whatever changed; the caller stats it to find out what happened.
+const createTreeWatcher = async (root, { onEvent, ignore }) => {
+  const watchers = new Map(); // dir → FSWatcher
+
+  const drop = (dir) => {
+    for (const [d, w] of watchers) {
+      if (d === dir || d.startsWith(dir + path.sep)) { try { w.close(); } catch {} watchers.delete(d); }
+    }
+  };
+
+  const add = async (dir) => {
+    if (watchers.has(dir) || ignore(dir)) return;
+    let w;
+    try {
+      w = fs.watch(dir, (type, name) => {
+        if (!name) return;
+        const p = path.join(dir, name.toString());
+        if (!ignore(p)) onEvent(p);
+      });
+    } catch { return; }
+    w.on('error', () => drop(dir));
+    watchers.set(dir, w);
+    let entries = [];
+    try { entries = await fsp.readdir(dir, { withFileTypes: true }); } catch {}
+    for (const entry of entries) {
+      if (entry.isDirectory()) await add(path.join(dir, entry.name));
+    }
+  };
+
+  await add(root);
+  return { add, drop, close: () => drop(root) };
+};
+
+// ---------------- HTTP server ----------------
+const SERVE_PREFIX = '/img/';
+const SERVE_PARAMS = ['w', 'h', 'format', 'q'];
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.avif': 'image/avif',
+  '.heic': 'image/heic', '.heif': 'image/heif', '.tif': 'image/tiff', '.tiff': 'image/tiff', '.gif': 'image/gif',
+  '.bmp': 'image/bmp'
+};
+// A request that can't be served; `status` is what the client gets
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// ?w=&h=&format=&q= → { width, height, format, quality }, held to the serve* allow-lists; without a list,
+// w and h stay within maxWidth/maxHeight
+const parseServeQuery = (query, cfg) => {
+  for (const k of new Set(query.keys())) {
+    if (!SERVE_PARAMS.includes(k)) throw httpError(400, `unknown parameter "${k}" (use ${SERVE_PARAMS.join(', ')})`);
+    if (query.getAll(k).length > 1) throw httpError(400, `"${k}" given more than once`);
+  }
+  const int = (k, allowed, max) => {
+    if (!query.has(k)) return undefined;
+    const v = /^\d+$/.test(query.get(k)) ? Number(query.get(k)) : 0;
+    if (!(v >= 1)) throw httpError(400, `${k} must be a positive integer`);
+    if (allowed && !allowed.includes(v)) throw httpError(400, `${k}=${v} is not allowed (use ${allowed.join(', ')})`);
+    if (!allowed && max != null && v > max) throw httpError(400, `${k}=${v} is over the limit of ${max}`);
+    return v;
+  };
+  const width = int('w', cfg.serveWidths, cfg.maxWidth);
+  const height = int('h', cfg.serveHeights, cfg.maxHeight);
+  const quality = int('q', cfg.serveQualities, 100);
+  let format;
+  if (query.has('format')) {
+    format = query.get('format').toLowerCase();
+    const allowed = cfg.serveFormats && cfg.serveFormats.map((f) => String(f).toLowerCase());
+    if (allowed && !allowed.includes(format)) throw httpError(400, `format=${format} is not allowed (use ${allowed.join(', ')})`);
+    const ok = vFormat(format);
+    if (ok !== true) throw httpError(400, ok);
+  }
+  return { width, height, format, quality };
+};
+
+// If-None-Match: "*", or a list of (possibly weak) tags
+const etagMatches = (header, etag) => !!header &&
+  (header.trim() === '*' || header.split(',').some((t) => t.trim().replace(/^W\//, '') === etag));
+
+// ---------------- Public API ----------------
+// Checks for the options that shape an output, shared by directory runs and resizeBuffer
+const checkOutputOptions = async (cfg) => {
+  if (!METADATA_MODES.includes(cfg.metadata)) throw new Error(`Unsupported metadata mode "${cfg.metadata}". Use one of: ${METADATA_MODES.join(',')}`);
+  if (!FIT_MODES.includes(cfg.fit)) throw new Error(`Unsupported fit "${cfg.fit}". Use one of: ${FIT_MODES.join(',')}`);
+  if (!POSITIONS.includes(cfg.position)) throw new Error(`Unsupported position "${cfg.position}". Use one of: ${POSITIONS.join(',')}`);
+  try { normalizeConverters(cfg.converters); } catch (err) { throw new Error(`Invalid converters: ${err.message}`); }
+  if (!ANIMATION_FALLBACKS.includes(cfg.animationFallback)) throw new Error(`Unsupported animationFallback "${cfg.animationFallback}". Use one of: ${ANIMATION_FALLBACKS.join(',')}`);
+  if (!OVERSIZE_POLICIES.includes(cfg.oversize)) throw new Error(`Unsupported oversize policy "${cfg.oversize}". Use one of: ${OVERSIZE_POLICIES.join(',')}`);
+  for (const k of ['maxPixels', 'memoryBudget']) {
+    if (cfg[k] != null && !(Number.isInteger(cfg[k]) && cfg[k] > 0)) throw new Error(`Invalid ${k} "${cfg[k]}": expected a positive integer or null`);
+  }
+  if (cfg.verify && !VERIFY_MODES.includes(cfg.verify)) throw new Error(`Unsupported verify mode "${cfg.verify}". Use one of: ${VERIFY_MODES.join(',')}`);
+  if (!BIT_DEPTHS.includes(cfg.bitDepth)) throw new Error(`Unsupported bitDepth "${cfg.bitDepth}". Use one of: ${BIT_DEPTHS.join(',')}`);
+  const { profile } = parseColorspace(cfg.colorspace);
+  if (profile === 'cmyk') {
+    const fmts = [normalizeFormat(cfg.format), ...(normalizeRenditions(cfg.sizes) || []).map((r) => r.fmt).filter(Boolean)];
+    const bad = fmts.find((f) => f.mode === 'fixed' && !CMYK_FORMATS.has(f.key));
+    if (bad) throw new Error(`colorspace convert-to:cmyk needs jpeg or tiff output, not ${bad.key}`);
+  }
+  // sharp only warns about a profile it can't load, and writes the output untagged
+  if (profile && !COLOR_PROFILES.includes(profile)) {
+    let icc = null;
+    try { icc = await fsp.readFile(profile); } catch {}
+    if (!icc) throw new Error(`ICC profile not found: ${profile}`);
+    if (icc.toString('latin1', 36, 40) !== 'acsp') throw new Error(`Not an ICC profile: ${profile}`);
+  }
+  parseAspectRatio(cfg.aspectRatio);
+  let watermark;
+  try { watermark = normalizeWatermark(cfg.watermark); } catch (err) { throw new Error(`Invalid watermark: ${err.message}`); }
+  if (watermark && watermark.image && !(await exists(path.resolve(watermark.image)))) {
+    throw new Error(`Watermark image not found: ${path.resolve(watermark.image)}`);
+  }
+};
+
+// The extensions sharp is asked to decode; everything else is copied or kept as-is
+const allowedExtensions = (cfg) => {
+  const allowSet = new Set(
+    (cfg.includeExt ? cfg.includeExt.map(lowerDot) : DEFAULT_ALLOW_EXT)
+      .filter(Boolean)
+      .map((e) => e.toLowerCase())
+  );
+  if (cfg.excludeExt) {
+    for (const e of cfg.excludeExt.map(lowerDot)) allowSet.delete(e);
+  }
+  return allowSet;
+};
+
+// Fixed or adaptive (AIMD) limiter for cfg, with the sharp pool sized to match; `onWindow` sees each adaptive window.
+// schedule(fn, weight) also holds tasks back while their weights would overrun cfg.memoryBudget
+const createLimiter = (cfg, onWindow = null) => {
+  // sharp pool sizing (initial)
+  if (cfg.autoThreads) {
+    // defer sizing to limiter setup
+  } else {
+    let t = cfg.sharpThreads != null ? cfg.sharpThreads : Math.max(1, Math.floor((os.cpus()?.length || 4) / 2));
+    if (t === 0) sharp.concurrency(0); else sharp.concurrency(t);
+  }
+
+  if (cfg.auto) {
+    const initial = Math.min(2, cfg.maxConcurrency);
+    if (cfg.autoThreads) {
+      const desired = clamp(Math.floor(cfg.targetThreads / Math.max(1, initial)), cfg.minSharpThreads, cfg.maxSharpThreads);
+      sharp.concurrency(desired === 0 ? 0 : desired);
+    }
+    return createAdaptiveLimiter({
+      initial,
+      min: cfg.minConcurrency,
+      max: cfg.maxConcurrency,
+      windowMs: cfg.windowMs,
+      targetLatencyMs: cfg.targetLatencyMs,
+      lagThresholdMs: cfg.lagThresholdMs,
+      memoryBudget: cfg.memoryBudget,
+      onWindow: ({ inFlightCap, avgLatency, lagMs }) => {
+        onWindow && onWindow({ inFlightCap, avgLatency, lagMs });
+        if (cfg.autoThreads) {
+          const desired = clamp(Math.floor(cfg.targetThreads / Math.max(1, inFlightCap)), cfg.minSharpThreads, cfg.maxSharpThreads);
+          sharp.concurrency(desired === 0 ? 0 : desired);
+        }
+      }
+    });
+  }
+  const fixed = cfg.concurrency ?? Math.max(2, Math.floor((os.cpus()?.length || 4) / 2));
+  if (cfg.autoThreads) {
+    const desired = clamp(Math.floor(cfg.targetThreads / Math.max(1, fixed)), cfg.minSharpThreads, cfg.maxSharpThreads);
+    sharp.concurrency(desired === 0 ? 0 : desired);
+  }
+  let inFlight = 0; const q = [];
+  const memory = createMemoryGate(cfg.memoryBudget);
+  const pump = () => {
+    while (inFlight < fixed && q.length && memory.fits(q[0].weight)) {
+      const { fn, weight, resolve, reject } = q.shift();
+      inFlight++; memory.take(weight);
+      fn().then(resolve, reject).finally(() => { inFlight--; memory.give(weight); pump(); });
+    }
+  };
+  return {
+    schedule: (fn, weight = 0) => new Promise((res, rej) => { q.push({ fn, weight, resolve: res, reject: rej }); pump(); }),
+    cap: () => fixed,
+    dispose: () => {}
+  };
+};
+
+// Shared setup for a run over cfg.inputDir: checks, manifest/journal, file processor, limiter.
+// `schedule` queues one file; `close` settles the manifest/journal once no more files will be scheduled.
+const createRun = async (cfg) => {
+  const log = cfg.logger || { info: () => {}, warn: () => {}, error: () => {} };
+  const allowSet = allowedExtensions(cfg);
+
+  // FS prep
+  const inputAbs = path.resolve(cfg.inputDir);
+  const outputAbs = cfg.overwrite ? null : path.resolve(cfg.outputDir);
+  if (!(await exists(inputAbs))) throw new Error(`Input not found: ${inputAbs}`);
+  if (cfg.flatten && cfg.overwrite) throw new Error('Cannot use flatten with overwrite. Choose one.');
+  if (cfg.nameTemplate && cfg.overwrite) throw new Error('Cannot use nameTemplate with overwrite. Choose one.');
+  if (cfg.nameTemplate != null) {
+    try { compileNameTemplate(cfg.nameTemplate); } catch (err) { throw new Error(`Invalid nameTemplate: ${err.message}`); }
+  }
+  if (cfg.incremental && cfg.overwrite) throw new Error('Cannot use incremental with overwrite. Choose one.');
+  if (cfg.dedupe && cfg.overwrite) throw new Error('Cannot use dedupe with overwrite. Choose one.');
+  if (cfg.report) reportFormatOf(cfg);
+  if (cfg.dedupe && !DEDUPE_MODES.includes(cfg.dedupe)) throw new Error(`Unsupported dedupe mode "${cfg.dedupe}". Use one of: ${DEDUPE_MODES.join(',')}`);
+  if (cfg.dedupe && !DEDUPE_ACTIONS.includes(cfg.dedupeAction)) throw new Error(`Unsupported dedupeAction "${cfg.dedupeAction}". Use one of: ${DEDUPE_ACTIONS.join(',')}`);
+  await checkOutputOptions(cfg);
+  if (!cfg.overwrite && !cfg.dryRun) await fsp.mkdir(outputAbs, { recursive: true });
+
+  if (cfg.sweepTempFiles && !cfg.dryRun) {
+    const swept = await sweepTempFiles(outputAbs || inputAbs);
+    if (swept) log.info && log.info(`✂ removed ${swept} leftover temp file(s) from an earlier run`);
+  }
+
+  const manifest = cfg.incremental
+    ? await createManifestTracker({
+        file: path.resolve(cfg.manifestPath || path.join(outputAbs, MANIFEST_NAME)),
+        inputRoot: inputAbs, outputRoot: outputAbs, cfg, log
+      })
+    : null;
+
+  const journal = ((cfg.journal || cfg.resume) && !cfg.dryRun)
+    ? await createRunJournal({
+        file: path.resolve(cfg.journalPath || path.join(outputAbs || inputAbs, JOURNAL_NAME)),
+        inputRoot: inputAbs, cfg, log
+      })
+    : null;
+  if (journal && journal.resumed) log.info && log.info(`↻ resuming: ${journal.resumed} file(s) already done`);
+
+  // overwrite mode keeps the originals it replaces under backupRoot, which the walk leaves alone
+  if (cfg.overwrite && cfg.backup && !BACKUP_MODES.includes(cfg.backup)) throw new Error(`Unsupported backup mode "${cfg.backup}". Use one of: ${BACKUP_MODES.join(',')}`);
+  const backupRoot = (cfg.overwrite && cfg.backup) ? path.resolve(cfg.backupDir || path.join(inputAbs, BACKUP_DIR_NAME)) : null;
+  if (backupRoot && cfg.backupRetentionDays != null && !cfg.dryRun) await pruneBackups(backupRoot, cfg.backupRetentionDays, log);
+  const backups = (backupRoot && !cfg.dryRun) ? await createBackups({ root: backupRoot, inputRoot: inputAbs, mode: cfg.backup }) : null;
+
+  const filter = createInputFilter(cfg, inputAbs);
+  const deduper = cfg.dedupe ? createDeduper(cfg, allowSet) : null;
+
+  // cfg.signal, or the run stopping itself when the disk stays full
+  const controller = new AbortController();
+  const outer = cfg.signal || null;
+  const relay = () => controller.abort();
+  if (outer) {
+    if (outer.aborted) controller.abort();
+    else outer.addEventListener('abort', relay, { once: true });
+  }
+  const signal = controller.signal;
+  let abortReason = null;
+  const stop = (reason) => {
+    if (signal.aborted) return;
+    abortReason = reason;
+    log.error && log.error(`✖ ${reason}; stopping the run`);
+    controller.abort();
+  };
+
+  const startedAt = Date.now();
+  const stats = { converted: 0, copied: 0, kept: 0, skipped: 0, errors: 0, results: [] };
+  if (cfg.dryRun) Object.assign(stats, { dryRun: true, collisions: 0 });
+  if (deduper) Object.assign(stats, { linked: 0, duplicates: [] });
+  let progress = null; // set up once the limiter exists
+  const onFile = (x) => {
+    stats.results.push(x);
+    deduper && deduper.track(x);
+    progress && progress.result(x);
+    manifest && manifest.track(x);
+    journal && journal.track(x);
+    cfg.onFile && cfg.onFile(x);
+  };
+  const processFile = processFileFactory(cfg, allowSet, stats, log, onFile, inputAbs, outputAbs || '', backups);
+
+  const limiter = createLimiter(cfg, (w) => {
+    cfg.onWindow && cfg.onWindow(w);
+    progress && progress.window(w);
+  });
+  const dispose = limiter.dispose;
+  const weigh = cfg.memoryBudget && !cfg.dryRun ? createWeigher(cfg, allowSet) : null;
+
+  if (cfg.onProgress) {
+    progress = createProgress({ emit: cfg.onProgress, stats, inFlightCap: limiter.cap });
   }
 
+  // The dedupe ticket is taken before the first await, so copies are matched in the order they were scheduled
+  const runOne = async (inputPath, outputPath, index) => {
+    const ticket = deduper && !retrying.has(inputPath) && deduper.enter();
+    try { await runSource(inputPath, outputPath, ticket, index); }
+    finally { ticket && ticket.release(); }
+  };
+
+  // Sources between attempts after a transient error; a retry resumes from what the first attempt worked out
+  const retrying = new Map(); // inputPath → { attempt, linkTo, dupe, index, err }
+  const retryable = (err, attempt) => isTransientResourceError(err) && attempt < cfg.maxAttempts;
+
+  // The manifest and dedupe group hear about a source once, after its last attempt
+  const settleSource = (inputPath, dupe, failed) => {
+    manifest && manifest.complete(inputPath, failed);
+    if (dupe && dupe.primary) deduper.done(dupe.group, failed);
+  };
+
+  const runSource = async (inputPath, outputPath, ticket, index) => {
+    const pending = retrying.get(inputPath);
+    if (pending) return attemptSource(inputPath, outputPath, pending);
+    const filteredBy = filter && await filter.test(inputPath);
+    if (filteredBy) {
+      stats.skipped++; onFile({ src: inputPath, dest: inputPath, action: 'skipped', reason: 'filtered', filteredBy });
+      log.info && log.info(`↷ ${inputPath} (filtered: ${filteredBy}, skipped)`);
+      return;
+    }
+    if (journal && journal.has(inputPath)) {
+      stats.skipped++; onFile({ src: inputPath, dest: inputPath, action: 'skipped', reason: 'resumed' });
+      log.info && log.info(`↷ ${inputPath} (done before interruption, skipped)`);
+      return;
+    }
+    const prev = manifest && await manifest.check(inputPath);
+    // unchanged sources still take part in matching, so later copies of them are recognized
+    const dupe = ticket && await deduper.match(inputPath, ticket);
+    if (prev) {
+      const dest = prev.outputs && prev.outputs.length ? manifest.abs(prev.outputs[0]) : inputPath;
+      stats.skipped++; onFile({ src: inputPath, dest, action: 'skipped', reason: 'unchanged' });
+      log.info && log.info(`↷ ${inputPath} (unchanged, skipped)`);
+      if (dupe && dupe.primary) deduper.done(dupe.group, false);
+      return;
+    }
+    let linkTo = null;
+    if (dupe && !dupe.primary) {
+      const of = dupe.group.primary;
+      const what = dupe.match === 'exact' ? 'duplicate' : `near-duplicate (distance ${dupe.distance})`;
+      if (cfg.dedupeAction === 'skip') {
+        stats.skipped++; onFile({ src: inputPath, dest: inputPath, action: 'skipped', reason: 'duplicate', duplicateOf: of, match: dupe.match, distance: dupe.distance });
+        log.info && log.info(`↷ ${inputPath} (${what} of ${of}, skipped)`);
+        manifest && manifest.complete(inputPath);
+        journal && journal.complete(inputPath);
+        return;
+      }
+      // links need the first copy's outputs; if it produced none (failed, or unchanged from an earlier run), encode as usual
+      const results = (await dupe.group.settled).filter((r) => r.action === 'converted' || r.action === 'copied');
+      if (results.length) linkTo = { of, results, mode: cfg.dedupeAction, what };
+    }
+    return attemptSource(inputPath, outputPath, { attempt: 0, linkTo, dupe, index });
+  };
+
+  const attemptSource = async (inputPath, outputPath, state) => {
+    state.attempt++;
+    retrying.delete(inputPath);
+    try {
+      await processFile(inputPath, outputPath, state.linkTo, state.attempt, state.index);
+    } catch (err) {
+      if (retryable(err, state.attempt)) {
+        retrying.set(inputPath, Object.assign(state, { err }));
+        // a first copy backs off in its own slot, since its duplicates hold theirs while they wait for it
+        if (!(state.dupe && state.dupe.primary)) throw err;
+        if (await backoff(inputPath, err, state.attempt)) return attemptSource(inputPath, outputPath, state);
+        giveUp(inputPath, err);
+        throw err;
+      }
+      settleSource(inputPath, state.dupe, true);
+      throw err;
+    }
+    settleSource(inputPath, state.dupe, false);
+    journal && journal.complete(inputPath);
+  };
+
+  // Exponential backoff, but at least one limiter window so an adaptive limiter has cut concurrency by then;
+  // false if the run was aborted while waiting
+  const backoff = async (inputPath, err, attempt) => {
+    const delay = Math.max(cfg.retryDelayMs * 2 ** (attempt - 1), cfg.auto ? cfg.windowMs : 0);
+    log.warn && log.warn(`↻ ${inputPath}: ${err.code || err.message}, retrying in ${delay}ms (attempt ${attempt + 1} of ${cfg.maxAttempts})`);
+    await sleep(delay, signal);
+    return !signal.aborted;
+  };
+
+  // A source still waiting to retry when the run is aborted fails, and stays out of the journal for --resume
+  const giveUp = (inputPath, err) => {
+    const state = retrying.get(inputPath);
+    retrying.delete(inputPath);
+    stats.errors++; onFile({ src: inputPath, dest: inputPath, action: 'error', error: String(err.message || err), attempts: state.attempt });
+    log.warn && log.warn(`⚠ ${inputPath}: transient error (${err.code || err.message}), not retried: run stopped`);
+    settleSource(inputPath, state.dupe, true);
+  };
+
+  const runScheduled = (inputPath, outputPath, weight, index) => limiter.schedule(async () => {
+    // queued work drains as no-ops once aborted; files already in flight run to completion
+    if (signal.aborted) {
+      if (!retrying.has(inputPath)) return;
+      const err = retrying.get(inputPath).err;
+      giveUp(inputPath, err);
+      progress && progress.finish(inputPath, err);
+      throw err;
+    }
+    if (!progress) return runOne(inputPath, outputPath, index);
+    // a file counts as started once and finished after its last attempt
+    if (!retrying.has(inputPath)) await progress.start(inputPath);
+    let failed = null;
+    try { await runOne(inputPath, outputPath, index); }
+    catch (err) { failed = err; throw err; }
+    finally { if (!retrying.has(inputPath)) progress.finish(inputPath, failed); }
+  }, weight);
+
+  // A transient resource error (EMFILE, ENOMEM, ENOSPC, …) gives the file's slot back, backs off and queues the
+  // file again. Running out of disk space on the last attempt stops the run rather than failing every file after it.
+  // Under a memory budget a source is weighed once, before it is first queued, and keeps that weight for retries.
+  // Its {index} is counted here, before the first await, so it follows the walk.
+  let scheduled = 0;
+  const schedule = async (inputPath, outputPath) => {
+    const index = ++scheduled;
+    progress && progress.discover(inputPath);
+    const weight = weigh ? await weigh(inputPath) : 0;
+    for (;;) {
+      try { return await runScheduled(inputPath, outputPath, weight, index); }
+      catch (err) {
+        const state = retrying.get(inputPath);
+        if (!state) {
+          if (isOutOfSpace(err)) stop(`no space left on device (${inputPath})`);
+          throw err;
+        }
+        if (!await backoff(inputPath, err, state.attempt)) {
+          giveUp(inputPath, err);
+          progress && progress.finish(inputPath, err);
+          throw err;
+        }
+      }
+    }
+  };
+
+  const close = async ({ complete = true } = {}) => {
+    dispose();
+    outer && outer.removeEventListener('abort', relay);
+    if (abortReason) stats.abortReason = abortReason;
+    if (deduper) stats.duplicates = deduper.report();
+    stats.totals = { ...byteTotals(stats.results), elapsedMs: Date.now() - startedAt };
+    if (manifest) {
+      // an aborted walk never saw every source, so nothing can be called an orphan
+      try { await manifest.finish({ complete }); }
+      catch (err) { log.warn && log.warn(`⚠ failed to write manifest${cfg.verboseErrors ? ` (${err.message})` : ''}`); }
+    }
+    if (journal) {
+      try { await journal.close(complete); }
+      catch (err) { log.warn && log.warn(`⚠ failed to write journal${cfg.verboseErrors ? ` (${err.message})` : ''}`); }
+    }
+    if (backups) {
+      // an entry that failed to write failed its file before the file was touched, so the log still covers the run
+      try {
+        const undoLog = await backups.close();
+        if (undoLog) stats.undoLog = undoLog;
+      } catch (err) {
+        stats.undoLog = backups.file;
+        log.warn && log.warn(`⚠ failed to write undo log ${backups.file}${cfg.verboseErrors ? ` (${err.message})` : ''}`);
+      }
+    }
+  };
+
+  return {
+    log, stats, signal, inputAbs, outputAbs, backupRoot, manifest, journal, filter, schedule, close,
+    walked: () => progress && progress.walked()
+  };
+};
+
+const resizeImages = async (options = {}) => {
+  const cfg = await resolveOptions(options);
+  const run = await createRun(cfg);
+  const { stats, signal, inputAbs, outputAbs, journal, backupRoot } = run;
+
   // Queue & drain
   const tasks = [];
-  for await (const { inputPath, outputPath } of walk(inputAbs, outputAbs || '', cfg.overwrite, cfg.skipDSStore, cfg.flatten)) {
-    tasks.push(limiter.schedule(() => processFile(inputPath, outputPath)));
+  for await (const { inputPath, outputPath } of walk(inputAbs, outputAbs || '', cfg.overwrite, cfg.skipDSStore, cfg.flatten || !!cfg.nameTemplate, cfg.dryRun)) {
+    if (signal && signal.aborted) break;
+    if (journal && inputPath === journal.file) continue;
+    if (backupRoot && (inputPath + path.sep).startsWith(backupRoot + path.sep)) continue;
+    tasks.push(run.schedule(inputPath, outputPath));
   }
+  run.walked();
 
   const results = await Promise.allSettled(tasks);
   for (const r of results) {
     if (r.status === 'rejected') stats.errors++;
   }
-  dispose();
+
+  const aborted = !!(signal && signal.aborted);
+  if (aborted) stats.aborted = true;
+  await run.close({ complete: !aborted });
+
+  if (cfg.report) {
+    const file = path.resolve(cfg.report);
+    try {
+      await writeReport(file, reportFormatOf(cfg), stats);
+      run.log.info && run.log.info(`✔ report written to ${file}`);
+    } catch (err) {
+      run.log.warn && run.log.warn(`⚠ failed to write report ${file}${cfg.verboseErrors ? ` (${err.message})` : ''}`);
+    }
+  }
+
+  if (cfg.dryRun || aborted) return stats;
 
   // Optional cleanup
   if (cfg.pruneDSStore) {
@@ -545,7 +3496,511 @@ const resizeImages = async (options = {}) => {
   return stats;
 };
 
+// Async-iterator view of a run: yields onProgress events, then { type: 'done', summary }.
+// Breaking out of the loop aborts the run and waits for in-flight files to settle.
+async function* resizeImagesIter(options = {}) {
+  const queue = [];
+  let wake = null;
+  const push = (ev) => {
+    queue.push(ev);
+    if (wake) { wake(); wake = null; }
+  };
+
+  const controller = new AbortController();
+  const outer = options.signal;
+  const relay = () => controller.abort();
+  if (outer) {
+    if (outer.aborted) controller.abort();
+    else outer.addEventListener('abort', relay, { once: true });
+  }
+
+  let finished = false;
+  const run = resizeImages({
+    ...options,
+    signal: controller.signal,
+    onProgress: (ev) => { options.onProgress && options.onProgress(ev); push(ev); }
+  }).then(
+    (summary) => push({ type: 'done', summary }),
+    (error) => push({ type: 'fatal', error })
+  );
+
+  try {
+    while (true) {
+      if (!queue.length) await new Promise((resolve) => { wake = resolve; });
+      const ev = queue.shift();
+      if (ev.type === 'fatal') { finished = true; throw ev.error; }
+      if (ev.type === 'done') finished = true;
+      yield ev;
+      if (finished) return;
+    }
+  } finally {
+    outer && outer.removeEventListener('abort', relay);
+    if (!finished) {
+      controller.abort();
+      await run;
+    }
+  }
+}
+
+// Initial incremental pass, then keeps processing new and changed files under inputDir until closed.
+// A file is processed once its size & mtime are unchanged across watchStabilityMs; with pruneOrphans,
+// deleting a source removes its outputs (looked up in the manifest, so hashed flat names are found too).
+const watchImages = async (options = {}) => {
+  const cfg = { ...(await resolveOptions(options)), incremental: true };
+  if (cfg.overwrite) throw new Error('Cannot use watch with overwrite. Choose one.');
+  if (cfg.dryRun) throw new Error('Cannot use watch with dryRun. Choose one.');
+  const log = cfg.logger || { info: () => {}, warn: () => {}, error: () => {} };
+
+  // the manifest written here tells the watch phase what is already up to date
+  const initial = await resizeImages({ ...cfg, config: false });
+
+  // the journal covers a single pass; in watch mode the manifest is the record of what is done
+  const run = await createRun({ ...cfg, journal: false, resume: false, sweepTempFiles: false });
+  const { stats, inputAbs, outputAbs, manifest } = run;
+  const manifestFile = path.resolve(cfg.manifestPath || path.join(outputAbs, MANIFEST_NAME));
+
+  const ignore = (p) => {
+    const name = path.basename(p);
+    return p === outputAbs || p.startsWith(outputAbs + path.sep) || p === manifestFile ||
+      TEMP_FILE_RE.test(name) || (cfg.skipDSStore && name === '.DS_Store');
+  };
+  const outputFor = (inputPath) => path.join(outputAbs, path.relative(inputAbs, inputPath));
+
+  const timers = new Map(); // path → pending stability check
+  const lastSeen = new Map(); // path → stat from the previous check
+  const busy = new Map(); // path → in-flight task
+  const dirty = new Set(); // changed again while busy
+  let closing = false;
+  let watcher = null;
+
+  let saveTimer = null;
+  const save = async () => {
+    saveTimer = null;
+    try { await manifest.finish({ complete: false }); }
+    catch (err) { log.warn && log.warn(`⚠ failed to write manifest${cfg.verboseErrors ? ` (${err.message})` : ''}`); }
+  };
+  const saveSoon = () => { if (!saveTimer && !closing) saveTimer = setTimeout(save, 1000); };
+
+  const removed = async (p) => {
+    lastSeen.delete(p);
+    watcher.drop(p);
+    if (!cfg.pruneOrphans) return;
+    const n = await manifest.forget(p);
+    if (n) {
+      log.info && log.info(`✂ ${p} deleted, removed ${n} output(s)`);
+      saveSoon();
+    }
+  };
+
+  const enqueue = (p) => {
+    if (busy.has(p)) { dirty.add(p); return; }
+    const task = run.schedule(p, outputFor(p))
+      .catch(() => { stats.errors++; })
+      .finally(() => {
+        busy.delete(p);
+        saveSoon();
+        if (dirty.delete(p)) touch(p);
+      });
+    busy.set(p, task);
+  };
+
+  // Runs from a timer, so nothing above it would catch a failure: a path that vanished mid-check (a directory
+  // deleted or renamed while it was walked) counts as removed, anything else is logged
+  const check = async (p) => {
+    try { await inspect(p); }
+    catch (err) {
+      if (!(await exists(p))) {
+        try { return await removed(p); } catch (e) { err = e; }
+      }
+      log.warn && log.warn(`⚠ ${p}: failed to pick up the change${cfg.verboseErrors ? ` (${err.message})` : ''}`);
+    }
+  };
+
+  const inspect = async (p) => {
+    timers.delete(p);
+    if (closing) return;
+    let st;
+    try { st = await fsp.stat(p); } catch { return removed(p); }
+    if (st.isDirectory()) {
+      // a new (or moved-in) directory: watch it and pick up what is already inside
+      await watcher.add(p);
+      for await (const { inputPath } of walk(p, outputFor(p), false, cfg.skipDSStore, true, true)) {
+        if (!ignore(inputPath)) touch(inputPath);
+      }
+      return;
+    }
+    if (!st.isFile()) return;
+    const prev = lastSeen.get(p);
+    if (!prev || prev.size !== st.size || prev.mtimeMs !== st.mtimeMs) {
+      // still being written (or first look): check again after another quiet interval
+      lastSeen.set(p, st);
+      timers.set(p, setTimeout(() => check(p), cfg.watchStabilityMs));
+      return;
+    }
+    lastSeen.delete(p);
+    enqueue(p);
+  };
+
+  function touch(p) {
+    if (closing) return;
+    if (run.filter && (cfg.ignoreFiles || []).includes(path.basename(p))) run.filter.invalidate();
+    clearTimeout(timers.get(p));
+    timers.set(p, setTimeout(() => check(p), cfg.watchStabilityMs));
+  }
+
+  watcher = await createTreeWatcher(inputAbs, { onEvent: touch, ignore });
+  log.info && log.info(`○ watching ${inputAbs} for changes`);
+
+  let resolveClosed;
+  const closed = new Promise((resolve) => { resolveClosed = resolve; });
+  const close = async () => {
+    if (closing) return closed;
+    closing = true;
+    run.signal.removeEventListener('abort', close);
+    watcher.close();
+    for (const t of timers.values()) clearTimeout(t);
+    timers.clear();
+    clearTimeout(saveTimer);
+    while (busy.size) await Promise.allSettled([...busy.values()]);
+    await run.close({ complete: false });
+    resolveClosed(stats);
+    return closed;
+  };
+  // the run's signal follows cfg.signal, and also aborts when the run stops itself (disk full)
+  if (run.signal.aborted) await close();
+  else run.signal.addEventListener('abort', close, { once: true });
+
+  return { initial, stats, closed, close };
+};
+
+// In-memory counterpart of a run: one image's bytes in, its output bytes out, through the same pipeline
+// (format & fallback choice, converters, metadata, watermark, byte budget) the directory walker uses.
+// With `sizes`, resolves one result per rendition.
+const resizeBuffer = async (input, options = {}) => {
+  if (input instanceof Uint8Array && !Buffer.isBuffer(input)) input = Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+  if (!Buffer.isBuffer(input)) throw new Error('resizeBuffer: input must be a Buffer or Uint8Array');
+  // `filename` names the source for logs, and its extension is used when sharp can't tell the format. A config
+  // file is only read when asked for: there is no project directory to search from
+  const { filename = null, config = null, ...rest } = options;
+  const cfg = await resolveOptions({ ...rest, config });
+  await checkOutputOptions(cfg);
+  const log = cfg.logger || { info: () => {}, warn: () => {}, error: () => {} };
+  const pipeline = createPipeline(cfg, log);
+
+  const { srcExt, ...srcInfo } = await pipeline.probe(input);
+  const given = filename ? path.extname(filename) : '';
+  const ext = srcExt || given.toLowerCase();
+  const source = await pipeline.prepare(input, srcInfo);
+  const src = {
+    buffer: input, ext, stem: filename ? path.basename(filename, given) : 'image', info: srcInfo,
+    name: filename || 'buffer', tmpDir: os.tmpdir()
+  };
+
+  const results = [];
+  for (const job of pipeline.jobs) {
+    const r = await pipeline.convert(job, source, src);
+    if (r.action === 'error') throw new Error(r.error);
+    // what can't be converted comes back as it was, like a copied file
+    const x = r.action === 'copy'
+      ? { data: input, ext, action: 'copied', route: 'copy', reason: r.reason, bytes: input.length, animated: (srcInfo.srcFrames || 0) > 1 }
+      : { data: r.data, ext: r.outExt, action: 'converted', ...r.result };
+    results.push({ ...x, ...srcInfo, ...(job.label ? { rendition: job.label } : {}) });
+  }
+  return pipeline.jobs[0].label ? results : results[0];
+};
+
+// Transform for one image: buffers what is written, runs resizeBuffer at the end and pushes the output bytes.
+// The rest of the result (format, width, height, route, via, …) is emitted as 'info' just before.
+// The whole input is buffered before it is decoded, so a stream takes at most `maxInputBytes` (null: no limit) and
+// fails once more is written
+const STREAM_MAX_INPUT_BYTES = 256 * 1024 * 1024;
+const createResizeStream = (options = {}) => {
+  const { maxInputBytes = STREAM_MAX_INPUT_BYTES, ...rest } = options;
+  if (maxInputBytes !== null && !(Number.isInteger(maxInputBytes) && maxInputBytes > 0)) {
+    throw new Error('createResizeStream: maxInputBytes must be a positive integer or null');
+  }
+  const chunks = [];
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (maxInputBytes !== null && received > maxInputBytes) {
+        chunks.length = 0;
+        return callback(new Error(`createResizeStream: input is over maxInputBytes (${maxInputBytes} bytes)`));
+      }
+      chunks.push(chunk);
+      callback();
+    },
+    flush(callback) {
+      resizeBuffer(Buffer.concat(chunks), rest).then((result) => {
+        if (Array.isArray(result)) throw new Error('createResizeStream writes one output; use resizeBuffer for sizes');
+        const { data, ...info } = result;
+        this.emit('info', info);
+        callback(null, data);
+      }).catch(callback);
+    }
+  });
+};
+
+// On-demand resizing over HTTP: GET /img/<path under inputDir>?w=&h=&format=&q= runs the source through the same
+// pipeline as a run (a request is a one-rendition run) and serves the result. Results are cached in outputDir
+// under a key made of the source's content hash and the output settings; the key is also the ETag. Misses wait
+// their turn in the run limiter, and concurrent requests for the same result share one encode.
+const createServer = async (options = {}) => {
+  const cfg = await resolveOptions(options);
+  await checkOutputOptions(cfg);
+  const log = cfg.logger || { info: () => {}, warn: () => {}, error: () => {} };
+  const signal = cfg.signal || null;
+
+  const root = path.resolve(cfg.inputDir);
+  if (!(await exists(root))) throw new Error(`Input not found: ${root}`);
+  const realRoot = await fsp.realpath(root);
+  const cacheDir = path.resolve(cfg.outputDir);
+  await fsp.mkdir(cacheDir, { recursive: true });
+  const realCache = await fsp.realpath(cacheDir);
+  if (cfg.sweepTempFiles) {
+    const swept = await sweepTempFiles(cacheDir);
+    if (swept) log.info && log.info(`✂ removed ${swept} leftover temp file(s) from an earlier run`);
+  }
+
+  const allowSet = allowedExtensions(cfg);
+  const filter = createInputFilter(cfg, root);
+  const limiter = createLimiter(cfg, cfg.onWindow);
+  const weigh = cfg.memoryBudget ? createWeigher(cfg, allowSet) : null;
+  const stats = { requests: 0, hits: 0, misses: 0, notModified: 0, rejected: 0, errors: 0, evicted: 0 };
+
+  // /img/a/b.jpg → a file under inputDir. Dot segments, hidden files, the cache itself and anything a symlink
+  // leads outside of are all simply not found
+  const resolveSource = async (pathname) => {
+    let segments;
+    try { segments = pathname.slice(SERVE_PREFIX.length).split('/').map(decodeURIComponent); }
+    catch { throw httpError(400, 'malformed path'); }
+    const notFound = () => httpError(404, `${pathname} not found`);
+    if (segments.some((s) => !s || s.startsWith('.') || /[\\/\0]/.test(s))) throw notFound();
+    const file = path.join(root, ...segments);
+    let real, st;
+    try { real = await fsp.realpath(file); st = await fsp.stat(real); } catch { throw notFound(); }
+    if (!st.isFile() || !real.startsWith(realRoot + path.sep) || real.startsWith(realCache + path.sep)) throw notFound();
+    if (!allowSet.has(path.extname(file).toLowerCase())) throw httpError(404, `${pathname} is not a convertible image`);
+    if (filter && await filter.test(file)) throw notFound();
+    return { file, st };
+  };
+
+  // hashed again only when size or mtime change
+  const hashes = new Map(); // file → { size, mtimeMs, hash }
+  const sourceHash = async (file, st) => {
+    const known = hashes.get(file);
+    if (known && known.size === st.size && known.mtimeMs === st.mtimeMs) return known.hash;
+    const hash = await hashFile(file);
+    hashes.set(file, { size: st.size, mtimeMs: st.mtimeMs, hash });
+    return hash;
+  };
+
+  // A pipeline per variant keeps its converter lookups and watermark layer; the oldest go first past the limit
+  const pipelines = new Map(); // settings key → pipeline
+  const pipelineFor = (vcfg, id) => {
+    if (!pipelines.has(id)) {
+      if (pipelines.size >= 64) pipelines.delete(pipelines.keys().next().value);
+      pipelines.set(id, createPipeline(vcfg, log));
+    }
+    return pipelines.get(id);
+  };
+
+  // Cache files by when they were last served, oldest first, up to serveCacheBytes in total. The order starts from
+  // the files' mtimes, so a restart keeps the cap. A response still streaming an evicted file keeps reading it
+  const lru = new Map(); // cache file → bytes
+  let cacheBytes = 0;
+  const remember = (file, size) => {
+    if (lru.has(file)) { cacheBytes -= lru.get(file); lru.delete(file); }
+    lru.set(file, size);
+    cacheBytes += size;
+  };
+  const prune = async (keep = null) => {
+    for (const [file, size] of lru) {
+      if (cacheBytes <= cfg.serveCacheBytes) break;
+      if (file === keep) continue;
+      lru.delete(file);
+      cacheBytes -= size;
+      try { await fsp.rm(file, { force: true }); stats.evicted++; } catch {}
+    }
+  };
+  if (cfg.serveCacheBytes) {
+    const found = [];
+    const shards = (await fsp.readdir(cacheDir).catch(() => [])).filter((n) => /^[0-9a-f]{2}$/.test(n));
+    for (const shard of shards) {
+      for (const name of await fsp.readdir(path.join(cacheDir, shard)).catch(() => [])) {
+        // only results this server wrote: <sha1 key><ext>
+        if (!name.startsWith(shard) || !/^[0-9a-f]{40}\.[a-z0-9]+$/.test(name)) continue;
+        const file = path.join(cacheDir, shard, name);
+        const st = await fsp.stat(file).catch(() => null);
+        if (st && st.isFile()) found.push({ file, size: st.size, mtimeMs: st.mtimeMs });
+      }
+    }
+    found.sort((a, b) => a.mtimeMs - b.mtimeMs).forEach((f) => remember(f.file, f.size));
+    await prune();
+  }
+
+  // <outputDir>/<2 hex>/<key><ext>; the extension is only known once encoded, so a lookup lists the shard
+  const shardOf = (key) => path.join(cacheDir, key.slice(0, 2));
+  const cached = async (key) => {
+    let names = [];
+    try { names = await fsp.readdir(shardOf(key)); } catch {}
+    const name = names.find((n) => n.startsWith(key + '.') && !TEMP_FILE_RE.test(n));
+    if (!name) return null;
+    const file = path.join(shardOf(key), name);
+    // served again: to the back of the eviction order, before a concurrent prune gets to it
+    if (lru.has(file)) remember(file, lru.get(file));
+    return file;
+  };
+
+  const encode = async (file, vcfg, id, key, label) => {
+    const pipeline = pipelineFor(vcfg, id);
+    const ext = path.extname(file);
+    const info = await pipeline.probe(file);
+    const source = await pipeline.prepare(file, info);
+    const r = await pipeline.convert(pipeline.jobs[0], source, {
+      path: file, ext: ext.toLowerCase(), stem: path.basename(file, ext), info, name: file, tmpDir: cacheDir
+    });
+    if (r.action === 'error') throw httpError(422, r.error);
+    // what can't be converted is served (and cached) as it is, like a copied file
+    const data = r.action === 'copy' ? await fsp.readFile(file) : r.data;
+    const out = path.join(shardOf(key), key + (r.action === 'copy' ? ext.toLowerCase() : r.outExt));
+    const tmpFile = out + `.tmp-${process.pid}-${Math.random().toString(36).slice(2,8)}`;
+    try {
+      await fsp.mkdir(shardOf(key), { recursive: true });
+      await fsp.writeFile(tmpFile, data);
+      await fsp.rename(tmpFile, out);
+    } catch (err) {
+      try { await fsp.rm(tmpFile, { force: true }); } catch {}
+      throw err;
+    }
+    if (r.action === 'copy') log.info && log.info(`↪ ${label} (${r.reason}, served as-is)`);
+    else log.info && log.info(`✔ ${label} (${r.note})`);
+    return out;
+  };
+
+  const inFlight = new Map(); // key → Promise<cache file>
+  const handle = async (req, res) => {
+    stats.requests++;
+    const url = new URL(req.url, 'http://localhost');
+    const label = `${req.method} ${url.pathname}${url.search}`;
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') throw httpError(405, `${req.method} not allowed`);
+      if (!url.pathname.startsWith(SERVE_PREFIX)) throw httpError(404, `${url.pathname} not found`);
+      const { width, height, format, quality } = parseServeQuery(url.searchParams, cfg);
+      const { file, st } = await resolveSource(url.pathname);
+
+      const bounds = width || height ? { width, height } : { width: cfg.maxWidth, height: cfg.maxHeight };
+      const vcfg = { ...cfg, sizes: [{ ...bounds, ...(format ? { format } : {}), ...(quality ? { quality } : {}) }] };
+      const id = settingsKey(vcfg);
+      const key = crypto.createHash('sha1').update(`${await sourceHash(file, st)}\0${id}`).digest('hex');
+      // URLs name a source, not its content, so clients revalidate; a match costs a hash lookup
+      const headers = { ETag: `"${key}"`, 'Cache-Control': 'no-cache' };
+      if (etagMatches(req.headers['if-none-match'], headers.ETag)) {
+        stats.notModified++;
+        res.writeHead(304, headers).end();
+        return;
+      }
+
+      let out = await cached(key);
+      const hit = !!out;
+      if (!out) {
+        if (!inFlight.has(key)) {
+          const weighed = weigh ? weigh(file, vcfg) : Promise.resolve(0);
+          inFlight.set(key, weighed.then((weight) => limiter.schedule(() => encode(file, vcfg, id, key, label), weight))
+            .finally(() => inFlight.delete(key)));
+        }
+        out = await inFlight.get(key);
+      }
+      hit ? stats.hits++ : stats.misses++;
+      const { size } = await fsp.stat(out);
+      if (cfg.serveCacheBytes) {
+        remember(out, size);
+        if (!hit) await prune(out);
+      }
+      res.writeHead(200, {
+        ...headers,
+        'Content-Type': CONTENT_TYPES[path.extname(out)] || 'application/octet-stream',
+        'Content-Length': size,
+        'X-Cache': hit ? 'HIT' : 'MISS'
+      });
+      if (req.method === 'HEAD') { res.end(); return; }
+      fs.createReadStream(out).on('error', () => res.destroy()).pipe(res);
+    } catch (err) {
+      const status = err.status || (isTransientResourceError(err) ? 503 : 500);
+      if (status < 500) stats.rejected++;
+      else {
+        stats.errors++;
+        log.error && log.error(`✖ ${label}: ${err.message}`);
+      }
+      if (res.headersSent) { res.destroy(); return; }
+      res.writeHead(status, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        ...(status === 405 ? { Allow: 'GET, HEAD' } : {}),
+        ...(status === 503 ? { 'Retry-After': '1' } : {})
+      });
+      res.end(req.method === 'HEAD' ? undefined : `${status >= 500 && !cfg.verboseErrors ? 'resize failed' : err.message}\n`);
+    }
+  };
+
+  const server = http.createServer((req, res) => { handle(req, res); });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(cfg.servePort, cfg.serveHost, () => { server.off('error', reject); resolve(); });
+  });
+  const { port } = server.address();
+  const url = `http://${cfg.serveHost.includes(':') ? `[${cfg.serveHost}]` : cfg.serveHost}:${port}`;
+  log.info && log.info(`○ serving ${root} at ${url}${SERVE_PREFIX}`);
+
+  // Stops accepting connections, lets requests in progress finish, then resolves `closed` with the totals
+  let closing = false, resolveClosed;
+  const closed = new Promise((resolve) => { resolveClosed = resolve; });
+  const close = async () => {
+    if (closing) return closed;
+    closing = true;
+    signal && signal.removeEventListener('abort', close);
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeIdleConnections();
+    });
+    while (inFlight.size) await Promise.allSettled([...inFlight.values()]);
+    limiter.dispose();
+    resolveClosed(stats);
+    return closed;
+  };
+  if (signal) {
+    if (signal.aborted) await close();
+    else signal.addEventListener('abort', close, { once: true });
+  }
+
+  return { server, url, port, stats, closed, close };
+};
+
+// Undoes an overwrite run from its undo log (or the newest log in a backup dir): originals go back where they were
+// and the outputs the run published are removed. Resolves { restored, removed, missing, input, log }
+const restoreOriginals = async (file, { logger = null } = {}) => {
+  const log = logger || { info: () => {}, warn: () => {}, error: () => {} };
+  let target = path.resolve(file);
+  const st = await fsp.stat(target).catch(() => null);
+  if (!st) throw new Error(`Undo log not found: ${target}`);
+  if (st.isDirectory()) {
+    // the names carry the run's start time, so they sort by it
+    const logs = (await fsp.readdir(target)).filter((n) => UNDO_LOG_RE.test(n)).sort();
+    if (!logs.length) throw new Error(`No undo log in ${target}`);
+    target = path.join(target, logs[logs.length - 1]);
+  }
+  return { ...(await restoreFromLog(target, log)), log: target };
+};
+
 module.exports = {
   resizeImages,
+  resizeImagesIter,
+  watchImages,
+  resizeBuffer,
+  createResizeStream,
+  createServer,
+  restoreOriginals,
+  resolveOptions,
+  loadConfig,
   DEFAULT_ALLOW_EXT
 };
@@ -1,26 +1,268 @@
-export type FileAction = 'converted' | 'copied' | 'kept' | 'error';
+import type { Transform } from 'stream';
+
+export type FileAction = 'converted' | 'copied' | 'linked' | 'kept' | 'skipped' | 'error';
 
 export interface ResizeResult {
   src: string;
   dest: string;
   action: FileAction;
+  /** Rendition label (e.g. '640w') when `sizes` is used */
+  rendition?: string;
+  /** Why a file was skipped, copied or kept, e.g. 'unchanged', 'filtered', 'duplicate' or 'oversize' */
+  reason?: string;
+  /** With reason 'filtered': the rule that excluded the source, e.g. 'exclude *_thumb.*' or 'width 640 < 800' */
+  filteredBy?: string;
+  /** Duplicates (skipped or linked): the source that was processed in their place, and how closely it matched */
+  duplicateOf?: string;
+  match?: 'exact' | 'near';
+  distance?: number;
+  /** Linked outputs: how `dest` points at the first copy's output */
+  link?: 'hardlink' | 'symlink';
   error?: string;
+  /** How the output was produced: sharp, an external converter (named in `via`), the fallback format, or a byte copy */
+  route?: 'sharp' | 'external' | 'fallback' | 'copy';
+  /** Source size, and dimensions as displayed (after EXIF rotation) when readable */
+  srcBytes?: number;
+  srcWidth?: number;
+  srcHeight?: number;
+  /** Animated GIF/WebP sources: frame count (`srcHeight` is then one frame's height) */
+  srcFrames?: number;
+  /** Time spent on this output (per rendition), ms */
+  elapsedMs?: number;
+  /** Attempts the source took; above 1 after transient resource errors (EMFILE, ENOMEM, ENOSPC) were retried */
+  attempts?: number;
+  /** Converted outputs: encoder quality used (chosen by the search under `maxBytes`) and bytes written */
+  quality?: number;
+  bytes?: number;
+  /** Converted outputs: the encoder settings used, as the log line shows them, e.g. `webp q=80 effort=6` */
+  encoder?: string;
+  /** `maxBytes` couldn't be met within `minQuality` (and `downscaleToFit`); the smallest attempt was written */
+  overBudget?: boolean;
+  /** Outputs written (converted, copied, linked): SHA-256 of the bytes, hex */
+  sha256?: string;
+  /** Converted outputs with `verify`: how they were read back before being published */
+  verified?: VerifyMode;
+  /** Converted outputs: description of the embedded ICC profile (null: untagged, read as sRGB), bits per channel */
+  colorProfile?: string | null;
+  bitDepth?: number;
+
+  /** Converted outputs: pixel size written (one frame's, for animations) */
+  width?: number;
+  height?: number;
+  /** Converted and copied outputs: whether the file written is animated, and (converted) its frame count */
+  animated?: boolean;
+  frames?: number;
+  /** With `watermark` set: whether this output carries it (false for exempt sizes, copies and kept originals) */
+  watermarked?: boolean;
+  /** Converted outputs: the box and geometry settings the resize used */
+  resize?: {
+    fit: FitMode; width?: number; height?: number; aspectRatio?: string | number; position?: Position;
+    background?: string | object; enlarge: boolean;
+  };
+
+  /** Dry run only: the entry is a prediction, nothing was written */
+  planned?: boolean;
+  /** Encoder used (or, in a dry run, that would be used) */
+  format?: string;
+  /** Dry run only: the fallback format would be used */
+  fallback?: boolean;
+  /** Route 'external': the converter that wrote the output or decoded the source for sharp, e.g. 'sips', 'magick' */
+  via?: string;
+  /** Dry run only: overwrite mode would delete the source after writing `dest` */
+  removesSource?: boolean;
+  /** Dry run only: the natural name was taken, so `dest` differs from `wanted` (or would replace it) */
+  collision?: { wanted: string; with: 'existing' | 'planned' };
 }
 
 export interface ResizeSummary {
   converted: number;
   copied: number;
   kept: number;
+  skipped: number;
   errors: number;
   results: ResizeResult[];
+  /** Set when `dryRun` was used; `results` is then the plan */
+  dryRun?: boolean;
+  /** Dry run only: number of planned outputs whose name collided */
+  collisions?: number;
+  /** Set when `signal` aborted the run; counts cover only the files that were processed */
+  aborted?: boolean;
+  /** Set when the run stopped itself, e.g. the disk stayed full after `maxAttempts` */
+  abortReason?: string;
+  /** Overwrite runs that replaced something: the undo log to pass to `restoreOriginals` */
+  undoLog?: string;
+  /** Bytes in and out over outputs written (`ratio` = output / input, null with no input), and run time */
+  totals: { inputBytes: number; outputBytes: number; savedBytes: number; ratio: number | null; elapsedMs: number };
+  /** With `dedupe`: outputs linked to a first copy's outputs */
+  linked?: number;
+  /** With `dedupe`: every set of copies found, first (processed) copy and the rest */
+  duplicates?: DuplicateGroup[];
+}
+
+export interface DuplicateGroup {
+  primary: string;
+  /** `distance`: differing bits of the 64-bit perceptual hash (0 for exact matches) */
+  duplicates: Array<{ src: string; match: 'exact' | 'near'; distance: number }>;
+}
+
+export interface ProgressTotals {
+  /** Files found by the walk so far */
+  discovered: number;
+  /** True once the walk has finished, i.e. `discovered` is the final total */
+  walked: boolean;
+  started: number;
+  done: number;
+  inFlight: number;
+  /** Input bytes of finished files */
+  bytesDone: number;
+  converted: number;
+  copied: number;
+  kept: number;
+  skipped: number;
+  errors: number;
+  /** With `dedupe` */
+  linked?: number;
+  /** Current concurrency cap (moves with the adaptive limiter) */
+  inFlightCap: number;
+  elapsedMs: number;
+}
+
+export type ProgressEvent =
+  | { type: 'discover'; src: string; totals: ProgressTotals }
+  | { type: 'walked'; totals: ProgressTotals }
+  | { type: 'start'; src: string; bytes: number; totals: ProgressTotals }
+  | { type: 'finish'; src: string; bytes: number; results: ResizeResult[]; error?: string; totals: ProgressTotals }
+  | { type: 'window'; inFlightCap: number; avgLatency: number; lagMs: number; totals: ProgressTotals };
+
+export type ProgressIterEvent = ProgressEvent | { type: 'done'; summary: ResizeSummary };
+
+export type OutputFormat = 'same'|'jpeg'|'jpg'|'png'|'webp'|'avif'|'heif'|'heic'|'tiff'|'gif';
+
+/** What happens to an animation whose output format can't animate */
+export type AnimationFallback = 'first-frame' | 'copy' | 'error';
+/** What happens to a source over `maxPixels`: fail it, skip it, or copy it as it is */
+export type OversizePolicy = 'error' | 'skip' | 'copy';
+/** header: format and dimensions read back with sharp · decode: also a full decode of every frame */
+export type VerifyMode = 'header' | 'decode';
+
+/**
+ * srgb: convert to sRGB (untagged unless metadata is kept) · preserve: keep the source's colour space and ICC profile ·
+ * convert-to: convert into srgb, p3, cmyk (jpeg/tiff output only) or an ICC file, and embed it
+ */
+export type Colorspace = 'srgb' | 'preserve' | `convert-to:${string}`;
+/** 16: 16-bit PNG/TIFF and 12-bit AVIF where the installed sharp can write them · source: 16 when the source is */
+export type BitDepth = 8 | 16 | 'source';
+
+/**
+ * strip: no EXIF/XMP/ICC · keep: all metadata, ICC per `colorspace` · keep-no-gps: keep, minus GPS in EXIF and XMP
+ * copyright-only: only EXIF Artist/Copyright
+ */
+export type MetadataMode = 'strip' | 'keep' | 'keep-no-gps' | 'copyright-only';
+
+type ChromaSubsampling = '4:2:0' | '4:4:4';
+/** Passed through to sharp's encoder of the same name; `quality` here overrides the top-level one for that format */
+export interface EncoderOptions {
+  jpeg?: {
+    quality?: number; progressive?: boolean; mozjpeg?: boolean; chromaSubsampling?: ChromaSubsampling;
+    optimiseCoding?: boolean; trellisQuantisation?: boolean; overshootDeringing?: boolean; optimiseScans?: boolean;
+    quantisationTable?: number;
+  };
+  /** `palette` (or a `quality`) quantizes to an indexed PNG */
+  png?: {
+    compressionLevel?: number; progressive?: boolean; adaptiveFiltering?: boolean; palette?: boolean;
+    quality?: number; effort?: number; colours?: number; dither?: number;
+  };
+  webp?: {
+    quality?: number; alphaQuality?: number; lossless?: boolean; nearLossless?: boolean; smartSubsample?: boolean;
+    effort?: number; preset?: 'default' | 'photo' | 'picture' | 'drawing' | 'icon' | 'text';
+  };
+  avif?: { quality?: number; lossless?: boolean; effort?: number; chromaSubsampling?: ChromaSubsampling; bitdepth?: 8 | 10 | 12 };
+  heif?: { quality?: number; lossless?: boolean; effort?: number; chromaSubsampling?: ChromaSubsampling; bitdepth?: 8 | 10 | 12 };
+  tiff?: {
+    quality?: number; compression?: 'none' | 'jpeg' | 'deflate' | 'packbits' | 'lzw' | 'webp' | 'zstd' | 'jp2k';
+    predictor?: 'none' | 'horizontal' | 'float'; bitdepth?: 1 | 2 | 4 | 8;
+  };
+  /** Always palette-based; there is no quality */
+  gif?: {
+    colours?: number; effort?: number; dither?: number; reuse?: boolean; progressive?: boolean;
+    interFrameMaxError?: number; interPaletteMaxError?: number;
+  };
+}
+
+export type FitMode = 'inside' | 'cover' | 'contain' | 'fill' | 'outside';
+export type Position =
+  | 'centre' | 'center' | 'north' | 'northeast' | 'east' | 'southeast' | 'south' | 'southwest' | 'west' | 'northwest'
+  | 'attention' | 'entropy';
+
+export interface Watermark {
+  /** Overlay image path (relative paths in a config file resolve against the file); set this or `text` */
+  image?: string;
+  text?: string;
+  /** Default 'southeast' */
+  position?: Exclude<Position, 'attention' | 'entropy'>;
+  /** px from the edges (default 16) */
+  margin?: number;
+  /** 0..1 (default 0.5) */
+  opacity?: number;
+  /** Watermark width as a fraction of the output width (default 0.2) */
+  scale?: number;
+  /** Outputs smaller than this are exempt (defaults 300 × 200) */
+  minWidth?: number;
+  minHeight?: number;
+  /** Text only (defaults 'sans-serif', '#ffffff') */
+  font?: string;
+  color?: string;
 }
 
-export type OutputFormat = 'same'|'jpeg'|'jpg'|'png'|'webp'|'avif'|'heif'|'heic'|'tiff';
+export type BuiltinConverter = 'sips' | 'magick' | 'heif-convert';
+
+/**
+ * A command run without a shell. Each argument's tokens are filled in:
+ * {input} {output} {format} {quality} {width} {height} {size} (size = the larger bound).
+ * The output's extension names the format to write.
+ */
+export interface Converter {
+  name: string;
+  /** e.g. 'vips copy {input} {output}', or argv as an array */
+  command: string | string[];
+  /** Source extensions it takes (default: any) */
+  inputs?: string[] | null;
+  /** Formats it can write (default ['png']) */
+  outputs?: Array<Exclude<OutputFormat, 'same'>>;
+  /**
+   * It scales into {width}×{height} and writes the finished output in one of `outputs` (default false: it only
+   * decodes to an intermediate that sharp resizes and encodes)
+   */
+  resizes?: boolean;
+}
+
+export interface Rendition {
+  /** Bounding width in px (applied with `fit`) */
+  width?: number;
+  /** Bounding height in px (applied with `fit`) */
+  height?: number;
+  /** Defaults to the top-level `format` */
+  format?: OutputFormat;
+  /** Defaults to the top-level `quality` */
+  quality?: number;
+  /** Appended to the filename as `-<suffix>`; defaults to '640w', '480h' or '640x480' */
+  suffix?: string;
+  /** Default to the top-level options */
+  fit?: FitMode;
+  aspectRatio?: string | number;
+  position?: Position;
+}
 
 export interface Options {
   inputDir?: string;
   outputDir?: string;
   overwrite?: boolean;
+  /** Where overwrite keeps the originals it replaces (default 'mirror'); false keeps none */
+  backup?: false | BackupMode;
+  /** Backup location (default `<inputDir>/.originals`) */
+  backupDir?: string | null;
+  /** Prune backups of runs older than this many days when an overwrite run starts (default null: keep) */
+  backupRetentionDays?: number | null;
 
   format?: OutputFormat;
   fallbackFormat?: Exclude<OutputFormat, 'same'> | null;
@@ -28,9 +270,51 @@ export interface Options {
   flattenStrategy?: 'hash' | 'path';
   flattenSep?: string;
   maxFilenameBytes?: number;
+  /**
+   * Output path template, e.g. '{date:YYYY/MM}/{stem}-{width}x{height}.{ext}'; a '/' makes subdirectories.
+   * Tokens: {stem} {dir} {hash[:n]} {width} {height} {format} {ext} {date[:fmt]} {index[:pad]} {rendition}.
+   * Replaces flatten/mirroring; not with overwrite
+   */
+  nameTemplate?: string | null;
   quality?: number;
   maxWidth?: number;
   maxHeight?: number;
+  /** Emit one output per entry (a number is a width); each source is decoded once */
+  sizes?: Array<number | Rendition> | null;
+  /** Default 'strip'; also applied to sips output */
+  metadata?: MetadataMode;
+  /** Default 'srgb'; CMYK sources are converted through their embedded profile under every policy */
+  colorspace?: Colorspace;
+  /** Bits per channel (default 8) */
+  bitDepth?: BitDepth;
+  /** How the source maps onto maxWidth × maxHeight (default 'inside') */
+  fit?: FitMode;
+  /** e.g. '16:9' or 1: the box becomes the largest of that shape within the bounds */
+  aspectRatio?: string | number | null;
+  /** Anchor for cover/contain; 'attention' / 'entropy' pick the crop from the image content (default 'centre') */
+  position?: Position;
+  /** Padding for `contain`: colour string or { r, g, b, alpha } (default white for jpeg, transparent otherwise) */
+  background?: string | { r: number; g: number; b: number; alpha?: number } | null;
+  /** Upscale sources smaller than the box (default false) */
+  enlarge?: boolean;
+  /** Overlay composited after resizing; an image path is shorthand for `{ image }` */
+  watermark?: string | Watermark | null;
+  /** Resize every frame of animated GIF/WebP sources when the output is webp or gif (default true) */
+  preserveAnimation?: boolean;
+  /** Animations bound for a format that can't animate (jpeg, png, avif, …); default 'first-frame' */
+  animationFallback?: AnimationFallback;
+  /** Read each output back before it is published; one that fails takes the normal fallback chain (default false) */
+  verify?: false | VerifyMode;
+  /** Per-format encoder settings, also used when that format is the fallback (aliases jpg/heic/tif accepted) */
+  encoders?: EncoderOptions | null;
+  /** Byte budget per output (jpeg/webp/avif/heif): quality is searched between `minQuality` and `maxQuality` */
+  maxBytes?: number | null;
+  /** Default 40 */
+  minQuality?: number;
+  /** Default: the quality the output would get without a budget */
+  maxQuality?: number | null;
+  /** When `minQuality` still doesn't fit, shrink the dimensions by 15% per step until it does */
+  downscaleToFit?: boolean;
 
   auto?: boolean;
   concurrency?: number | null;
@@ -39,6 +323,21 @@ export interface Options {
   targetLatencyMs?: number;
   windowMs?: number;
   lagThresholdMs?: number;
+  /**
+   * Bytes of estimated decode memory in flight at once (default null: images are only counted). Each source is
+   * weighed from its header (the decoded and the largest output's pixels × frames × bands × bytes per band, plus a
+   * fixed allowance) and waits in order
+   * until it fits; one bigger than the whole budget runs alone
+   */
+  memoryBudget?: number | null;
+  /** Pixel limit per source (width × height of one frame); default null: no limit */
+  maxPixels?: number | null;
+  /** Sources over `maxPixels`: default 'error' */
+  oversize?: OversizePolicy;
+  /** Attempts per file on transient resource errors, counting the first (default 3) */
+  maxAttempts?: number;
+  /** Backoff before the first retry, doubled for each one after (default 500); `auto` waits at least `windowMs` */
+  retryDelayMs?: number;
 
   autoThreads?: boolean;
   targetThreads?: number;
@@ -46,15 +345,220 @@ export interface Options {
   minSharpThreads?: number;
   maxSharpThreads?: number;
 
+  /** Skip sources whose bytes and output settings match the manifest from a previous run */
+  incremental?: boolean;
+  /** Defaults to `<outputDir>/.batch-image-resizer-manifest.json` */
+  manifestPath?: string | null;
+  /** With `incremental`, delete outputs whose source no longer exists (in watch mode: as soon as it is deleted) */
+  pruneOrphans?: boolean;
+
+  /** Walk and resolve every src → dest without creating or deleting anything */
+  dryRun?: boolean;
+  /** Write a run report to this file when the run ends: .json (summary), .csv (results) or .ndjson (results + summary) */
+  report?: string | null;
+  /** Overrides the format implied by the report's extension */
+  reportFormat?: 'json' | 'csv' | 'ndjson' | null;
+
+  /** Stop scheduling new files; in-flight files finish and the promise resolves with a partial summary */
+  signal?: AbortSignal | null;
+  /** Record finished sources so an interrupted run can be resumed */
+  journal?: boolean | null;
+  /** Defaults to `<outputDir>/.batch-image-resizer-journal.ndjson` (`inputDir` with `overwrite`) */
+  journalPath?: string | null;
+  /** Skip sources the journal lists as done (implies `journal`) */
+  resume?: boolean;
+  /** Remove `.tmp-`/`.conv-tmp-` files left by crashed runs on startup (default true) */
+  sweepTempFiles?: boolean;
+
+  /** watchImages: process a file once its size & mtime hold still for this long (default 1000) */
+  watchStabilityMs?: number;
+
+  /** createServer: where to listen (defaults 8080 on 127.0.0.1; port 0 picks a free one) */
+  servePort?: number;
+  serveHost?: string;
+  /** createServer: the only ?w=, ?h=, ?format= and ?q= values accepted (null: w/h up to maxWidth/maxHeight, any format and q) */
+  serveWidths?: number[] | null;
+  serveHeights?: number[] | null;
+  serveFormats?: OutputFormat[] | null;
+  serveQualities?: number[] | null;
+  /** createServer: the cache's total size in bytes; the least recently served results are evicted past it (default 1 GiB; null: no cap) */
+  serveCacheBytes?: number | null;
+
+  skipDSStore?: boolean;
+  pruneDSStore?: boolean;
+  pruneEmptyDirs?: boolean;
+  /** External converters tried in order when sharp fails (default ['sips']) */
+  converters?: Array<BuiltinConverter | Converter> | null;
+  /** Gate the sips converter: HEIC/HEIF sources, and JPEG sources (default 'auto': macOS only) */
+  heicFallback?: 'none' | 'sips' | 'auto';
+  jpegFallback?: 'none' | 'sips' | 'auto';
+  verboseErrors?: boolean;
+
+  /**
+   * Config file path; `true` (default) searches from the cwd up for `.batch-image-resizer.json`, skipping JS configs
+   * (`.js`/`.cjs`/`.mjs` or `batch-image-resizer.config.*`, which must be named here) with a warning; `null` only
+   * searches when `preset` is set (the default for `resizeBuffer`); `false` never loads one.
+   */
+  config?: string | boolean | null;
+  /** Named preset from the config file's `presets`; explicit options override it */
+  preset?: string | null;
+
   includeExt?: string[] | null;
   excludeExt?: string[] | null;
 
+  /** Only process sources matching one of these globs (relative to `inputDir`; no '/' = file name at any depth) */
+  includeGlobs?: string[] | null;
+  /** Skip sources matching any of these globs, e.g. `['raw/**', '*_thumb.*']` */
+  excludeGlobs?: string[] | null;
+  /** .gitignore-style files read from each directory (default `['.batch-image-resizer-ignore']`) */
+  ignoreFiles?: string[] | null;
+  minSourceBytes?: number | null;
+  maxSourceBytes?: number | null;
+  /** Pixel bounds on the source as displayed (after EXIF rotation) */
+  minSourceWidth?: number | null;
+  maxSourceWidth?: number | null;
+  minSourceHeight?: number | null;
+  maxSourceHeight?: number | null;
+  /** "After" bounds are inclusive, "before" bounds exclusive */
+  modifiedAfter?: Date | string | number | null;
+  modifiedBefore?: Date | string | number | null;
+  /** EXIF DateTimeOriginal (else DateTime, else the file's mtime) */
+  takenAfter?: Date | string | number | null;
+  takenBefore?: Date | string | number | null;
+
+  /**
+   * Process each set of identical sources once: 'exact' compares bytes, 'perceptual' also matches
+   * near-identical pixels (re-saved, resized or re-encoded copies). Not with overwrite
+   */
+  dedupe?: false | 'exact' | 'perceptual';
+  /** What the other copies get: nothing ('skip', default) or links to the first copy's outputs */
+  dedupeAction?: 'skip' | 'hardlink' | 'symlink';
+  /** Max differing bits (of 64) for a perceptual match; default 5 */
+  dedupeThreshold?: number;
+
   logger?: { info?: Function; warn?: Function; error?: Function } | Console;
   onWindow?: (e: { inFlightCap: number; avgLatency: number; lagMs: number }) => void;
-  onFile?: (e: { src: string; dest: string; action: FileAction; error?: string }) => void;
+  onFile?: (e: ResizeResult) => void;
+  onProgress?: (e: ProgressEvent) => void;
+}
+
+/** Shape of a config file: top-level options plus named presets */
+export type ConfigFile = Omit<Options, 'config' | 'preset'> & {
+  presets?: Record<string, Omit<Options, 'config' | 'preset'>>;
+};
+
+export interface LoadedConfig {
+  file: string;
+  base: Options;
+  presets: Record<string, Options>;
+}
+
+/** One output of `resizeBuffer`: its bytes and extension, plus the fields a converted or copied ResizeResult carries */
+export interface BufferResult extends Omit<ResizeResult, 'src' | 'dest' | 'action'> {
+  data: Buffer;
+  /** Output extension, e.g. '.webp'; a copy keeps the source's (sniffed, else from `filename`; '' if neither) */
+  ext: string;
+  /** 'copied': nothing could convert the input, so `data` is the input as given */
+  action: 'converted' | 'copied';
+}
+
+export interface BufferOptions extends Omit<Options, 'inputDir' | 'outputDir'> {
+  /** Names the input in logs; its extension is used when sharp can't tell the format (e.g. for converters) */
+  filename?: string;
+}
+
+export interface ResizeStreamOptions extends BufferOptions {
+  /** Input bytes the stream buffers before it fails with an error (default 256 MiB); null: no limit */
+  maxInputBytes?: number | null;
+}
+
+/** A Transform stream over one image; emits 'info' (the result without `data`) before pushing the output */
+export interface ResizeStream extends Transform {
+  on(event: 'info', listener: (info: Omit<BufferResult, 'data'>) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+/** mirror: `<backupDir>/<relative path>` · dated: `<backupDir>/<run start time>/<relative path>` */
+export type BackupMode = 'mirror' | 'dated';
+
+export interface RestoreResult {
+  /** Originals moved back into place */
+  restored: number;
+  /** Outputs of the run that were removed */
+  removed: number;
+  /** Originals whose backup was gone; the undo log is kept when there are any */
+  missing: number;
+  /** The run's input dir */
+  input: string;
+  /** The undo log used */
+  log: string;
+}
+
+export interface ServeStats {
+  requests: number;
+  /** 200s served from the cache, and those that had to be encoded first */
+  hits: number;
+  misses: number;
+  /** 304s for a matching If-None-Match */
+  notModified: number;
+  /** 4xx: bad or disallowed parameters, unknown paths, sources that can't be converted as asked */
+  rejected: number;
+  /** 5xx */
+  errors: number;
+  /** Cached results removed to keep the cache under `serveCacheBytes` */
+  evicted: number;
+}
+
+export interface ResizeServer {
+  server: import('http').Server;
+  /** e.g. 'http://127.0.0.1:8080'; images are under `${url}/img/` */
+  url: string;
+  port: number;
+  /** Live request totals */
+  stats: ServeStats;
+  /** Resolves with `stats` once the server has closed and requests in progress have finished */
+  closed: Promise<ServeStats>;
+  close(): Promise<ServeStats>;
+}
+
+export interface ImageWatcher {
+  /** Summary of the initial pass */
+  initial: ResizeSummary;
+  /** Live totals for files processed since watching started */
+  stats: ResizeSummary;
+  /** Resolves with `stats` once the watcher has closed and in-flight files have settled */
+  closed: Promise<ResizeSummary>;
+  close(): Promise<ResizeSummary>;
 }
 
 export declare function resizeImages(options?: Options): Promise<ResizeSummary>;
+/** Yields progress events and finally `{ type: 'done', summary }`; breaking out early aborts the run */
+export declare function resizeImagesIter(options?: Options): AsyncGenerator<ProgressIterEvent, void, undefined>;
+/** Watch mode: initial incremental pass, then new/changed files until `close()` (or `signal` aborts) */
+export declare function watchImages(options?: Options): Promise<ImageWatcher>;
+/** One image in memory through the same pipeline as a run; with `sizes`, one result per rendition */
+export declare function resizeBuffer(input: Buffer | Uint8Array, options: BufferOptions & { sizes: Array<number | Rendition> }): Promise<BufferResult[]>;
+export declare function resizeBuffer(input: Buffer | Uint8Array, options?: BufferOptions): Promise<BufferResult>;
+/** Buffers the written image and pushes the output once the input ends; `sizes` is not supported */
+export declare function createResizeStream(options?: ResizeStreamOptions): ResizeStream;
+/** HTTP server: GET /img/<path under inputDir>?w=&h=&format=&q=, cached in outputDir with ETags; stops on `close()` or `signal` */
+export declare function createServer(options?: Options): Promise<ResizeServer>;
+/** Merges defaults < config file < preset < options; `config` in the result is the file used (or null) */
+/** Undo an overwrite run from its undo log, or from the newest log in a backup dir */
+export declare function restoreOriginals(log: string, options?: { logger?: Options['logger'] | null }): Promise<RestoreResult>;
+export declare function resolveOptions(options?: Options): Promise<Required<Omit<Options, 'config'>> & { config: string | null }>;
+export declare function loadConfig(file: string): Promise<LoadedConfig>;
 export declare const DEFAULT_ALLOW_EXT: string[];
-declare const _default: { resizeImages: typeof resizeImages; DEFAULT_ALLOW_EXT: typeof DEFAULT_ALLOW_EXT };
+declare const _default: {
+  resizeImages: typeof resizeImages;
+  resizeImagesIter: typeof resizeImagesIter;
+  watchImages: typeof watchImages;
+  resizeBuffer: typeof resizeBuffer;
+  createResizeStream: typeof createResizeStream;
+  createServer: typeof createServer;
+  restoreOriginals: typeof restoreOriginals;
+  resolveOptions: typeof resolveOptions;
+  loadConfig: typeof loadConfig;
+  DEFAULT_ALLOW_EXT: typeof DEFAULT_ALLOW_EXT;
+};
 export default _default;
@@ -1,4 +1,12 @@
 import cjs from './index.cjs';
 export const resizeImages = cjs.resizeImages;
+export const resizeImagesIter = cjs.resizeImagesIter;
+export const watchImages = cjs.watchImages;
+export const resizeBuffer = cjs.resizeBuffer;
+export const createResizeStream = cjs.createResizeStream;
+export const createServer = cjs.createServer;
+export const restoreOriginals = cjs.restoreOriginals;
+export const resolveOptions = cjs.resolveOptions;
+export const loadConfig = cjs.loadConfig;
 export const DEFAULT_ALLOW_EXT = cjs.DEFAULT_ALLOW_EXT;
 export default cjs;
@@ -0,0 +1,83 @@
+'use strict';
+// animated GIF/WebP: every frame kept where the output can animate, animationFallback where it can't
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, listFiles } = require('./helpers.cjs');
+
+const PALETTE = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 255]];
+
+// A GIF89a with one solid frame per palette index in `frames`. Its LZW data is 8-bit codes with a clear code
+// every 100 pixels, so each code is one byte and the table never grows: valid, just not compressed
+const gif = (width, height, frames, delays, loop) => {
+  const u16 = (n) => [n & 0xff, n >> 8];
+  const bytes = [...Buffer.from('GIF89a'), ...u16(width), ...u16(height), 0xf1, 0, 0, ...PALETTE.flat(),
+    0x21, 0xff, 11, ...Buffer.from('NETSCAPE2.0'), 3, 1, ...u16(loop), 0];
+  frames.forEach((index, i) => {
+    const codes = [];
+    for (let p = 0; p < width * height; p++) {
+      if (p % 100 === 0) codes.push(0x80);
+      codes.push(index);
+    }
+    codes.push(0x81);
+    bytes.push(0x21, 0xf9, 4, 0x04, ...u16(delays[i] / 10), 0, 0, 0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0, 7);
+    for (let o = 0; o < codes.length; o += 255) bytes.push(Math.min(255, codes.length - o), ...codes.slice(o, o + 255));
+    bytes.push(0);
+  });
+  bytes.push(0x3b);
+  return Buffer.from(bytes);
+};
+
+// A red, green, blue 80×60 spinner converted with `options`
+const run = async (t, options) => {
+  const { inputDir, outputDir } = await setup(t, 'animation');
+  const source = gif(80, 60, [0, 1, 2], [100, 200, 300], 2);
+  await fsp.writeFile(path.join(inputDir, 'spinner.gif'), source);
+  const stats = await resizeImages({ inputDir, outputDir, maxWidth: 40, logger: quiet, ...options });
+  return { outputDir, results: stats.results, source: await sharp(source).metadata() };
+};
+
+const frameColours = async (file) => {
+  const { data, info } = await sharp(file, { pages: -1 }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const frame = info.width * (info.pageHeight || info.height) * 3;
+  return Array.from({ length: info.pages || 1 }, (_, i) => [...data.subarray(i * frame, i * frame + 3)]);
+};
+
+test('GIF to WebP keeps every frame, its delays and the loop count', async (t) => {
+  const { results: [r], source } = await run(t, { format: 'webp', quality: 100 });
+  assert.deepStrictEqual([r.action, r.animated, r.frames, r.srcFrames, r.width, r.height], ['converted', true, 3, 3, 40, 30]);
+  const meta = await sharp(r.dest).metadata();
+  assert.deepStrictEqual([meta.format, meta.pages, meta.delay, meta.loop], ['webp', 3, [100, 200, 300], source.loop]);
+  // lossy WebP shifts saturated colours a little
+  const colours = await frameColours(r.dest);
+  PALETTE.slice(0, 3).forEach((rgb, i) => assert.ok(colours[i].every((v, c) => Math.abs(v - rgb[c]) <= 16), `frame ${i}: ${colours[i]}`));
+});
+
+test('a still format gets the first frame by default', async (t) => {
+  const { results: [r] } = await run(t, { format: 'png' });
+  assert.deepStrictEqual([r.action, r.animated, r.frames, r.width, r.height], ['converted', false, undefined, 40, 30]);
+  const meta = await sharp(r.dest).metadata();
+  assert.strictEqual(meta.pages, undefined);
+  assert.deepStrictEqual(await frameColours(r.dest), [PALETTE[0]]);
+});
+
+test('animationFallback copy and error', async (t) => {
+  const copied = (await run(t, { format: 'jpeg', animationFallback: 'copy' })).results[0];
+  assert.deepStrictEqual([copied.action, copied.reason, copied.animated, path.extname(copied.dest)],
+    ['copied', "3-frame animation, jpeg can't animate", true, '.gif']);
+  assert.strictEqual((await sharp(copied.dest).metadata()).pages, 3);
+
+  const { outputDir, results: [failed] } = await run(t, { format: 'jpeg', animationFallback: 'error' });
+  assert.strictEqual(failed.action, 'error');
+  assert.match(failed.error, /3-frame animation, jpeg can't animate \(animationFallback: error\)/);
+  assert.deepStrictEqual(await listFiles(outputDir), []);
+});
+
+test('preserveAnimation: false uses the first frame everywhere', async (t) => {
+  const { results: [r] } = await run(t, { format: 'webp', preserveAnimation: false });
+  assert.deepStrictEqual([r.action, r.animated], ['converted', false]);
+  assert.strictEqual((await sharp(r.dest).metadata()).pages, undefined);
+});
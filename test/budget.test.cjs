@@ -0,0 +1,54 @@
+'use strict';
+// maxBytes: the highest quality that fits is searched for, then the bounds shrink if downscaleToFit allows
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup } = require('./helpers.cjs');
+
+// Noise compresses badly, so the budget has something to bite on
+const run = async (t, options) => {
+  const { inputDir, outputDir } = await setup(t, 'budget');
+  const noisy = await sharp({ create: { width: 800, height: 600, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 50 } } }).png().toBuffer();
+  await fsp.writeFile(path.join(inputDir, 'noise.png'), noisy);
+  const warnings = [];
+  const stats = await resizeImages({ inputDir, outputDir, logger: { ...quiet, warn: (m) => warnings.push(m) }, ...options });
+  const [r] = stats.results;
+  assert.strictEqual(r.action, 'converted');
+  return { r, written: (await fsp.stat(r.dest)).size, meta: await sharp(r.dest).metadata(), warnings };
+};
+
+test('searches for the highest quality that fits', async (t) => {
+  const free = await run(t, { format: 'webp' });
+  const maxBytes = Math.round(free.written * 0.8);
+  const { r, written, meta } = await run(t, { format: 'webp', maxBytes });
+  assert.ok(written <= maxBytes, `${written} of ${maxBytes} bytes`);
+  assert.strictEqual(r.bytes, written);
+  assert.ok(r.quality >= 40 && r.quality < 85, `q=${r.quality}`);
+  assert.strictEqual(r.overBudget, undefined);
+  assert.deepStrictEqual([meta.width, meta.height], [800, 600]);
+});
+
+test('writes the smallest attempt and warns when minQuality still does not fit', async (t) => {
+  const { r, written, warnings } = await run(t, { maxBytes: 5000, minQuality: 50 });
+  assert.strictEqual(r.overBudget, true);
+  assert.strictEqual(r.quality, 50);
+  assert.ok(written > 5000);
+  assert.ok(warnings.some((m) => /over the 5 KB budget even at q=50/.test(m)), warnings.join('\n'));
+});
+
+test('downscaleToFit shrinks the bounds until it fits', async (t) => {
+  const { r, written, meta } = await run(t, { maxBytes: 20000, minQuality: 50, downscaleToFit: true });
+  assert.ok(written <= 20000, `${written} bytes`);
+  assert.strictEqual(r.overBudget, undefined);
+  assert.ok(meta.width < 800 && meta.height < 600);
+  assert.strictEqual(Math.round(meta.width / meta.height * 3), 4);
+});
+
+test('lossless formats are not searched', async (t) => {
+  const { r, written } = await run(t, { format: 'png', maxBytes: 5000 });
+  assert.ok(written > 5000);
+  assert.strictEqual(r.overBudget, undefined);
+});
@@ -0,0 +1,75 @@
+'use strict';
+// resizeBuffer and createResizeStream: one image in memory through the run pipeline
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const { resizeBuffer, createResizeStream } = require('../index.cjs');
+const { image } = require('./helpers.cjs');
+
+test('resizeBuffer resizes and converts', async () => {
+  const r = await resizeBuffer(await image(1200, 800), { format: 'webp', maxWidth: 300, maxHeight: 300 });
+  assert.strictEqual(r.action, 'converted');
+  assert.strictEqual(r.ext, '.webp');
+  assert.deepStrictEqual([r.width, r.height], [300, 200]);
+  const meta = await sharp(r.data).metadata();
+  assert.deepStrictEqual([meta.format, meta.width, meta.height], ['webp', 300, 200]);
+  assert.strictEqual(r.bytes, r.data.length);
+});
+
+test('resizeBuffer takes a Uint8Array', async () => {
+  const buf = await image(400, 400, 'jpeg');
+  const r = await resizeBuffer(new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength), { maxWidth: 100, format: 'png' });
+  assert.deepStrictEqual([r.width, r.height, r.ext], [100, 100, '.png']);
+});
+
+test('resizeBuffer resolves one result per rendition', async () => {
+  const results = await resizeBuffer(await image(1600, 900, 'jpeg'), {
+    sizes: [320, { width: 200, format: 'png', suffix: 'small' }],
+    format: 'jpeg'
+  });
+  assert.deepStrictEqual(results.map((r) => [r.rendition, r.ext, r.width, r.height]), [
+    ['320w', '.jpg', 320, 180],
+    ['small', '.png', 200, 113]
+  ]);
+});
+
+test('resizeBuffer keeps to maxBytes', async () => {
+  const noisy = await sharp({ create: { width: 800, height: 800, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 60 } } }).png().toBuffer();
+  const r = await resizeBuffer(noisy, { format: 'jpeg', maxWidth: 800, maxBytes: 60000, downscaleToFit: true });
+  assert.ok(r.data.length <= 60000, `${r.data.length} bytes`);
+});
+
+test('resizeBuffer rejects what is not a buffer', async () => {
+  await assert.rejects(resizeBuffer('photo.jpg'), /must be a Buffer or Uint8Array/);
+});
+
+const collect = () => {
+  const chunks = [];
+  const sink = new Writable({ write(chunk, encoding, callback) { chunks.push(chunk); callback(); } });
+  return { sink, data: () => Buffer.concat(chunks) };
+};
+
+test('createResizeStream pushes the output once the input ends', async () => {
+  const input = await image(640, 480, 'jpeg');
+  const stream = createResizeStream({ format: 'png', maxWidth: 64 });
+  let info = null;
+  stream.on('info', (i) => { info = i; });
+  const out = collect();
+  await pipeline(Readable.from([input.subarray(0, 1000), input.subarray(1000)]), stream, out.sink);
+  assert.deepStrictEqual([info.width, info.height, info.ext], [64, 48, '.png']);
+  assert.strictEqual((await sharp(out.data()).metadata()).width, 64);
+});
+
+test('createResizeStream fails past maxInputBytes', async () => {
+  const input = await image(640, 480);
+  const stream = createResizeStream({ maxInputBytes: input.length - 1 });
+  await assert.rejects(pipeline(Readable.from([input.subarray(0, 10), input.subarray(10)]), stream, collect().sink), /maxInputBytes/);
+  assert.throws(() => createResizeStream({ maxInputBytes: 0 }), /maxInputBytes must be a positive integer or null/);
+});
+
+test('createResizeStream refuses sizes', async () => {
+  const stream = createResizeStream({ sizes: [100, 200] });
+  await assert.rejects(pipeline(Readable.from([await image(300, 300)]), stream, collect().sink), /one output/);
+});
@@ -0,0 +1,73 @@
+'use strict';
+// colorspace and bitDepth: which profile the outputs are converted into and tagged with, and how deep they are
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+// Pure sRGB red as Display P3 stores it
+const P3_RED = [234, 51, 34];
+
+// Converts `source` with `options`; resolves the result, the output's header and a pixel as stored, before any
+// profile is applied
+const convert = async (t, source, options) => {
+  const { inputDir, outputDir } = await setup(t, 'colorspace');
+  await fsp.writeFile(path.join(inputDir, 'a.png'), source);
+  const warnings = [];
+  const [r] = (await resizeImages({ inputDir, outputDir, format: 'png', maxWidth: 100, logger: { ...quiet, warn: (m) => warnings.push(m) }, ...options })).results;
+  assert.strictEqual(r.action, 'converted');
+  const meta = await sharp(r.dest).metadata();
+  const pixel = [...(await sharp(r.dest).keepIccProfile().extract({ left: 5, top: 5, width: 1, height: 1 }).removeAlpha().toColourspace(meta.space === 'cmyk' ? 'cmyk' : 'srgb').raw().toBuffer())];
+  return { r, meta, pixel, warnings };
+};
+const near = (actual, expected) => assert.ok(actual.every((v, i) => Math.abs(v - expected[i]) <= 3), `${actual} ≉ ${expected}`);
+
+const red = () => image(200, 150, 'png', '#f00');
+const p3Red = () => sharp({ create: { width: 200, height: 150, channels: 3, background: '#f00' } }).withIccProfile('p3').png().toBuffer();
+
+test('srgb converts through the source profile and leaves the output untagged', async (t) => {
+  const { r, meta, pixel } = await convert(t, await p3Red(), {});
+  assert.deepStrictEqual([r.colorProfile, r.bitDepth, meta.icc], [null, 8, undefined]);
+  near(pixel, [255, 0, 0]);
+  const kept = await convert(t, await p3Red(), { metadata: 'keep' });
+  assert.strictEqual(kept.r.colorProfile, 'sRGB');
+  near(kept.pixel, [255, 0, 0]);
+});
+
+test('preserve keeps the source colour space and its profile', async (t) => {
+  const { r, pixel } = await convert(t, await p3Red(), { colorspace: 'preserve' });
+  assert.match(r.colorProfile, /P3/);
+  near(pixel, P3_RED);
+  const untagged = await convert(t, await red(), { colorspace: 'preserve' });
+  assert.strictEqual(untagged.r.colorProfile, null);
+});
+
+test('convert-to embeds the profile it converted into', async (t) => {
+  const p3 = await convert(t, await red(), { colorspace: 'convert-to:p3' });
+  assert.match(p3.r.colorProfile, /P3/);
+  near(p3.pixel, P3_RED);
+  const cmyk = await convert(t, await red(), { colorspace: 'convert-to:cmyk', format: 'jpeg' });
+  assert.deepStrictEqual([cmyk.meta.space, cmyk.meta.channels, typeof cmyk.r.colorProfile], ['cmyk', 4, 'string']);
+});
+
+test('bitDepth 16 writes 16-bit PNG, and warns where this sharp build can only write 8', async (t) => {
+  const png = await convert(t, await red(), { bitDepth: 16 });
+  assert.deepStrictEqual([png.r.bitDepth, png.meta.depth], [16, 'ushort']);
+  const tiff = await convert(t, await red(), { bitDepth: 16, format: 'tiff' });
+  assert.ok([8, 16].includes(tiff.r.bitDepth));
+  if (tiff.r.bitDepth === 8) assert.ok(tiff.warnings.some((m) => /writes 8-bit tiff only; bitDepth 16 ignored/.test(m)), tiff.warnings.join('\n'));
+  const source = await convert(t, await red(), { bitDepth: 'source' });
+  assert.strictEqual(source.r.bitDepth, 8);
+});
+
+test('rejects unknown colour spaces, CMYK in formats that can\'t hold it and missing ICC files', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'colorspace');
+  const run = (options) => resizeImages({ inputDir, outputDir, logger: quiet, ...options });
+  await assert.rejects(run({ colorspace: 'adobe' }), /Unsupported colorspace "adobe"/);
+  await assert.rejects(run({ colorspace: 'convert-to:cmyk', format: 'png' }), /convert-to:cmyk needs jpeg or tiff output, not png/);
+  await assert.rejects(run({ colorspace: 'convert-to:./missing.icc' }), /ICC profile not found: .*missing\.icc/);
+  await assert.rejects(run({ bitDepth: 12 }), /Unsupported bitDepth "12"/);
+});
@@ -0,0 +1,109 @@
+'use strict';
+// config files: defaults < config top level < preset < explicit options, validated with file and key in errors
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const { resizeImages, resizeBuffer, resolveOptions } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+const writeConfig = async (t, data, name = 'config.json') => {
+  const { tmp } = await setup(t, 'config');
+  const file = path.join(tmp, name);
+  await fsp.writeFile(file, typeof data === 'string' ? data : JSON.stringify(data));
+  return file;
+};
+
+const CONFIG = {
+  quality: 82,
+  format: 'webp',
+  outputDir: 'dist',
+  presets: {
+    thumbnail: { maxWidth: 400, quality: 70 },
+    archive: { format: 'same' }
+  }
+};
+
+test('explicit options beat the preset, which beats the top level', async (t) => {
+  const file = await writeConfig(t, CONFIG);
+  const base = await resolveOptions({ config: file });
+  assert.deepStrictEqual([base.quality, base.format, base.maxWidth, base.config], [82, 'webp', 1920, file]);
+  // relative paths resolve against the config file
+  assert.strictEqual(base.outputDir, path.join(path.dirname(file), 'dist'));
+
+  const preset = await resolveOptions({ config: file, preset: 'thumbnail' });
+  assert.deepStrictEqual([preset.quality, preset.format, preset.maxWidth, preset.preset], [70, 'webp', 400, 'thumbnail']);
+
+  const flags = await resolveOptions({ config: file, preset: 'thumbnail', quality: 60, maxWidth: undefined });
+  assert.deepStrictEqual([flags.quality, flags.maxWidth], [60, 400]);
+});
+
+test('an unknown key names the file and the key', async (t) => {
+  const file = await writeConfig(t, { presets: { web: { qualty: 80 } } });
+  await assert.rejects(resolveOptions({ config: file }), { message: `Invalid config ${file}: unknown option "presets.web.qualty"` });
+});
+
+test('a bad value names the file, the key and what was expected', async (t) => {
+  const file = await writeConfig(t, { presets: { web: { quality: 500 } } });
+  await assert.rejects(resolveOptions({ config: file }),
+    { message: `Invalid config ${file}: "presets.web.quality" expected an integer between 1 and 100 (got 500)` });
+  const top = await writeConfig(t, { flattenStrategy: 'flat' });
+  await assert.rejects(resolveOptions({ config: top }), new RegExp(`^Error: Invalid config ${top}: "flattenStrategy" expected one of: hash, path`));
+});
+
+test('a file that does not parse names the file', async (t) => {
+  const file = await writeConfig(t, '{ "quality": 80, }');
+  await assert.rejects(resolveOptions({ config: file }), new RegExp(`^Error: Failed to load config ${file}: `));
+});
+
+test('an unknown preset lists the ones there are', async (t) => {
+  const file = await writeConfig(t, CONFIG);
+  await assert.rejects(resolveOptions({ config: file, preset: 'web' }),
+    { message: `Unknown preset "web" in ${file} (available: thumbnail, archive)` });
+});
+
+test('JS configs load when named', async (t) => {
+  const file = await writeConfig(t, 'module.exports = { quality: 77, presets: { small: { maxWidth: 100 } } };', 'config.cjs');
+  const cfg = await resolveOptions({ config: file, preset: 'small' });
+  assert.deepStrictEqual([cfg.quality, cfg.maxWidth], [77, 100]);
+});
+
+test('the search skips JS configs with a warning and keeps looking for JSON', async (t) => {
+  const { tmp } = await setup(t, 'config');
+  const project = path.join(tmp, 'project');
+  await fsp.mkdir(path.join(project, 'sub'), { recursive: true });
+  await fsp.writeFile(path.join(tmp, '.batch-image-resizer.json'), JSON.stringify({ quality: 60 }));
+  await fsp.writeFile(path.join(project, '.batch-image-resizer.js'), 'throw new Error("a searched-for JS config ran");');
+  const cwd = process.cwd();
+  process.chdir(path.join(project, 'sub'));
+  t.after(() => process.chdir(cwd));
+
+  const warnings = [];
+  const logger = { warn: (m) => warnings.push(m) };
+  const cfg = await resolveOptions({ config: true, logger });
+  assert.deepStrictEqual([cfg.config, cfg.quality], [path.join(tmp, '.batch-image-resizer.json'), 60]);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /skipped .*\.batch-image-resizer\.js: a JS config is only loaded when named/);
+
+  await fsp.rm(path.join(tmp, '.batch-image-resizer.json'));
+  assert.strictEqual((await resolveOptions({ config: true, logger })).config, null);
+  assert.strictEqual(warnings.length, 2);
+  assert.strictEqual((await resolveOptions({ config: false, logger })).config, null);
+  assert.strictEqual(warnings.length, 2);
+});
+
+test('resizeImages picks up the project config like the CLI', async (t) => {
+  const { tmp, inputDir, outputDir } = await setup(t, 'config');
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(300, 200));
+  await fsp.writeFile(path.join(tmp, '.batch-image-resizer.json'), JSON.stringify({ quality: 60 }));
+  const cwd = process.cwd();
+  process.chdir(tmp);
+  t.after(() => process.chdir(cwd));
+
+  const [r] = (await resizeImages({ inputDir, outputDir, logger: quiet })).results;
+  assert.deepStrictEqual([r.action, r.quality], ['converted', 60]);
+  const [own] = (await resizeImages({ inputDir, outputDir, config: false, logger: quiet })).results;
+  assert.strictEqual(own.quality, 85);
+  // a buffer has no project to search from
+  assert.strictEqual((await resizeBuffer(await image(300, 200))).quality, 85);
+});
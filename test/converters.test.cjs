@@ -0,0 +1,83 @@
+'use strict';
+// external converters: tried in order after sharp fails, writing the output themselves or decoding for sharp
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+// A PNG behind a few bytes of junk: sharp can't read it, and the converter script below just drops the junk
+const JUNK = 'WRAPPED!';
+
+// `node unwrap.cjs <log> <input> <output> [width]` records its arguments, then unwraps the input and writes the
+// output in the format its extension names, scaled to `width` when one is given
+const UNWRAP = `
+const fs = require('fs');
+const sharp = require(${JSON.stringify(require.resolve('sharp'))});
+const [log, input, output, width] = process.argv.slice(2);
+fs.appendFileSync(log, JSON.stringify({ input, output, width }) + '\\n');
+const pipeline = sharp(fs.readFileSync(input).subarray(${JUNK.length}));
+(width ? pipeline.resize(Number(width)) : pipeline).toFile(output);
+`;
+
+// Converts photo.heic (a wrapped 800×600 PNG, or one per name in `names`) with `converters`; resolves the results,
+// warnings and the calls the unwrap script saw
+const run = async (t, converters, options = {}, names = ['photo.heic']) => {
+  const { tmp, inputDir, outputDir } = await setup(t, 'converters');
+  for (const name of names) await fsp.writeFile(path.join(inputDir, name), Buffer.concat([Buffer.from(JUNK), await image(800, 600)]));
+  const script = path.join(tmp, 'unwrap.cjs');
+  await fsp.writeFile(script, UNWRAP);
+  const log = path.join(tmp, 'calls.ndjson');
+  const unwrap = (name, extra = {}) => ({ name, command: [process.execPath, script, log, '{input}', '{output}', ...(extra.resizes ? ['{width}'] : [])], ...extra });
+  const fail = (name) => ({ name, command: [process.execPath, '-e', 'process.exit(3)', '{input}', '{output}'] });
+  const warnings = [];
+  const stats = await resizeImages({
+    inputDir, outputDir, format: 'webp', maxWidth: 400, logger: { ...quiet, warn: (m) => warnings.push(m) },
+    converters: converters({ unwrap, fail }), ...options
+  });
+  const calls = (await fsp.readFile(log, 'utf8').catch(() => '')).trim().split('\n').filter(Boolean).map((l) => JSON.parse(l));
+  return { results: stats.results, warnings, calls };
+};
+
+test('tries converters in order and records the one that worked', async (t) => {
+  const { results: [r], warnings, calls } = await run(t, ({ unwrap, fail }) => [fail('first'), unwrap('second'), unwrap('third')]);
+  assert.deepStrictEqual([r.action, r.route, r.via, r.format, r.width, r.height], ['converted', 'external', 'second', 'webp', 400, 300]);
+  assert.strictEqual((await sharp(r.dest).metadata()).format, 'webp');
+  assert.strictEqual(calls.length, 1);
+  assert.ok(warnings.some((m) => /photo\.heic: sharp failed \(.*\); first failed \(first exit 3\)/.test(m)), warnings.join('\n'));
+});
+
+test('a converter that resizes writes a plain scale itself, and only decodes otherwise', async (t) => {
+  const outputs = ['webp'];
+  const direct = await run(t, ({ unwrap }) => [unwrap('scaler', { resizes: true, outputs })]);
+  assert.deepStrictEqual([direct.results[0].via, direct.results[0].width, direct.results[0].encoder], ['scaler', 400, 'webp q=85']);
+  assert.deepStrictEqual(direct.calls.map((c) => [path.extname(c.output), c.width]), [['.webp', '400']]);
+
+  // a crop is sharp's to do, so the converter is asked for the whole image as PNG
+  const cropped = await run(t, ({ unwrap }) => [unwrap('scaler', { resizes: true, outputs: ['png', 'webp'] })], { fit: 'cover', maxHeight: 400 });
+  assert.deepStrictEqual([cropped.results[0].via, cropped.results[0].width, cropped.results[0].height], ['scaler', 400, 400]);
+  assert.deepStrictEqual(cropped.calls.map((c) => [path.extname(c.output), c.width]), [['.png', '']]);
+});
+
+test('a missing program is reported once and skipped', async (t) => {
+  const { results, warnings } = await run(t, ({ unwrap }) => [{ name: 'ghost', command: 'no-such-converter {input} {output}' }, unwrap('real')],
+    { concurrency: 1 }, ['a.heic', 'b.heic']);
+  assert.deepStrictEqual(results.map((r) => r.via), ['real', 'real']);
+  assert.strictEqual(warnings.filter((m) => /converter ghost: no-such-converter not found, skipped/.test(m)).length, 1);
+});
+
+test('with no converters the source is copied', async (t) => {
+  const { results: [r] } = await run(t, () => []);
+  assert.deepStrictEqual([r.action, r.route, path.extname(r.dest)], ['copied', 'copy', '.heic']);
+  assert.match(r.reason, /^failed convert/);
+});
+
+test('rejects unknown converters, tokens and commands without {output}', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'converters');
+  const convert = (converters) => resizeImages({ inputDir, outputDir, converters, logger: quiet });
+  await assert.rejects(convert(['gimp']), /Invalid converters: unknown converter "gimp" \(built in: sips, magick, heif-convert\)/);
+  await assert.rejects(convert([{ name: 'x', command: 'x {input} {output} {dpi}' }]), /converter "x": unknown token \{dpi\}/);
+  await assert.rejects(convert([{ name: 'x', command: 'x {input}' }]), /converter "x": command needs \{output\}/);
+});
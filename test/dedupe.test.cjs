@@ -0,0 +1,55 @@
+'use strict';
+// dedupe: the first copy in walk order is encoded, the others are skipped or linked to its outputs
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const helpers = require('./helpers.cjs');
+const { quiet } = helpers;
+
+// blocks of fixed pseudo-random greys, so the perceptual hash has edges to go on
+const blocks = (width, height) => {
+  let seed = 7;
+  const grid = Buffer.from(Array.from({ length: 64 }, () => { seed = (seed * 16807) % 2147483647; return seed % 256; }));
+  return sharp(grid, { raw: { width: 8, height: 8, channels: 1 } }).resize(width, height, { kernel: 'nearest' }).toColourspace('srgb');
+};
+
+const setup = async (t) => {
+  const { inputDir, outputDir } = await helpers.setup(t, 'dedupe');
+  await fsp.mkdir(path.join(inputDir, 'a'));
+  await fsp.mkdir(path.join(inputDir, 'b'));
+  const original = await blocks(600, 400).jpeg({ quality: 90 }).toBuffer();
+  await fsp.writeFile(path.join(inputDir, 'a', 'photo.jpg'), original);
+  await fsp.writeFile(path.join(inputDir, 'b', 'copy.jpg'), original);
+  // re-encoded smaller: a near match only
+  await fsp.writeFile(path.join(inputDir, 'b', 'small.jpg'), await sharp(original).resize(300).jpeg({ quality: 60 }).toBuffer());
+  return { inputDir, outputDir };
+};
+
+const byName = (stats) => Object.fromEntries(stats.results.map((r) => [path.basename(r.src), r]));
+
+test('exact dedupe skips byte-identical copies', async (t) => {
+  const dirs = await setup(t);
+  const stats = await resizeImages({ ...dirs, flatten: false, dedupe: 'exact', concurrency: 1, logger: quiet });
+  const r = byName(stats);
+  assert.strictEqual(r['photo.jpg'].action, 'converted');
+  assert.deepStrictEqual([r['copy.jpg'].action, r['copy.jpg'].reason, r['copy.jpg'].match], ['skipped', 'duplicate', 'exact']);
+  assert.strictEqual(r['copy.jpg'].duplicateOf, r['photo.jpg'].src);
+  assert.strictEqual(r['small.jpg'].action, 'converted');
+});
+
+test('perceptual dedupe links near copies to the first copy\'s output', async (t) => {
+  const dirs = await setup(t);
+  const stats = await resizeImages({ ...dirs, flatten: false, dedupe: 'perceptual', dedupeAction: 'hardlink', concurrency: 2, logger: quiet });
+  const r = byName(stats);
+  assert.strictEqual(r['photo.jpg'].action, 'converted');
+  for (const name of ['copy.jpg', 'small.jpg']) {
+    assert.strictEqual(r[name].action, 'linked', name);
+    const [linked, first] = await Promise.all([fsp.stat(r[name].dest), fsp.stat(r['photo.jpg'].dest)]);
+    assert.strictEqual(linked.ino, first.ino);
+  }
+  assert.strictEqual(stats.linked, 2);
+  assert.deepStrictEqual(stats.duplicates.map((g) => g.duplicates.map((d) => d.match).sort()), [['exact', 'near']]);
+});
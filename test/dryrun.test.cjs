@@ -0,0 +1,49 @@
+'use strict';
+// dryRun: the plan resolves every destination and collision, and nothing is written or deleted
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image, listFiles } = require('./helpers.cjs');
+
+const exists = (p) => fsp.access(p).then(() => true, () => false);
+
+test('creates nothing, not even the output dir', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'dryrun');
+  await fsp.mkdir(path.join(inputDir, 'empty'));
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(300, 200));
+  await fsp.writeFile(path.join(inputDir, '.DS_Store'), '');
+  const before = await listFiles(inputDir);
+  const stats = await resizeImages({ inputDir, outputDir, dryRun: true, incremental: true, pruneOrphans: true, logger: quiet });
+  assert.strictEqual(stats.dryRun, true);
+  const [r] = stats.results;
+  assert.strictEqual(r.planned, true);
+  assert.strictEqual(r.action, 'converted');
+  assert.strictEqual(path.extname(r.dest), '.jpg');
+  assert.ok(r.dest.startsWith(outputDir + path.sep));
+  assert.strictEqual(await exists(outputDir), false);
+  assert.strictEqual(await exists(r.dest), false);
+  // the prune steps are skipped too
+  assert.strictEqual(await exists(path.join(inputDir, 'empty')), true);
+  assert.strictEqual(await exists(path.join(inputDir, '.DS_Store')), true);
+  assert.deepStrictEqual(await listFiles(inputDir), before);
+});
+
+test('reports collisions with existing files and with other planned outputs', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'dryrun');
+  await fsp.writeFile(path.join(inputDir, 'b.png'), await image(300, 200));
+  const [written] = (await resizeImages({ inputDir, outputDir, logger: quiet })).results;
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(300, 200));
+  await fsp.writeFile(path.join(inputDir, 'a.webp'), await image(300, 200, 'webp'));
+  const before = await listFiles(outputDir);
+  const stats = await resizeImages({ inputDir, outputDir, dryRun: true, concurrency: 1, logger: quiet });
+  const byName = Object.fromEntries(stats.results.map((r) => [path.basename(r.src), r]));
+  assert.strictEqual(byName['a.png'].collision, undefined);
+  assert.deepStrictEqual(byName['a.webp'].collision, { wanted: byName['a.png'].dest, with: 'planned' });
+  assert.deepStrictEqual(byName['b.png'].collision, { wanted: written.dest, with: 'existing' });
+  assert.notStrictEqual(byName['a.webp'].dest, byName['a.png'].dest);
+  assert.notStrictEqual(byName['b.png'].dest, written.dest);
+  assert.strictEqual(stats.collisions, 2);
+  assert.deepStrictEqual(await listFiles(outputDir), before);
+});
@@ -0,0 +1,67 @@
+'use strict';
+// encoders: per-format sharp options, validated up front and merged across config, preset and options
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages, resolveOptions } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+// Converts one source; resolves its output's metadata and the settings the ✔ line reported
+const convert = async (t, options) => {
+  const { inputDir, outputDir } = await setup(t, 'encoders');
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(300, 200));
+  const lines = [];
+  const stats = await resizeImages({ inputDir, outputDir, logger: { ...quiet, info: (m) => lines.push(m) }, ...options });
+  const [r] = stats.results;
+  assert.strictEqual(r.action, 'converted');
+  const settings = lines.find((m) => m.startsWith('✔')).match(/\(([^)]*)\)$/)[1];
+  return { meta: await sharp(r.dest).metadata(), settings };
+};
+
+test('a block applies to its format, aliases included', async (t) => {
+  const { meta, settings } = await convert(t, { encoders: { jpg: { progressive: true, quality: 70 } } });
+  assert.strictEqual(meta.isProgressive, true);
+  assert.strictEqual(settings, 'jpeg q=70 progressive');
+});
+
+test('a block for another format is left alone', async (t) => {
+  const { meta, settings } = await convert(t, { format: 'png', encoders: { jpeg: { progressive: true }, png: { palette: true, colours: 16 } } });
+  assert.strictEqual(meta.format, 'png');
+  assert.ok(meta.paletteBitDepth, 'palette PNG');
+  assert.strictEqual(settings, 'png colours=16 palette');
+});
+
+test('unknown formats, unknown options and bad values are rejected up front', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'encoders');
+  const run = (encoders) => resizeImages({ inputDir, outputDir, encoders, logger: quiet });
+  await assert.rejects(run({ bmp: { quality: 80 } }), /^Error: Invalid encoders: unknown format "bmp"/);
+  await assert.rejects(run({ jpeg: { mozjpg: true } }), /^Error: Invalid encoders: jpeg: unknown option "mozjpg" \(jpeg supports quality, progressive, mozjpeg/);
+  await assert.rejects(run({ webp: { effort: 9 } }), { message: 'Invalid encoders: webp.effort expected an integer between 0 and 6 (got 9)' });
+  await assert.rejects(run({ png: true }), { message: 'Invalid encoders: png: expected an object of png options' });
+});
+
+test('blocks merge option by option across config, preset and options', async (t) => {
+  const { tmp } = await setup(t, 'encoders');
+  const file = path.join(tmp, 'config.json');
+  await fsp.writeFile(file, JSON.stringify({
+    encoders: { jpeg: { quality: 60, progressive: true } },
+    presets: { web: { encoders: { webp: { effort: 6 }, jpeg: { mozjpeg: true } } } }
+  }));
+  const cfg = await resolveOptions({ config: file, preset: 'web', encoders: { jpg: { progressive: false } } });
+  assert.deepStrictEqual(cfg.encoders, { jpeg: { quality: 60, progressive: false, mozjpeg: true }, webp: { effort: 6 } });
+});
+
+test('a top-level quality beats the block qualities of the layers below it', async (t) => {
+  const { tmp } = await setup(t, 'encoders');
+  const file = path.join(tmp, 'config.json');
+  await fsp.writeFile(file, JSON.stringify({ encoders: { jpeg: { quality: 60, progressive: true }, png: { quality: 50 } } }));
+  const flag = await resolveOptions({ config: file, quality: 90 });
+  assert.deepStrictEqual(flag.encoders, { jpeg: { progressive: true }, png: { quality: 50 } });
+  // a block quality given alongside it still wins for its format
+  const same = await resolveOptions({ config: file, quality: 90, encoders: { jpeg: { quality: 75 } } });
+  assert.strictEqual(same.encoders.jpeg.quality, 75);
+  const { settings } = await convert(t, { config: file, quality: 90 });
+  assert.strictEqual(settings, 'jpeg q=90 progressive');
+});
@@ -0,0 +1,96 @@
+'use strict';
+// input filters: filtered-out sources are skipped with the rule that caught them, never copied
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image, listFiles } = require('./helpers.cjs');
+
+// relative source → what the run did with it ('converted', or the rule a filtered one was skipped by)
+const outcome = async (inputDir, options) => {
+  const stats = await resizeImages({ inputDir, flatten: false, concurrency: 1, logger: quiet, ...options });
+  return Object.fromEntries(stats.results.map((r) => {
+    const rel = path.relative(inputDir, r.src).split(path.sep).join('/');
+    if (r.action === 'converted') return [rel, 'converted'];
+    assert.deepStrictEqual([r.action, r.reason], ['skipped', 'filtered'], rel);
+    return [rel, r.filteredBy];
+  }));
+};
+
+const tree = async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'filter');
+  await fsp.mkdir(path.join(inputDir, 'raw'));
+  await fsp.mkdir(path.join(inputDir, 'sub', 'drafts'), { recursive: true });
+  const files = {
+    'a.jpg': [800, 600], 'photo_thumb.jpg': [80, 60], 'raw/b.jpg': [800, 600],
+    'sub/c.png': [100, 100], 'sub/d.jpg': [800, 600], 'sub/drafts/e.jpg': [800, 600], 'sub/drafts/keep.jpg': [800, 600]
+  };
+  for (const [rel, [w, h]] of Object.entries(files)) {
+    await fsp.writeFile(path.join(inputDir, rel), await image(w, h, rel.endsWith('.png') ? 'png' : 'jpeg'));
+  }
+  return { inputDir, outputDir };
+};
+
+test('include and exclude globs', async (t) => {
+  const { inputDir, outputDir } = await tree(t);
+  assert.deepStrictEqual(await outcome(inputDir, { outputDir, excludeGlobs: ['**/raw/**', '*_thumb.*'] }), {
+    'a.jpg': 'converted',
+    'photo_thumb.jpg': 'exclude *_thumb.*',
+    'raw/b.jpg': 'exclude **/raw/**',
+    'sub/c.png': 'converted',
+    'sub/d.jpg': 'converted',
+    'sub/drafts/e.jpg': 'converted',
+    'sub/drafts/keep.jpg': 'converted'
+  });
+  const only = outputDir + '-include';
+  const included = await outcome(inputDir, { outputDir: only, includeGlobs: ['sub/*.{png,jpg}'] });
+  assert.deepStrictEqual(Object.keys(included).filter((k) => included[k] === 'converted'), ['sub/c.png', 'sub/d.jpg']);
+  assert.strictEqual(included['a.jpg'], 'no include pattern matched');
+  // filtered sources are neither converted nor copied
+  assert.deepStrictEqual(await listFiles(only), [path.join('sub', 'c.jpg'), path.join('sub', 'd.jpg')]);
+});
+
+test('ignore files, with directory patterns and negation', async (t) => {
+  const { inputDir, outputDir } = await tree(t);
+  await fsp.writeFile(path.join(inputDir, '.batch-image-resizer-ignore'), '# not these\nraw/\n*.png\n');
+  await fsp.writeFile(path.join(inputDir, 'sub', '.batch-image-resizer-ignore'), 'drafts/*\n!drafts/keep.jpg\n');
+  const r = await outcome(inputDir, { outputDir });
+  assert.deepStrictEqual(Object.keys(r).filter((k) => r[k] === 'converted').sort(),
+    ['a.jpg', 'photo_thumb.jpg', 'sub/d.jpg', 'sub/drafts/keep.jpg']);
+  assert.strictEqual(r['raw/b.jpg'], '.batch-image-resizer-ignore: raw/');
+  assert.strictEqual(r['sub/c.png'], '.batch-image-resizer-ignore: *.png');
+  assert.strictEqual(r['sub/drafts/e.jpg'], path.join('sub', '.batch-image-resizer-ignore') + ': drafts/*');
+});
+
+test('size and dimension bounds', async (t) => {
+  const { inputDir, outputDir } = await tree(t);
+  const r = await outcome(inputDir, { outputDir, minSourceWidth: 200 });
+  assert.deepStrictEqual(r, {
+    'a.jpg': 'converted', 'photo_thumb.jpg': 'width 80 < 200', 'raw/b.jpg': 'converted',
+    'sub/c.png': 'width 100 < 200', 'sub/d.jpg': 'converted',
+    'sub/drafts/e.jpg': 'converted', 'sub/drafts/keep.jpg': 'converted'
+  });
+  const bytes = (await fsp.stat(path.join(inputDir, 'a.jpg'))).size;
+  const small = await outcome(inputDir, { outputDir, maxSourceBytes: bytes - 1, includeGlobs: ['a.jpg', '*_thumb.*'] });
+  assert.strictEqual(small['a.jpg'], `size ${bytes} > ${bytes - 1} bytes`);
+  assert.strictEqual(small['photo_thumb.jpg'], 'converted');
+});
+
+test('modified and taken dates', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'filter');
+  const old = path.join(inputDir, 'old.jpg');
+  await fsp.writeFile(old, await image(300, 200, 'jpeg'));
+  await fsp.utimes(old, new Date('2020-01-01T00:00:00Z'), new Date('2020-01-01T00:00:00Z'));
+  await fsp.writeFile(path.join(inputDir, 'new.jpg'), await image(300, 200, 'jpeg'));
+  // written today, taken years ago
+  await sharp(await image(300, 200, 'jpeg')).withExif({ IFD2: { DateTimeOriginal: '2019:06:01 12:00:00' } }).toFile(path.join(inputDir, 'taken.jpg'));
+
+  assert.deepStrictEqual(await outcome(inputDir, { outputDir, modifiedAfter: '2021-01-01' }), {
+    'new.jpg': 'converted', 'old.jpg': 'modified before 2021-01-01T00:00:00.000Z', 'taken.jpg': 'converted'
+  });
+  const taken = await outcome(inputDir, { outputDir, takenBefore: '2021-01-01' });
+  assert.deepStrictEqual([taken['old.jpg'], taken['taken.jpg']], ['converted', 'converted']);
+  assert.strictEqual(taken['new.jpg'], 'taken after 2021-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,87 @@
+'use strict';
+// fit, aspectRatio, position, background and enlarge: the shape of each output
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+// 1200×600: red on the left half, blue on the right
+const halves = async () => {
+  const blue = await sharp({ create: { width: 600, height: 600, channels: 3, background: '#00f' } }).png().toBuffer();
+  return sharp({ create: { width: 1200, height: 600, channels: 3, background: '#f00' } })
+    .composite([{ input: blue, left: 600, top: 0 }]).png().toBuffer();
+};
+
+// Converts `source` with `options`; resolves the output, its size and a reader of its RGB pixels
+const convert = async (t, source, options) => {
+  const { inputDir, outputDir } = await setup(t, 'geometry');
+  await fsp.writeFile(path.join(inputDir, 'a.png'), source);
+  const [r] = (await resizeImages({ inputDir, outputDir, format: 'png', maxWidth: 400, maxHeight: 400, logger: quiet, ...options })).results;
+  assert.strictEqual(r.action, 'converted');
+  const { width, height } = await sharp(r.dest).metadata();
+  const pixel = async (left, top) => [...(await sharp(r.dest).extract({ left, top, width: 1, height: 1 }).removeAlpha().raw().toBuffer())];
+  return { dest: r.dest, width, height, pixel };
+};
+
+test('each fit mode', async (t) => {
+  const source = await halves();
+  const sizes = {};
+  for (const fit of ['inside', 'cover', 'contain', 'fill', 'outside']) {
+    const { width, height } = await convert(t, source, { fit });
+    sizes[fit] = [width, height];
+  }
+  assert.deepStrictEqual(sizes, {
+    inside: [400, 200], cover: [400, 400], contain: [400, 400], fill: [400, 400], outside: [800, 400]
+  });
+});
+
+// JPEG pixels come back within a few levels of what went in
+const near = (actual, expected) => assert.ok(actual.every((v, i) => Math.abs(v - expected[i]) <= 8), `${actual} ≉ ${expected}`);
+
+test('contain pads with the background', async (t) => {
+  const source = await halves();
+  const black = await convert(t, source, { fit: 'contain', format: 'jpeg', background: '#000' });
+  near(await black.pixel(200, 10), [0, 0, 0]);
+  const white = await convert(t, source, { fit: 'contain', format: 'jpeg' });
+  near(await white.pixel(200, 10), [255, 255, 255]);
+  near(await white.pixel(100, 200), [255, 0, 0]);
+  // transparent where the format can be
+  const clear = await convert(t, source, { fit: 'contain' });
+  const corner = await sharp(clear.dest).extract({ left: 200, top: 10, width: 1, height: 1 }).ensureAlpha().raw().toBuffer();
+  assert.strictEqual(corner[3], 0);
+});
+
+test('position anchors the crop', async (t) => {
+  const source = await halves();
+  const west = await convert(t, source, { fit: 'cover', position: 'west' });
+  assert.deepStrictEqual([await west.pixel(10, 200), await west.pixel(390, 200)], [[255, 0, 0], [255, 0, 0]]);
+  const east = await convert(t, source, { fit: 'cover', position: 'east' });
+  assert.deepStrictEqual([await east.pixel(10, 200), await east.pixel(390, 200)], [[0, 0, 255], [0, 0, 255]]);
+  const centre = await convert(t, source, { fit: 'cover' });
+  assert.deepStrictEqual([await centre.pixel(10, 200), await centre.pixel(390, 200)], [[255, 0, 0], [0, 0, 255]]);
+});
+
+test('aspectRatio makes the box the largest of that shape', async (t) => {
+  const source = await halves();
+  const card = await convert(t, source, { fit: 'cover', aspectRatio: '4:3', maxWidth: 800, maxHeight: 800 });
+  assert.deepStrictEqual([card.width, card.height], [800, 600]);
+  const square = await convert(t, source, { fit: 'cover', aspectRatio: 1 });
+  assert.deepStrictEqual([square.width, square.height], [400, 400]);
+});
+
+test('small sources keep their size unless enlarge is on', async (t) => {
+  const small = await image(100, 50);
+  const kept = await convert(t, small, {});
+  assert.deepStrictEqual([kept.width, kept.height], [100, 50]);
+  const grown = await convert(t, small, { enlarge: true });
+  assert.deepStrictEqual([grown.width, grown.height], [400, 200]);
+});
+
+test('rejects unknown fits and bad aspect ratios', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'geometry');
+  await assert.rejects(resizeImages({ inputDir, outputDir, aspectRatio: '16:0', logger: quiet }), /Invalid aspect ratio "16:0"/);
+  await assert.rejects(resizeImages({ inputDir, outputDir, sizes: [{ width: 100, fit: 'squash' }], logger: quiet }), /fit must be one of/);
+});
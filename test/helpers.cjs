@@ -0,0 +1,38 @@
+'use strict';
+// Fixtures shared by the test files
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+
+// A temp dir removed when the test ends, holding an empty inputDir; outputDir is left for the run to create
+const setup = async (t, name) => {
+  const tmp = await fsp.mkdtemp(path.join(os.tmpdir(), `bir-${name}-`));
+  t.after(() => fsp.rm(tmp, { recursive: true, force: true }));
+  const inputDir = path.join(tmp, 'in');
+  await fsp.mkdir(inputDir);
+  return { tmp, inputDir, outputDir: path.join(tmp, 'out') };
+};
+
+// A width × height image of one colour, encoded as `format`
+const image = (width, height, format = 'png', background = '#468') =>
+  sharp({ create: { width, height, channels: 3, background } })[format]().toBuffer();
+
+// Files under dir, relative to it and sorted, leaving out dotfiles (manifests, journals, backups)
+const listFiles = async (dir) => {
+  const out = [];
+  const walk = async (d) => {
+    for (const entry of await fsp.readdir(d, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const p = path.join(d, entry.name);
+      if (entry.isDirectory()) await walk(p);
+      else out.push(path.relative(dir, p));
+    }
+  };
+  await walk(dir);
+  return out.sort();
+};
+
+module.exports = { quiet, setup, image, listFiles };
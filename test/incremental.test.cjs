@@ -0,0 +1,61 @@
+'use strict';
+// incremental: the manifest skips what hasn't changed and clears out what has
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image, listFiles } = require('./helpers.cjs');
+
+const actions = (stats) => Object.fromEntries(stats.results.map((r) => [path.basename(r.src), r.action]));
+
+const tree = async (t) => {
+  const dirs = await setup(t, 'incremental');
+  await fsp.mkdir(path.join(dirs.inputDir, 'sub'));
+  await fsp.writeFile(path.join(dirs.inputDir, 'a.png'), await image(300, 200));
+  await fsp.writeFile(path.join(dirs.inputDir, 'sub', 'b.png'), await image(200, 300));
+  return dirs;
+};
+
+test('a rerun skips unchanged sources', async (t) => {
+  const { inputDir, outputDir } = await tree(t);
+  const options = { inputDir, outputDir, incremental: true, logger: quiet };
+  const first = await resizeImages(options);
+  assert.strictEqual(first.converted, 2);
+  const again = await resizeImages(options);
+  assert.strictEqual(again.converted, 0);
+  assert.strictEqual(again.skipped, 2);
+  assert.deepStrictEqual(actions(again), { 'a.png': 'skipped', 'b.png': 'skipped' });
+});
+
+test('a settings change re-encodes and removes the old outputs', async (t) => {
+  const { inputDir, outputDir } = await tree(t);
+  await resizeImages({ inputDir, outputDir, flatten: false, incremental: true, logger: quiet });
+  assert.deepStrictEqual(await listFiles(outputDir), ['a.jpg', path.join('sub', 'b.jpg')]);
+  const stats = await resizeImages({ inputDir, outputDir, flatten: false, incremental: true, format: 'webp', logger: quiet });
+  assert.strictEqual(stats.converted, 2);
+  assert.deepStrictEqual(await listFiles(outputDir), ['a.webp', path.join('sub', 'b.webp')]);
+});
+
+test('pruneOrphans removes the outputs of a deleted source', async (t) => {
+  const { inputDir, outputDir } = await tree(t);
+  const options = { inputDir, outputDir, flatten: false, incremental: true, logger: quiet };
+  await resizeImages(options);
+  await fsp.rm(path.join(inputDir, 'sub', 'b.png'));
+  await resizeImages(options);
+  assert.deepStrictEqual(await listFiles(outputDir), ['a.jpg', path.join('sub', 'b.jpg')]);
+  await resizeImages({ ...options, pruneOrphans: true });
+  assert.deepStrictEqual(await listFiles(outputDir), ['a.jpg']);
+});
+
+test('a changed source keeps its flattened name instead of gaining a ~1 copy', async (t) => {
+  const { inputDir, outputDir } = await tree(t);
+  const options = { inputDir, outputDir, incremental: true, logger: quiet };
+  await resizeImages(options);
+  const before = await listFiles(outputDir);
+  assert.strictEqual(before.length, 2);
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(300, 200, 'png', '#c33'));
+  const stats = await resizeImages(options);
+  assert.deepStrictEqual(actions(stats), { 'a.png': 'converted', 'b.png': 'skipped' });
+  assert.deepStrictEqual(await listFiles(outputDir), before);
+});
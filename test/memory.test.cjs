@@ -0,0 +1,43 @@
+'use strict';
+// memoryBudget: sources start while their estimated memory fits; one over the whole budget runs alone
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+const MiB = 1024 * 1024;
+
+// Runs over two 2000×1500 sources and four small ones; resolves the summary and the most sources in flight at once
+const run = async (t, options) => {
+  const { inputDir, outputDir } = await setup(t, 'memory');
+  const make = async (name, width, height) => fsp.writeFile(path.join(inputDir, name), await image(width, height));
+  await make('big1.png', 2000, 1500);
+  await make('big2.png', 2000, 1500);
+  for (let i = 0; i < 4; i++) await make(`small${i}.png`, 100, 100);
+  let peak = 0;
+  const stats = await resizeImages({
+    inputDir, outputDir, concurrency: 4, logger: quiet, ...options,
+    onProgress: (e) => { if (e.type === 'start') peak = Math.max(peak, e.totals.inFlight); }
+  });
+  return { stats, peak };
+};
+
+test('without a budget, concurrency alone caps what runs', async (t) => {
+  const { stats, peak } = await run(t, {});
+  assert.strictEqual(stats.converted, 6);
+  assert.ok(peak > 1);
+});
+
+test('a budget below two sources runs them one at a time', async (t) => {
+  // each source is charged at least the 16 MiB allowance, so two never fit in 20 MiB
+  const { stats, peak } = await run(t, { memoryBudget: 20 * MiB });
+  assert.strictEqual(stats.converted, 6);
+  assert.strictEqual(peak, 1);
+});
+
+test('sources heavier than the whole budget still run', async (t) => {
+  const { stats } = await run(t, { memoryBudget: 1 * MiB });
+  assert.strictEqual(stats.converted, 6);
+  assert.strictEqual(stats.errors, 0);
+});
@@ -0,0 +1,74 @@
+'use strict';
+// metadata: strip everything, keep everything, or keep copyright while dropping GPS
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup } = require('./helpers.cjs');
+
+const COPYRIGHT = '(c) Test Photographer';
+
+// A JPEG whose EXIF has a copyright notice and a GPS block
+const photo = (orientation = 1) => sharp({ create: { width: 400, height: 300, channels: 3, background: '#a52' } })
+  .jpeg()
+  .withExif({
+    IFD0: { Copyright: COPYRIGHT, Artist: 'Tester' },
+    IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '0/1 7/1 0/1', GPSMapDatum: 'WGS-84' }
+  })
+  .withMetadata({ orientation })
+  .toBuffer();
+
+// Tag ids of IFD0 in an "Exif\0\0"-prefixed TIFF block
+const ifd0Tags = (exif) => {
+  const tiff = exif.subarray(6);
+  const le = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const ifd = le ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+  return Array.from({ length: u16(ifd) }, (_, i) => u16(ifd + 2 + i * 12));
+};
+const TAG_COPYRIGHT = 0x8298, TAG_GPS_IFD = 0x8825;
+
+const convert = async (t, metadata, orientation) => {
+  const { inputDir, outputDir } = await setup(t, 'metadata');
+  await fsp.writeFile(path.join(inputDir, 'photo.jpg'), await photo(orientation));
+  const [r] = (await resizeImages({ inputDir, outputDir, metadata, maxWidth: 200, logger: quiet })).results;
+  assert.strictEqual(r.action, 'converted');
+  return sharp(r.dest).metadata();
+};
+
+test('the source carries GPS and copyright', async () => {
+  const { exif } = await sharp(await photo()).metadata();
+  assert.ok(ifd0Tags(exif).includes(TAG_GPS_IFD));
+  assert.ok(exif.includes(COPYRIGHT));
+});
+
+test('keep keeps both', async (t) => {
+  const { exif } = await convert(t, 'keep');
+  assert.ok(ifd0Tags(exif).includes(TAG_GPS_IFD));
+  assert.ok(ifd0Tags(exif).includes(TAG_COPYRIGHT));
+  assert.ok(exif.includes('WGS-84'));
+});
+
+for (const mode of ['keep-no-gps', 'copyright-only']) {
+  test(`${mode} drops the GPS block and keeps Copyright`, async (t) => {
+    const { exif } = await convert(t, mode);
+    const tags = ifd0Tags(exif);
+    assert.ok(!tags.includes(TAG_GPS_IFD), `GPS pointer left: ${tags.map((x) => x.toString(16))}`);
+    assert.ok(!exif.includes('WGS-84'));
+    assert.ok(tags.includes(TAG_COPYRIGHT));
+    assert.ok(exif.includes(COPYRIGHT));
+  });
+}
+
+test('strip drops both', async (t) => {
+  const { exif } = await convert(t, 'strip');
+  assert.ok(!exif || (!exif.includes(COPYRIGHT) && !ifd0Tags(exif).includes(TAG_GPS_IFD)));
+});
+
+test('the orientation tag is reset once the pixels are rotated', async (t) => {
+  const meta = await convert(t, 'keep', 6);
+  assert.deepStrictEqual([meta.width, meta.height], [200, 267]);
+  assert.ok(meta.orientation === undefined || meta.orientation === 1, `orientation ${meta.orientation}`);
+});
@@ -0,0 +1,96 @@
+'use strict';
+// reports: per-file sizes, dimensions, encoder, route and timing, written as JSON, CSV or NDJSON
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+const COLUMNS = [
+  'src', 'dest', 'action', 'route', 'reason', 'rendition', 'format', 'quality', 'encoder',
+  'srcBytes', 'bytes', 'srcWidth', 'srcHeight', 'width', 'height', 'colorProfile', 'bitDepth', 'elapsedMs', 'attempts', 'duplicateOf', 'sha256', 'error'
+];
+
+// Rows of cells, quoted cells (commas, quotes, line breaks) included
+const parseCsv = (text) => {
+  const rows = [[]];
+  let cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; } else if (c === '"') quoted = false; else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { rows[rows.length - 1].push(cell); cell = ''; }
+    else if (c === '\n') { rows[rows.length - 1].push(cell); cell = ''; rows.push([]); }
+    else cell += c;
+  }
+  rows.pop();
+  return rows;
+};
+
+// A source sharp converts and one it can't read, which is copied as it is
+const run = async (t, report) => {
+  const { tmp, inputDir, outputDir } = await setup(t, 'report');
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(600, 400));
+  await fsp.writeFile(path.join(inputDir, 'broken.jpg'), 'not, a "jpeg"');
+  const file = path.join(tmp, 'reports', report);
+  const stats = await resizeImages({
+    inputDir, outputDir, format: 'webp', quality: 80, maxWidth: 300, encoders: { webp: { effort: 6 } },
+    converters: [], concurrency: 1, report: file, logger: quiet
+  });
+  return { stats, text: await fsp.readFile(file, 'utf8') };
+};
+
+test('results record sizes, dimensions, encoder and route', async (t) => {
+  const { stats } = await run(t, 'run.json');
+  const byName = Object.fromEntries(stats.results.map((r) => [path.basename(r.src), r]));
+  const a = byName['a.png'];
+  assert.deepStrictEqual(
+    [a.action, a.route, a.format, a.quality, a.encoder, a.srcWidth, a.srcHeight, a.width, a.height],
+    ['converted', 'sharp', 'webp', 80, 'webp q=80 effort=6', 600, 400, 300, 200]
+  );
+  assert.strictEqual(a.bytes, (await fsp.stat(a.dest)).size);
+  assert.ok(a.srcBytes > 0 && a.elapsedMs >= 0);
+  const broken = byName['broken.jpg'];
+  assert.deepStrictEqual([broken.action, broken.route, broken.srcBytes, broken.bytes], ['copied', 'copy', 13, 13]);
+  assert.match(broken.reason, /^failed convert/);
+
+  const { inputBytes, outputBytes, savedBytes, ratio } = stats.totals;
+  assert.strictEqual(inputBytes, a.srcBytes + 13);
+  assert.strictEqual(outputBytes, a.bytes + 13);
+  assert.strictEqual(savedBytes, inputBytes - outputBytes);
+  assert.strictEqual(ratio, Number((outputBytes / inputBytes).toFixed(4)));
+});
+
+test('a .json report is the whole summary', async (t) => {
+  const { stats, text } = await run(t, 'run.json');
+  assert.deepStrictEqual(JSON.parse(text), JSON.parse(JSON.stringify(stats)));
+});
+
+test('a .csv report has one row per result', async (t) => {
+  const { stats, text } = await run(t, 'run.csv');
+  const [header, ...rows] = parseCsv(text);
+  assert.deepStrictEqual(header, COLUMNS);
+  assert.strictEqual(rows.length, stats.results.length);
+  const records = rows.map((row) => Object.fromEntries(header.map((k, i) => [k, row[i]])));
+  const a = records.find((r) => r.src.endsWith('a.png'));
+  assert.deepStrictEqual([a.action, a.route, a.format, a.quality, a.encoder, a.width, a.height], ['converted', 'sharp', 'webp', '80', 'webp q=80 effort=6', '300', '200']);
+  const broken = records.find((r) => r.src.endsWith('broken.jpg'));
+  assert.deepStrictEqual([broken.action, broken.route, broken.encoder], ['copied', 'copy', '']);
+});
+
+test('an .ndjson report has one line per result, then the summary', async (t) => {
+  const { stats, text } = await run(t, 'run.ndjson');
+  const lines = text.trim().split('\n').map((l) => JSON.parse(l));
+  assert.strictEqual(lines.length, stats.results.length + 1);
+  assert.deepStrictEqual(lines.slice(0, -1).map((r) => r.src), stats.results.map((r) => r.src));
+  const { summary } = lines[lines.length - 1];
+  assert.deepStrictEqual(summary.totals, stats.totals);
+  assert.strictEqual(summary.results, undefined);
+});
+
+test('rejects a report it has no format for', async (t) => {
+  const { inputDir, outputDir, tmp } = await setup(t, 'report');
+  await assert.rejects(resizeImages({ inputDir, outputDir, report: path.join(tmp, 'run.txt'), logger: quiet }), /Unsupported report format/);
+});
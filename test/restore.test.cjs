@@ -0,0 +1,75 @@
+'use strict';
+// overwrite runs keep what they replace; restoreOriginals puts it all back
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { resizeImages, restoreOriginals } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+// relative path → sha1 of every file under dir, leaving out the backup dir
+const snapshot = async (dir) => {
+  const out = {};
+  const walk = async (d) => {
+    for (const entry of await fsp.readdir(d, { withFileTypes: true })) {
+      const p = path.join(d, entry.name);
+      if (entry.isDirectory()) { if (entry.name !== '.originals') await walk(p); continue; }
+      out[path.relative(dir, p)] = crypto.createHash('sha1').update(await fsp.readFile(p)).digest('hex');
+    }
+  };
+  await walk(dir);
+  return out;
+};
+
+test('restoreOriginals', async (t) => {
+  const { tmp, inputDir: dir } = await setup(t, 'restore');
+
+  const run = async (options) => {
+    await fsp.rm(dir, { recursive: true, force: true });
+    await fsp.mkdir(path.join(dir, 'sub'), { recursive: true });
+    await fsp.writeFile(path.join(dir, 'big.jpg'), await image(1200, 800, 'jpeg'));
+    await fsp.writeFile(path.join(dir, 'sub', 'photo.png'), await image(900, 900, 'png'));
+    // the output of photo.png lands on this one
+    await fsp.writeFile(path.join(dir, 'sub', 'photo.jpg'), await image(300, 200, 'jpeg'));
+    const before = await snapshot(dir);
+    const stats = await resizeImages({
+      inputDir: dir, overwrite: true, flatten: false, format: 'jpeg', maxWidth: 400, maxHeight: 400, logger: quiet, ...options
+    });
+    return { before, stats };
+  };
+
+  await t.test('puts back every original and removes the outputs', async () => {
+    const { before, stats } = await run({});
+    assert.strictEqual(stats.errors, 0);
+    assert.ok(stats.undoLog);
+    assert.notDeepStrictEqual(await snapshot(dir), before);
+
+    const r = await restoreOriginals(path.join(dir, '.originals'), { logger: quiet });
+    assert.strictEqual(r.log, stats.undoLog);
+    assert.strictEqual(r.missing, 0);
+    assert.deepStrictEqual(await snapshot(dir), before);
+  });
+
+  await t.test('undoes renditions written beside the originals', async () => {
+    const { before, stats } = await run({ sizes: [200, { width: 320, format: 'webp' }] });
+    assert.strictEqual(stats.errors, 0);
+    await restoreOriginals(stats.undoLog, { logger: quiet });
+    assert.deepStrictEqual(await snapshot(dir), before);
+  });
+
+  await t.test('leaves a source alone when its backup is gone', async () => {
+    const { stats } = await run({});
+    const backup = path.join(dir, '.originals', 'big.jpg');
+    await fsp.rm(backup);
+    const r = await restoreOriginals(stats.undoLog, { logger: quiet });
+    assert.strictEqual(r.missing, 1);
+    const meta = await sharp(path.join(dir, 'big.jpg')).metadata();
+    assert.strictEqual(meta.width, 400);
+  });
+
+  await t.test('rejects a path with no undo log', async () => {
+    await assert.rejects(restoreOriginals(path.join(tmp, 'nowhere')), /Undo log not found/);
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+// transient resource errors: retried with backoff; running out of disk stops the run
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const { resizeImages } = require('../index.cjs');
+const helpers = require('./helpers.cjs');
+const { quiet, image } = helpers;
+
+const fsError = (code) => Object.assign(new Error(`${code}: injected`), { code });
+
+// Fails output writes (the temp file each output is written to before it is renamed in) with `code`, `times` times
+const failWrites = (t, code, times = Infinity) => {
+  const writeFile = fsp.writeFile;
+  let failed = 0;
+  t.mock.method(fsp, 'writeFile', async (file, ...rest) => {
+    if (/\.tmp-\d+-[a-z0-9]{6}$/.test(String(file)) && failed < times) {
+      failed++;
+      throw fsError(code);
+    }
+    return writeFile(file, ...rest);
+  });
+  return () => failed;
+};
+
+const setup = async (t, count) => {
+  const { inputDir, outputDir } = await helpers.setup(t, 'retry');
+  for (let i = 0; i < count; i++) await fsp.writeFile(path.join(inputDir, `img${i}.png`), await image(64, 48));
+  return { inputDir, outputDir };
+};
+
+test('retries an EMFILE and publishes on the next attempt', async (t) => {
+  const dirs = await setup(t, 1);
+  const failed = failWrites(t, 'EMFILE', 1);
+  const stats = await resizeImages({ ...dirs, concurrency: 1, retryDelayMs: 1, logger: quiet });
+  assert.strictEqual(failed(), 1);
+  assert.strictEqual(stats.converted, 1);
+  assert.strictEqual(stats.errors, 0);
+  const [result] = stats.results;
+  assert.strictEqual(result.action, 'converted');
+  assert.strictEqual(result.attempts, 2);
+  await fsp.access(result.dest);
+});
+
+test('fails a file whose EMFILE outlasts maxAttempts', async (t) => {
+  const dirs = await setup(t, 1);
+  const failed = failWrites(t, 'EMFILE');
+  const stats = await resizeImages({ ...dirs, concurrency: 1, retryDelayMs: 1, maxAttempts: 2, logger: quiet });
+  assert.strictEqual(failed(), 2);
+  assert.strictEqual(stats.converted, 0);
+  assert.ok(stats.results.some((r) => r.action === 'error'));
+  assert.ok(!stats.aborted);
+});
+
+test('stops the run when the disk is still full on the last attempt', async (t) => {
+  const dirs = await setup(t, 4);
+  const failed = failWrites(t, 'ENOSPC');
+  const stats = await resizeImages({ ...dirs, concurrency: 1, retryDelayMs: 1, maxAttempts: 2, logger: quiet });
+  // every file fails once and backs off; the first to use up its attempts stops the run, and the rest aren't retried
+  assert.strictEqual(failed(), 5);
+  assert.strictEqual(stats.converted, 0);
+  assert.deepStrictEqual(stats.results.map((r) => [r.action, r.attempts]), [['error', 2], ['error', 1], ['error', 1], ['error', 1]]);
+  assert.strictEqual(stats.aborted, true);
+  assert.match(stats.abortReason, /no space left on device/);
+  const left = await fsp.readdir(dirs.outputDir).catch(() => []);
+  assert.deepStrictEqual(left.filter((n) => /\.tmp-/.test(n)), []);
+});
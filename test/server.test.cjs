@@ -0,0 +1,111 @@
+'use strict';
+// createServer: only files under inputDir are served, and the cache stays under its cap
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const http = require('http');
+const path = require('path');
+const sharp = require('sharp');
+const { createServer } = require('../index.cjs');
+const { quiet, setup } = require('./helpers.cjs');
+
+const noise = (width, height) =>
+  sharp({ create: { width, height, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 50 } } }).jpeg().toBuffer();
+
+// GET with the path sent as written (fetch and URL would resolve dot segments first)
+const get = (server, rawPath) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port: server.port, path: rawPath }, (res) => {
+    const chunks = [];
+    res.on('data', (c) => chunks.push(c));
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+  }).on('error', reject);
+});
+
+const start = async (t, options = {}) => {
+  const { tmp, inputDir } = await setup(t, 'serve');
+  const outputDir = path.join(tmp, 'cache');
+  await fsp.mkdir(path.join(inputDir, 'sub'));
+  await fsp.mkdir(path.join(tmp, 'outside'));
+  const image = await noise(400, 300);
+  await fsp.writeFile(path.join(inputDir, 'a.jpg'), image);
+  await fsp.writeFile(path.join(inputDir, 'sub', 'b.jpg'), image);
+  await fsp.writeFile(path.join(inputDir, '.hidden.jpg'), image);
+  await fsp.writeFile(path.join(tmp, 'secret.jpg'), image);
+  await fsp.writeFile(path.join(tmp, 'outside', 'c.jpg'), image);
+  await fsp.symlink(path.join(tmp, 'outside'), path.join(inputDir, 'link'));
+  await fsp.symlink(path.join(tmp, 'secret.jpg'), path.join(inputDir, 'secret.jpg'));
+  const server = await createServer({ inputDir, outputDir, servePort: 0, logger: quiet, ...options });
+  t.after(() => server.close());
+  return { server, outputDir };
+};
+
+test('serves files under inputDir', async (t) => {
+  const { server } = await start(t);
+  const first = await get(server, '/img/sub/b.jpg?w=100&format=webp');
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers['content-type'], 'image/webp');
+  assert.strictEqual(first.headers['x-cache'], 'MISS');
+  assert.strictEqual((await sharp(first.body).metadata()).width, 100);
+  const again = await get(server, '/img/sub/b.jpg?w=100&format=webp');
+  assert.strictEqual(again.headers['x-cache'], 'HIT');
+  const revalidated = await new Promise((resolve, reject) => {
+    http.get({ port: server.port, path: '/img/sub/b.jpg?w=100&format=webp', headers: { 'If-None-Match': first.headers.etag } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+  assert.strictEqual(revalidated, 304);
+});
+
+test('does not serve anything outside inputDir', async (t) => {
+  const { server } = await start(t);
+  const paths = [
+    '/img/../secret.jpg',
+    '/img/sub/../../secret.jpg',
+    '/img/%2e%2e/secret.jpg',
+    '/img/sub%2F..%2F..%2Fsecret.jpg',
+    '/img/..%2Fsecret.jpg',
+    '/img/sub%5C..%5C..%5Csecret.jpg',
+    '/img/link/c.jpg',
+    '/img/secret.jpg',
+    '/img/.hidden.jpg',
+    '/secret.jpg'
+  ];
+  for (const p of paths) {
+    const res = await get(server, p);
+    assert.strictEqual(res.status, 404, `${p} → ${res.status}`);
+  }
+  assert.strictEqual((await get(server, '/img/%E0%A4%A.jpg')).status, 400);
+  assert.strictEqual(server.stats.hits + server.stats.misses, 0);
+});
+
+test('rejects parameters outside the allow-lists', async (t) => {
+  const { server } = await start(t, { serveWidths: [100], serveFormats: ['webp'] });
+  assert.strictEqual((await get(server, '/img/a.jpg?w=100')).status, 200);
+  assert.strictEqual((await get(server, '/img/a.jpg?w=101')).status, 400);
+  assert.strictEqual((await get(server, '/img/a.jpg?w=100&format=png')).status, 400);
+  assert.strictEqual((await get(server, '/img/a.jpg?w=100&x=1')).status, 400);
+});
+
+test('evicts the least recently served results past serveCacheBytes', async (t) => {
+  const { server, outputDir } = await start(t, { serveCacheBytes: 40000, quality: 90 });
+  const cacheSize = async () => {
+    let total = 0;
+    for (const shard of await fsp.readdir(outputDir)) {
+      for (const name of await fsp.readdir(path.join(outputDir, shard))) total += (await fsp.stat(path.join(outputDir, shard, name))).size;
+    }
+    return total;
+  };
+  const sizes = [];
+  for (const w of [200, 210, 220, 230]) {
+    const res = await get(server, `/img/a.jpg?w=${w}`);
+    assert.strictEqual(res.status, 200);
+    sizes.push(res.body.length);
+  }
+  assert.ok(sizes.reduce((a, b) => a + b) > 40000, 'the results outgrow the cap');
+  assert.ok(server.stats.evicted > 0);
+  assert.ok(await cacheSize() <= 40000);
+  // the newest result is still cached, an evicted one is encoded again
+  assert.strictEqual((await get(server, '/img/a.jpg?w=230')).headers['x-cache'], 'HIT');
+  assert.strictEqual((await get(server, '/img/a.jpg?w=200')).headers['x-cache'], 'MISS');
+});
@@ -0,0 +1,64 @@
+'use strict';
+// sizes: one source in, one output per rendition out, each named after its label
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+// rendition → [format, width, height] of what it wrote
+const outputs = async (stats) => Object.fromEntries(await Promise.all(stats.results.map(async (r) => {
+  const meta = await sharp(r.dest).metadata();
+  return [r.rendition, [path.basename(r.dest), meta.format, meta.width, meta.height]];
+})));
+
+test('writes one output per rendition, named after its label', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'sizes');
+  await fsp.mkdir(path.join(inputDir, 'sub'));
+  await fsp.writeFile(path.join(inputDir, 'sub', 'photo.jpg'), await image(1600, 900, 'jpeg'));
+  const stats = await resizeImages({
+    inputDir, outputDir, flatten: false, format: 'jpeg', logger: quiet,
+    sizes: [320, { width: 640, format: 'webp' }, { width: 200, height: 200, suffix: 'thumb', format: 'png' }]
+  });
+  assert.strictEqual(stats.converted, 3);
+  assert.deepStrictEqual(await outputs(stats), {
+    '320w': ['photo-320w.jpg', 'jpeg', 320, 180],
+    '640w': ['photo-640w.webp', 'webp', 640, 360],
+    thumb: ['photo-thumb.png', 'png', 200, 113]
+  });
+  for (const r of stats.results) assert.strictEqual(path.dirname(r.dest), path.join(outputDir, 'sub'));
+});
+
+test('a rendition quality overrides the top-level one', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'sizes');
+  const noisy = await sharp({ create: { width: 800, height: 600, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } }).jpeg().toBuffer();
+  await fsp.writeFile(path.join(inputDir, 'noise.jpg'), noisy);
+  const stats = await resizeImages({
+    inputDir, outputDir, flatten: false, quality: 90, logger: quiet,
+    sizes: [{ width: 400, suffix: 'hi' }, { width: 400, quality: 30, suffix: 'lo' }]
+  });
+  const bytes = Object.fromEntries(await Promise.all(stats.results.map(async (r) => [r.rendition, (await fsp.stat(r.dest)).size])));
+  assert.ok(bytes.lo < bytes.hi / 2, JSON.stringify(bytes));
+});
+
+test('a rendition cropped to a square gets the whole square', async (t) => {
+  // one shared decode serves every rendition, so it must be tall enough for the square as well as wide enough for 320w
+  const { inputDir, outputDir } = await setup(t, 'sizes');
+  await fsp.writeFile(path.join(inputDir, 'photo.jpg'), await image(1600, 900, 'jpeg'));
+  const stats = await resizeImages({
+    inputDir, outputDir, flatten: false, logger: quiet,
+    sizes: [320, { width: 300, height: 300, fit: 'cover', suffix: 'sq', format: 'png' }]
+  });
+  assert.deepStrictEqual(await outputs(stats), {
+    '320w': ['photo-320w.jpg', 'jpeg', 320, 180],
+    sq: ['photo-sq.png', 'png', 300, 300]
+  });
+});
+
+test('rejects duplicate and empty renditions', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'sizes');
+  await assert.rejects(resizeImages({ inputDir, outputDir, sizes: [320, { width: 320 }], logger: quiet }), /Duplicate rendition "320w"/);
+  await assert.rejects(resizeImages({ inputDir, outputDir, sizes: [{ format: 'webp' }], logger: quiet }), /needs a positive width and\/or height/);
+});
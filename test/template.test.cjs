@@ -0,0 +1,61 @@
+'use strict';
+// nameTemplate: output paths built from tokens, with `/` making subdirectories
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image, listFiles } = require('./helpers.cjs');
+
+test('{date:…} files outputs into dated folders', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'template');
+  // taken in July 2021 by its EXIF; the other has only its mtime to go on
+  await sharp(await image(800, 600, 'jpeg')).withExif({ IFD2: { DateTimeOriginal: '2021:07:04 10:00:00' } }).toFile(path.join(inputDir, 'taken.jpg'));
+  const plain = path.join(inputDir, 'plain.png');
+  await fsp.writeFile(plain, await image(300, 400));
+  await fsp.utimes(plain, new Date(2019, 2, 15, 12), new Date(2019, 2, 15, 12));
+
+  const stats = await resizeImages({ inputDir, outputDir, maxWidth: 400, nameTemplate: '{date:YYYY/MM}/{stem}-{width}x{height}.{ext}', logger: quiet });
+  assert.strictEqual(stats.converted, 2);
+  assert.deepStrictEqual(await listFiles(outputDir), [path.join('2019', '03', 'plain-300x400.jpg'), path.join('2021', '07', 'taken-400x300.jpg')]);
+});
+
+test('{dir}, {index}, {hash} and renditions', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'template');
+  const day = path.join(inputDir, 'trip', 'day1');
+  await fsp.mkdir(day, { recursive: true });
+  for (const name of ['a.png', 'b.png', 'c.png']) await fsp.writeFile(path.join(day, name), '');
+  const order = await fsp.readdir(day);
+  // the first source walked is the slowest to convert, so it finishes last but keeps index 1
+  const hashes = {};
+  for (const [i, name] of order.entries()) {
+    const data = i === 0
+      ? await sharp({ create: { width: 2400, height: 1800, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } } }).png().toBuffer()
+      : await image(320, 240, 'png', i === 1 ? '#0f0' : '#00f');
+    hashes[name] = crypto.createHash('sha1').update(data).digest('hex');
+    await fsp.writeFile(path.join(day, name), data);
+  }
+
+  const stats = await resizeImages({ inputDir, outputDir, concurrency: 3, sizes: [100, 200], nameTemplate: '{dir}/{index:3}-{hash:6}', logger: quiet });
+  const expected = order.flatMap((name, i) => ['100w', '200w'].map((size) =>
+    path.join('trip', 'day1', `${String(i + 1).padStart(3, '0')}-${hashes[name].slice(0, 6)}-${size}.jpg`)));
+  assert.deepStrictEqual(await listFiles(outputDir), expected.sort());
+  assert.strictEqual(stats.converted, 6);
+});
+
+test('names that collide get a ~n suffix', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'template');
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(100, 100));
+  await fsp.writeFile(path.join(inputDir, 'b.png'), await image(100, 100));
+  await resizeImages({ inputDir, outputDir, nameTemplate: 'all/{format}', format: 'webp', logger: quiet });
+  assert.deepStrictEqual(await listFiles(outputDir), [path.join('all', 'webp.webp'), path.join('all', 'webp~1.webp')]);
+});
+
+test('rejects unknown tokens and overwrite', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'template');
+  await assert.rejects(resizeImages({ inputDir, outputDir, nameTemplate: '{stem}-{camera}', logger: quiet }), /Invalid nameTemplate: unknown token \{camera\}/);
+  await assert.rejects(resizeImages({ inputDir, outputDir, nameTemplate: '{hash:x}', logger: quiet }), /\{hash:x\} expects a number/);
+  await assert.rejects(resizeImages({ inputDir, overwrite: true, flatten: false, nameTemplate: '{stem}', logger: quiet }), /Cannot use nameTemplate with overwrite/);
+});
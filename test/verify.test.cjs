@@ -0,0 +1,41 @@
+'use strict';
+// verify: outputs are read back before they are published, and a short write never replaces anything
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+const { resizeImages } = require('../index.cjs');
+const helpers = require('./helpers.cjs');
+const { quiet, image } = helpers;
+
+const setup = async (t) => {
+  const { inputDir, outputDir } = await helpers.setup(t, 'verify');
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(500, 250));
+  return { inputDir, outputDir };
+};
+
+test('verified outputs carry the mode and their sha256', async (t) => {
+  const dirs = await setup(t);
+  const stats = await resizeImages({ ...dirs, verify: 'decode', maxWidth: 200, format: 'webp', logger: quiet });
+  const [r] = stats.results;
+  assert.strictEqual(r.action, 'converted');
+  assert.strictEqual(r.verified, 'decode');
+  const written = await fsp.readFile(r.dest);
+  assert.strictEqual(r.sha256, crypto.createHash('sha256').update(written).digest('hex'));
+  assert.deepStrictEqual([r.width, r.height], [200, 100]);
+});
+
+test('a short write fails the file and leaves nothing behind', async (t) => {
+  const dirs = await setup(t);
+  const writeFile = fsp.writeFile;
+  t.mock.method(fsp, 'writeFile', (file, data, ...rest) => (
+    /\.tmp-\d+-[a-z0-9]{6}$/.test(String(file)) ? writeFile(file, data.subarray(0, data.length >> 1), ...rest) : writeFile(file, data, ...rest)
+  ));
+  const stats = await resizeImages({ ...dirs, verify: 'header', logger: quiet });
+  const [r] = stats.results;
+  assert.strictEqual(r.action, 'error');
+  assert.match(r.error, /verify: wrote \d+ of \d+ bytes/);
+  const left = await fsp.readdir(dirs.outputDir);
+  assert.deepStrictEqual(left.filter((n) => !n.startsWith('.')), []);
+});
@@ -0,0 +1,60 @@
+'use strict';
+// watchImages: picks up new files once they hold still, prunes the outputs of deleted ones
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const { watchImages } = require('../index.cjs');
+const helpers = require('./helpers.cjs');
+const { quiet, setup } = helpers;
+
+const image = async (file) => fsp.writeFile(file, await helpers.image(120, 80));
+
+// Resolves once `check` holds, polling every 25ms for up to `ms`
+const until = async (check, ms = 10000) => {
+  const end = Date.now() + ms;
+  while (!(await check())) {
+    if (Date.now() > end) throw new Error('timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+};
+
+test('watchImages', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'watch');
+  await image(path.join(inputDir, 'first.png'));
+
+  const results = [];
+  const watcher = await watchImages({
+    inputDir, outputDir, flatten: false, pruneOrphans: true, watchStabilityMs: 50, logger: quiet,
+    onFile: (x) => results.push(x)
+  });
+  // closed before the temp dir goes, so it never sees the tree removed
+  try {
+    assert.strictEqual(watcher.initial.converted, 1);
+
+    await t.test('converts a file added while watching', async () => {
+      await fsp.mkdir(path.join(inputDir, 'sub'));
+      await image(path.join(inputDir, 'sub', 'second.png'));
+      await until(() => results.some((r) => r.src.endsWith('second.png') && r.action === 'converted'));
+      await fsp.access(path.join(outputDir, 'sub', 'second.jpg'));
+    });
+
+    await t.test('removes the outputs of a deleted folder', async () => {
+      // straight after the conversion, before the manifest is saved
+      await fsp.rm(path.join(inputDir, 'sub'), { recursive: true });
+      const gone = path.join(outputDir, 'sub', 'second.jpg');
+      await until(() => fsp.access(gone).then(() => false, () => true));
+    });
+
+    await t.test('keeps watching after a folder vanishes mid-check', async () => {
+      // created and removed before the watcher gets to look inside
+      await fsp.mkdir(path.join(inputDir, 'brief'));
+      await fsp.rm(path.join(inputDir, 'brief'), { recursive: true });
+      await image(path.join(inputDir, 'third.png'));
+      await until(() => results.some((r) => r.src.endsWith('third.png') && r.action === 'converted'));
+      assert.strictEqual(watcher.stats.errors, 0);
+    });
+  } finally {
+    await watcher.close();
+  }
+});
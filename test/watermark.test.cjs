@@ -0,0 +1,56 @@
+'use strict';
+// watermark: composited at its position and scale, left off outputs below the minimum size
+const test = require('node:test');
+const assert = require('node:assert');
+const fsp = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { resizeImages } = require('../index.cjs');
+const { quiet, setup, image } = require('./helpers.cjs');
+
+// A white mark over a black 800×600 source, written as PNG so pixels come back exact
+const run = async (t, options) => {
+  const { tmp, inputDir, outputDir } = await setup(t, 'watermark');
+  const logo = path.join(tmp, 'logo.png');
+  await fsp.writeFile(logo, await image(200, 100, 'png', '#fff'));
+  await fsp.writeFile(path.join(inputDir, 'a.png'), await image(800, 600, 'png', '#000'));
+  const { watermark, ...rest } = options;
+  const stats = await resizeImages({
+    inputDir, outputDir, format: 'png', maxWidth: 400, maxHeight: 400, logger: quiet,
+    watermark: { image: logo, opacity: 1, ...watermark }, ...rest
+  });
+  return stats.results.map((r) => ({
+    ...r,
+    grey: async (left, top) => (await sharp(r.dest).extract({ left, top, width: 1, height: 1 }).greyscale().raw().toBuffer())[0]
+  }));
+};
+
+test('places the mark at its position, scaled to the output', async (t) => {
+  // 400×300 output: a 80×40 mark, 16px in from the bottom right corner
+  const [r] = await run(t, {});
+  assert.strictEqual(r.watermarked, true);
+  assert.deepStrictEqual(await Promise.all([r.grey(305, 245), r.grey(383, 283), r.grey(300, 240), r.grey(390, 290), r.grey(20, 20)]),
+    [255, 255, 0, 0, 0]);
+  const [nw] = await run(t, { watermark: { position: 'northwest', margin: 0, scale: 0.5 } });
+  assert.deepStrictEqual(await Promise.all([nw.grey(0, 0), nw.grey(199, 99), nw.grey(201, 101)]), [255, 255, 0]);
+});
+
+test('applies the opacity', async (t) => {
+  const [r] = await run(t, { watermark: { opacity: 0.5 } });
+  assert.ok(Math.abs((await r.grey(340, 260)) - 128) <= 2);
+});
+
+test('leaves outputs under the minimum size unmarked', async (t) => {
+  const results = await run(t, { sizes: [200, 400], watermark: { minWidth: 300 } });
+  const [small, large] = results;
+  assert.deepStrictEqual([small.rendition, small.watermarked, large.rendition, large.watermarked], ['200w', false, '400w', true]);
+  // the whole small output is the black source
+  const { data } = await sharp(small.dest).greyscale().raw().toBuffer({ resolveWithObject: true });
+  assert.strictEqual(Math.max(...data), 0);
+});
+
+test('rejects a watermark with both or neither of image and text', async (t) => {
+  const { inputDir, outputDir } = await setup(t, 'watermark');
+  await assert.rejects(resizeImages({ inputDir, outputDir, watermark: { image: 'a.png', text: '©' }, logger: quiet }), /set exactly one of image or text/);
+  await assert.rejects(resizeImages({ inputDir, outputDir, watermark: { opacity: 0.5 }, logger: quiet }), /set exactly one of image or text/);
+});